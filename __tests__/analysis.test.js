@@ -0,0 +1,95 @@
+import { createDfa } from '../lib/dfa';
+import { createNfa, EPSILON } from '../lib/nfa';
+import { analyzeAutomaton, deadStates, missingTransitions, pruneStates, trapStates, unreachableStates } from '../lib/analysis';
+import { completeDfa } from '../lib/product';
+
+// t is a trap and u can't be reached
+const dfa = createDfa({
+  alphabet: ['0', '1'],
+  states: ['s', 'a', 't', 'u'],
+  start: 's',
+  accepting: ['a'],
+  transitions: { s: { 0: 'a', 1: 't' }, a: { 0: 'a', 1: 't' }, t: { 0: 't', 1: 't' }, u: { 0: 's' } }
+});
+
+describe('unreachableStates', () => {
+  it('finds states the start state cannot reach', () => {
+    expect(unreachableStates(dfa)).toEqual(['u']);
+  });
+
+  it('follows ε-transitions', () => {
+    const nfa = createNfa({ alphabet: ['0'], states: ['p', 'q', 'r'], start: 'p', transitions: { p: { [EPSILON]: ['q'] } } });
+    expect(unreachableStates(nfa)).toEqual(['r']);
+  });
+});
+
+describe('deadStates', () => {
+  it('finds states that cannot lead to acceptance', () => {
+    expect(deadStates(dfa)).toEqual(['t']);
+    expect(deadStates(createDfa({ ...dfa, accepting: [] }))).toEqual(dfa.states);
+  });
+});
+
+describe('trapStates', () => {
+  it('finds dead states that cannot be left', () => {
+    const stuck = createDfa({ ...dfa, transitions: { ...dfa.transitions, s: { 0: 'a', 1: 'u' }, u: { 0: 't' } } });
+    expect(deadStates(stuck)).toEqual(['t', 'u']);
+    expect(trapStates(stuck)).toEqual(['t']);
+  });
+});
+
+describe('missingTransitions', () => {
+  it('lists the (state, symbol) pairs a DFA leaves out', () => {
+    expect(missingTransitions(dfa)).toEqual([{ state: 'u', symbol: '1' }]);
+    expect(missingTransitions(completeDfa(dfa))).toEqual([]);
+  });
+
+  it('finds none in an NFA', () => {
+    const nfa = createNfa({ alphabet: ['0'], states: ['p', 'q'], start: 'p', transitions: {} });
+    expect(missingTransitions(nfa)).toEqual([]);
+  });
+});
+
+describe('analyzeAutomaton', () => {
+  it('separates traps from other dead states', () => {
+    const partial = createDfa({
+      alphabet: ['0'],
+      states: ['s', 'd', 't', 'f'],
+      start: 's',
+      accepting: ['f'],
+      transitions: { s: { 0: 'd' }, d: { 0: 't' }, t: { 0: 't' } }
+    });
+    expect(analyzeAutomaton(partial)).toEqual({
+      missing: [{ state: 'f', symbol: '0' }],
+      unreachable: ['f'],
+      traps: ['t'],
+      dead: ['s', 'd']
+    });
+  });
+});
+
+describe('pruneStates', () => {
+  it('removes states and the transitions touching them', () => {
+    const pruned = pruneStates(dfa, unreachableStates(dfa));
+    expect(pruned.states).toEqual(['s', 'a', 't']);
+    expect(pruneStates(pruned, deadStates(pruned)).transitions).toEqual({ s: { 0: 'a' }, a: { 0: 'a' } });
+  });
+
+  it('keeps the start state', () => {
+    const empty = createDfa({ ...dfa, accepting: [] });
+    expect(pruneStates(empty, deadStates(empty)).states).toEqual(['s']);
+  });
+
+  it('prunes NFAs', () => {
+    const nfa = createNfa({
+      alphabet: ['0'],
+      states: ['p', 'q', 'r'],
+      start: 'p',
+      accepting: ['q'],
+      transitions: { p: { 0: ['q', 'r'] }, r: { 0: ['r'] } }
+    });
+    const pruned = pruneStates(nfa, deadStates(nfa));
+    expect(pruned.type).toBe('nfa');
+    expect(pruned.transitions).toEqual({ p: { 0: ['q'] }, q: {} });
+  });
+});
@@ -0,0 +1,71 @@
+import { createDfa, run } from '../lib/dfa';
+import { createNfa, runNfa } from '../lib/nfa';
+import { formatTestSuite, parseTestSuite, runTests, summarizeTests } from '../lib/batch';
+
+// Strings over {a, b} with an even number of a's
+const evenAs = createDfa({
+  alphabet: ['a', 'b'],
+  states: ['even', 'odd'],
+  start: 'even',
+  accepting: ['even'],
+  transitions: { even: { a: 'odd', b: 'even' }, odd: { a: 'even', b: 'odd' } }
+});
+
+describe('parseTestSuite', () => {
+  it('reads inputs with optional expected outcomes', () => {
+    const { tests, diagnostics } = parseTestSuite('aa accept\n\n# comment\nab REJECT\nb\nε accept\nreject', ['a', 'b']);
+    expect(diagnostics).toEqual([]);
+    expect(tests).toEqual([
+      { line: 1, input: 'aa', expected: true },
+      { line: 4, input: 'ab', expected: false },
+      { line: 5, input: 'b', expected: null },
+      { line: 6, input: '', expected: true },
+      { line: 7, input: '', expected: false }
+    ]);
+  });
+
+  it('separates multi-character symbols with spaces', () => {
+    expect(parseTestSuite('go  stop accept', ['go', 'stop']).tests)
+      .toEqual([{ line: 1, input: 'go stop', expected: true }]);
+  });
+
+  it('reports symbols outside the alphabet', () => {
+    expect(parseTestSuite('ab\nac accept', ['a', 'b'])).toEqual({
+      tests: [{ line: 1, input: 'ab', expected: null }],
+      diagnostics: [{ line: 2, message: "Symbol 'c' is not in the alphabet" }]
+    });
+  });
+});
+
+describe('formatTestSuite', () => {
+  it('round-trips through parseTestSuite', () => {
+    const text = 'aa accept\nab reject\nb\nε accept';
+    expect(formatTestSuite(parseTestSuite(text, ['a', 'b']).tests)).toBe(text);
+  });
+});
+
+describe('runTests', () => {
+  it('checks each DFA run against the expected outcome', () => {
+    const { tests } = parseTestSuite('aa accept\na accept\nb', ['a', 'b']);
+    const results = runTests(evenAs, tests, run);
+    expect(results.map(({ input, passed, result }) => [input, passed, result.state])).toEqual([
+      ['aa', true, 'even'],
+      ['a', false, 'odd'],
+      ['b', null, 'even']
+    ]);
+    expect(summarizeTests(results)).toEqual({ total: 3, passed: 1, failed: 1, unchecked: 1 });
+  });
+
+  it('runs NFAs', () => {
+    const endsInA = createNfa({
+      alphabet: ['a', 'b'],
+      states: ['p', 'q'],
+      start: 'p',
+      accepting: ['q'],
+      transitions: { p: { a: ['p', 'q'], b: ['p'] } }
+    });
+    const results = runTests(endsInA, parseTestSuite('ba accept\nab reject', ['a', 'b']).tests, runNfa);
+    expect(results.map(r => r.passed)).toEqual([true, true]);
+    expect(results[0].result.states).toEqual(['p', 'q']);
+  });
+});
@@ -0,0 +1,195 @@
+import {
+  accepts, addState, addTransition, createDfa, DfaError, formatInput, freshStateName, numberStates,
+  parseAlphabet, removeState, removeTransition, renameState, retargetTransition, run, setAccepting, setAlphabet, setStart,
+  step, tokenizeInput
+} from '../lib/dfa';
+
+// Binary strings with an even number of 1s
+const evenOnes = () => createDfa({
+  alphabet: ['0', '1'],
+  states: ['even', 'odd'],
+  start: 'even',
+  accepting: ['even'],
+  transitions: {
+    even: { '0': 'even', '1': 'odd' },
+    odd: { '0': 'odd', '1': 'even' }
+  }
+});
+
+describe('createDfa', () => {
+  it('fills in an empty transition row for every state', () => {
+    const dfa = createDfa({ alphabet: ['a'], states: ['s', 't'], start: 's' });
+    expect(dfa.transitions).toEqual({ s: {}, t: {} });
+    expect(dfa.accepting).toEqual([]);
+  });
+
+  it('does not share state with its input', () => {
+    const spec = { alphabet: ['a'], states: ['s'], start: 's', transitions: { s: { a: 's' } } };
+    const dfa = createDfa(spec);
+    spec.transitions.s.a = 'oops';
+    spec.states.push('t');
+    expect(dfa.transitions.s.a).toBe('s');
+    expect(dfa.states).toEqual(['s']);
+  });
+
+  it.each([
+    [{ alphabet: [], states: ['s'], start: 's' }, /at least one symbol/],
+    [{ alphabet: ['a'], states: [], start: 's' }, /at least one state/],
+    [{ alphabet: ['a', 'a'], states: ['s'], start: 's' }, /duplicate symbols/],
+    [{ alphabet: ['a'], states: ['s', 's'], start: 's' }, /duplicate names/],
+    [{ alphabet: ['a'], states: ['s'], start: 'x' }, /Initial state "x"/],
+    [{ alphabet: ['a'], states: ['s'], start: 's', accepting: ['x'] }, /Accepting state "x"/],
+    [{ alphabet: ['a'], states: ['s'], start: 's', transitions: { x: { a: 's' } } }, /undeclared state "x"/],
+    [{ alphabet: ['a'], states: ['s'], start: 's', transitions: { s: { b: 's' } } }, /outside the alphabet/],
+    [{ alphabet: ['a'], states: ['s'], start: 's', transitions: { s: { a: 'x' } } }, /leads to undeclared state "x"/]
+  ])('rejects invalid definitions (%#)', (definition, message) => {
+    expect(() => createDfa(definition)).toThrow(DfaError);
+    expect(() => createDfa(definition)).toThrow(message);
+  });
+});
+
+describe('run', () => {
+  it('accepts and rejects according to the final state', () => {
+    const dfa = evenOnes();
+    expect(accepts(dfa, [])).toBe(true);
+    expect(accepts(dfa, ['1', '0', '1'])).toBe(true);
+    expect(accepts(dfa, ['1', '0', '0'])).toBe(false);
+  });
+
+  it('records every step of the run', () => {
+    const result = run(evenOnes(), ['1', '0']);
+    expect(result).toEqual({
+      steps: [
+        { from: 'even', symbol: '1', to: 'odd' },
+        { from: 'odd', symbol: '0', to: 'odd' }
+      ],
+      state: 'odd',
+      accepted: false,
+      reason: 'non-accepting'
+    });
+  });
+
+  it('stops on a missing transition', () => {
+    const dfa = createDfa({
+      alphabet: ['a', 'b'], states: ['s', 't'], start: 's', accepting: ['t'],
+      transitions: { s: { a: 't' } }
+    });
+    const result = run(dfa, ['a', 'b', 'a']);
+    expect(result.accepted).toBe(false);
+    expect(result.reason).toBe('missing-transition');
+    expect(result.state).toBe('t');
+    expect(result.symbol).toBe('b');
+    expect(result.position).toBe(1);
+  });
+
+  it('throws on symbols outside the alphabet', () => {
+    expect(() => run(evenOnes(), ['2'])).toThrow('Symbol "2" is not in the alphabet');
+  });
+
+  it('steps one symbol at a time', () => {
+    expect(step(evenOnes(), 'odd', '1')).toBe('even');
+    expect(() => step(evenOnes(), 'nowhere', '1')).toThrow(DfaError);
+  });
+});
+
+describe('editing', () => {
+  it('adds states with fresh names', () => {
+    const dfa = evenOnes();
+    const name = freshStateName(dfa);
+    const edited = addState(dfa, name, true);
+    expect(edited.states).toEqual(['even', 'odd', name]);
+    expect(edited.accepting).toContain(name);
+    expect(() => addState(edited, name)).toThrow('already exists');
+  });
+
+  it('keeps transitions deterministic', () => {
+    const dfa = createDfa({ alphabet: ['a'], states: ['s', 't'], start: 's' });
+    const edited = addTransition(dfa, 's', 'a', 't');
+    expect(edited.transitions.s.a).toBe('t');
+    expect(addTransition(edited, 's', 'a', 't')).toEqual(edited);
+    expect(() => addTransition(edited, 's', 'a', 's')).toThrow('s has a transition with value a already');
+  });
+
+  it('marks states accepting', () => {
+    const dfa = setAccepting(evenOnes(), 'odd');
+    expect(dfa.accepting).toEqual(['even', 'odd']);
+    expect(setAccepting(dfa, 'even', false).accepting).toEqual(['odd']);
+  });
+
+  it('numbers states in breadth-first order from the start', () => {
+    const dfa = createDfa({
+      alphabet: ['a', 'b'], states: ['z', 'y', 'x'], start: 'x', accepting: ['z'],
+      transitions: { x: { a: 'z', b: 'y' } }
+    });
+    const numbered = numberStates(dfa);
+    expect(numbered.states).toEqual(['q0', 'q1', 'q2']);
+    expect(numbered.transitions.q0).toEqual({ a: 'q1', b: 'q2' });
+    expect(numbered.accepting).toEqual(['q1']);
+  });
+
+  it('deletes states with their transitions, but not the start state', () => {
+    const dfa = removeState(setAccepting(evenOnes(), 'odd'), 'odd');
+    expect(dfa.states).toEqual(['even']);
+    expect(dfa.accepting).toEqual(['even']);
+    expect(dfa.transitions).toEqual({ even: { '0': 'even' } });
+    expect(() => removeState(dfa, 'even')).toThrow('even is the start state');
+    expect(() => removeState(dfa, 'odd')).toThrow('Unknown state "odd"');
+  });
+
+  it('renames states everywhere they are used', () => {
+    const dfa = renameState(evenOnes(), 'even', ' e ');
+    expect(dfa.states).toEqual(['e', 'odd']);
+    expect(dfa.start).toBe('e');
+    expect(dfa.accepting).toEqual(['e']);
+    expect(dfa.transitions).toEqual({ e: { '0': 'e', '1': 'odd' }, odd: { '0': 'odd', '1': 'e' } });
+    expect(renameState(dfa, 'e', 'e')).toEqual(dfa);
+    expect(() => renameState(dfa, 'e', 'odd')).toThrow('State "odd" already exists');
+    expect(() => renameState(dfa, 'e', '  ')).toThrow('may not be empty');
+  });
+
+  it('changes the start state', () => {
+    expect(setStart(evenOnes(), 'odd').start).toBe('odd');
+    expect(() => setStart(evenOnes(), 'q9')).toThrow('Unknown state "q9"');
+  });
+
+  it('deletes single transitions', () => {
+    const dfa = removeTransition(evenOnes(), 'odd', '1');
+    expect(dfa.transitions.odd).toEqual({ '0': 'odd' });
+    expect(run(dfa, ['1', '1']).reason).toBe('missing-transition');
+    expect(() => removeTransition(dfa, 'odd', '1')).toThrow('odd has no transition with value 1');
+  });
+
+  it('points transitions at other states', () => {
+    const dfa = retargetTransition(evenOnes(), 'even', '1', 'even');
+    expect(dfa.transitions.even).toEqual({ '0': 'even', '1': 'even' });
+    expect(() => retargetTransition(dfa, 'even', '1', 'q9')).toThrow('undeclared state "q9"');
+    expect(() => retargetTransition(removeTransition(dfa, 'odd', '0'), 'odd', '0', 'even'))
+      .toThrow('odd has no transition with value 0');
+  });
+
+  it('refuses to drop alphabet symbols that are in use', () => {
+    expect(setAlphabet(evenOnes(), ['0', '1', '2']).alphabet).toEqual(['0', '1', '2']);
+    expect(() => setAlphabet(evenOnes(), ['0'])).toThrow('Symbol "1" is still used by a transition');
+  });
+});
+
+describe('alphabets and input', () => {
+  it('parses comma-separated alphabets', () => {
+    expect(parseAlphabet('0, 1,1 , ')).toEqual(['0', '1']);
+    expect(() => parseAlphabet("a b")).toThrow(DfaError);
+  });
+
+  it('reads single-character alphabets character by character', () => {
+    expect(tokenizeInput('A C0', ['0', 'A', 'C'])).toEqual(['A', 'C', '0']);
+  });
+
+  it('writes symbols back as input text', () => {
+    expect(formatInput(['A', 'C', '0'], ['0', 'A', 'C'])).toBe('AC0');
+    expect(formatInput(['if', 'x'], ['if', 'x'])).toBe('if x');
+  });
+
+  it('reads token alphabets as whitespace-separated symbols', () => {
+    expect(tokenizeInput(' if x  then ', ['if', 'then', 'x'])).toEqual(['if', 'x', 'then']);
+    expect(tokenizeInput('', ['if'])).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+import { accepts, createDfa } from '../lib/dfa';
+import { formatDot, parseDot } from '../lib/dot';
+import { createNfa, EPSILON, nfaAccepts } from '../lib/nfa';
+import { createPda, pdaAccepts } from '../lib/pda';
+import { createMealy } from '../lib/transducer';
+
+describe('parseDot', () => {
+  it('reads hand-written graphs', () => {
+    const dfa = parseDot(`// binary strings ending in 1
+digraph G {
+  rankdir = LR
+  node [shape = circle]
+  start [shape = none, label = ""]
+  end [shape=doublecircle]
+  start -> s
+  s -> s [label = "0"]
+  s -> end [label = 1]
+  end -> s [label="0"]; end -> end [label="1"]
+}`);
+    expect(dfa.type).toBe('dfa');
+    expect(dfa.states).toEqual(['end', 's']);
+    expect(dfa.start).toBe('s');
+    expect(dfa.accepting).toEqual(['end']);
+    expect(accepts(dfa, ['0', '1'])).toBe(true);
+    expect(accepts(dfa, ['1', '0'])).toBe(false);
+  });
+
+  it('reads ε-labels and choices as an NFA', () => {
+    const nfa = parseDot('digraph { i [style=invis]; i -> a; a -> b [label="ε"]; a -> a [label="x"]; a -> b [label="x"]; b [shape=doublecircle] }');
+    expect(nfa.type).toBe('nfa');
+    expect(nfa.transitions.a).toEqual({ x: ['a', 'b'], [EPSILON]: ['b'] });
+    expect(nfaAccepts(nfa, [])).toBe(true);
+  });
+
+  it('reads PDA labels one per line', () => {
+    const pda = parseDot('digraph PDA { i [shape=point]; i -> p; p -> p [label="(, ε → (\\n), ( → ε"] }');
+    expect(pda.type).toBe('pda');
+    expect(pda.alphabet).toEqual(['(', ')']);
+    expect(pda.stackAlphabet).toEqual(['(']);
+    expect(pda.initialStack).toBe('(');
+    expect(pda.transitions.p).toHaveLength(2);
+    expect(pdaAccepts({ ...pda, accepting: ['p'] }, ['(', ')'])).toBe(true);
+  });
+
+  it('reports graphs that are not automata', () => {
+    expect(() => parseDot('a -> b')).toThrow(/Expected a DOT graph/);
+    expect(() => parseDot('digraph { a -> b [label=x] }')).toThrow(/No start state/);
+    expect(() => parseDot('digraph { s [shape=point]; s -> a; a -> b }')).toThrow(/a -> b has no label/);
+    expect(() => parseDot('digraph { s [shape=point]; s -> a;\n a -> [label=x] }')).toThrow(/on line 2/);
+  });
+});
+
+describe('formatDot', () => {
+  it('writes one labeled edge per pair of states', () => {
+    const nfa = createNfa({
+      alphabet: ['a', 'b'],
+      states: ['p', '__start'],
+      start: 'p',
+      accepting: ['__start'],
+      transitions: { p: { a: ['p', '__start'], b: ['__start'], [EPSILON]: ['p'] } }
+    });
+    expect(formatDot(nfa)).toBe(`digraph NFA {
+  rankdir=LR;
+  alphabet="a, b";
+  node [shape=circle];
+  "__start0" [shape=point];
+  "p";
+  "__start" [shape=doublecircle];
+  "__start0" -> "p";
+  "p" -> "p" [label="a, ε"];
+  "p" -> "__start" [label="a, b"];
+}
+`);
+  });
+
+  it('round-trips states named like DOT keywords', () => {
+    const nfa = createNfa({
+      alphabet: ['a'],
+      states: ['node', 'edge', 'graph', 'Subgraph'],
+      start: 'node',
+      accepting: ['edge', 'graph'],
+      transitions: { node: { a: ['edge', 'graph'] }, graph: { a: ['Subgraph'] } }
+    });
+    expect(parseDot(formatDot(nfa))).toEqual(nfa);
+  });
+
+  it('escapes commas, slashes and backslashes in symbols and outputs', () => {
+    const dfa = createDfa({
+      alphabet: [',', '/', '\\', 'a', 'b'],
+      states: ['p', 'q'],
+      start: 'p',
+      transitions: { p: { ',': 'q', '/': 'q', '\\': 'q', a: 'p' } }
+    });
+    expect(formatDot(dfa)).toContain('"p" -> "q" [label="\\\\,, \\\\/, \\\\\\\\"];');
+    expect(parseDot(formatDot(dfa))).toEqual(dfa);
+
+    const mealy = createMealy({ ...dfa, outputs: { p: { ',': 'x,y', '/': 'a/b', '\\': 'ε', a: 'z' } } });
+    expect(parseDot(formatDot(mealy))).toEqual(mealy);
+  });
+
+  it('refuses PDAs whose labels would not read back', () => {
+    const pda = createPda({ alphabet: [','], states: ['p'], start: 'p', transitions: { p: [{ symbol: ',', pop: 'Z', push: [], to: 'p' }] } });
+    expect(() => formatDot(pda)).toThrow(/would not read back the same/);
+  });
+});
@@ -0,0 +1,95 @@
+import { accepts, createDfa } from '../lib/dfa';
+import { stateElimination } from '../lib/elimination';
+import { createNfa, EPSILON, nfaAccepts } from '../lib/nfa';
+import { regexToDfa } from '../lib/regex';
+
+const allStrings = (alphabet, maxLength) => {
+  const strings = [[]];
+  for (let idx = 0; idx < strings.length; idx++) {
+    if (strings[idx].length < maxLength) {
+      alphabet.forEach(symbol => strings.push([...strings[idx], symbol]));
+    }
+  }
+  return strings;
+};
+
+// Binary strings with an even number of 1s
+const evenOnes = createDfa({
+  alphabet: ['0', '1'],
+  states: ['even', 'odd'],
+  start: 'even',
+  accepting: ['even'],
+  transitions: {
+    even: { '0': 'even', '1': 'odd' },
+    odd: { '0': 'odd', '1': 'even' }
+  }
+});
+
+describe('stateElimination', () => {
+  it('produces an expression for the same language', () => {
+    const { regex } = stateElimination(evenOnes);
+    const compiled = regexToDfa(regex, evenOnes.alphabet);
+    allStrings(evenOnes.alphabet, 7).forEach(symbols => {
+      expect(accepts(compiled, symbols)).toBe(accepts(evenOnes, symbols));
+    });
+  });
+
+  it('handles NFAs with ε-transitions', () => {
+    const nfa = createNfa({
+      alphabet: ['a', 'b'], states: ['s', 't'], start: 's', accepting: ['t'],
+      transitions: { s: { a: ['s'], [EPSILON]: ['t'] }, t: { b: ['t'] } }
+    });
+    const { regex } = stateElimination(nfa);
+    expect(regex).toBe('a*b*');
+    const compiled = regexToDfa(regex, nfa.alphabet);
+    allStrings(nfa.alphabet, 6).forEach(symbols => {
+      expect(accepts(compiled, symbols)).toBe(nfaAccepts(nfa, symbols));
+    });
+  });
+
+  it('simplifies trivial ε and ∅ terms', () => {
+    const single = createDfa({ alphabet: ['a'], states: ['s', 't'], start: 's', accepting: ['t'], transitions: { s: { a: 't' } } });
+    expect(stateElimination(single).regex).toBe('a');
+
+    const optional = createDfa({
+      alphabet: ['a'], states: ['s', 't'], start: 's', accepting: ['s', 't'], transitions: { s: { a: 't' } }
+    });
+    expect(stateElimination(optional).regex).toBe('a?');
+
+    const plus = createDfa({
+      alphabet: ['a'], states: ['s', 't'], start: 's', accepting: ['t'], transitions: { s: { a: 't' }, t: { a: 't' } }
+    });
+    expect(stateElimination(plus).regex).toBe('a+');
+  });
+
+  it('reports the empty language as ∅', () => {
+    const empty = createDfa({ alphabet: ['a'], states: ['s'], start: 's', transitions: { s: { a: 's' } } });
+    expect(stateElimination(empty).regex).toBe('∅');
+  });
+
+  it('records the GNFA after every elimination', () => {
+    const { steps } = stateElimination(evenOnes);
+    expect(steps).toHaveLength(3);
+    expect(steps[0].eliminated).toBeNull();
+    expect(steps[0].states).toEqual(['start', 'even', 'odd', 'accept']);
+    expect(steps[0].edges).toContainEqual({ from: 'start', to: 'even', label: 'ε' });
+    expect(steps[2].states).toEqual(['start', 'accept']);
+    expect(steps[2].edges).toHaveLength(1);
+  });
+
+  it('keeps its own states apart from states named start and accept', () => {
+    const dfa = createDfa({ alphabet: ['a'], states: ['start', 'accept'], start: 'start', accepting: ['accept'], transitions: { start: { a: 'accept' } } });
+    const { steps, regex } = stateElimination(dfa);
+    expect(steps[0].start).toBe("start'");
+    expect(steps[0].accept).toBe("accept'");
+    expect(regex).toBe('a');
+  });
+
+  it('separates multi-character symbols with spaces', () => {
+    const dfa = createDfa({
+      alphabet: ['if', 'x'], states: ['s', 't', 'u'], start: 's', accepting: ['u'],
+      transitions: { s: { if: 't' }, t: { x: 'u' } }
+    });
+    expect(stateElimination(dfa).regex).toBe('if x');
+  });
+});
@@ -0,0 +1,54 @@
+import { accepts, createDfa, setAlphabet } from '../lib/dfa';
+import { checkEquivalence } from '../lib/equivalence';
+import { minimize } from '../lib/minimize';
+import { regexToDfa } from '../lib/regex';
+
+const binary = ['0', '1'];
+
+describe('checkEquivalence', () => {
+  it('finds equivalent DFAs with different state counts equivalent', () => {
+    const dfa = regexToDfa('(0|1)*1', binary);
+    const redundant = createDfa({
+      alphabet: binary,
+      states: ['a', 'b', 'c'],
+      start: 'a',
+      accepting: ['b'],
+      transitions: { a: { '0': 'c', '1': 'b' }, b: { '0': 'a', '1': 'b' }, c: { '0': 'c', '1': 'b' } }
+    });
+    expect(checkEquivalence(dfa, redundant)).toEqual({ equivalent: true });
+    expect(checkEquivalence(redundant, minimize(redundant).dfa)).toEqual({ equivalent: true });
+  });
+
+  it('returns the shortest distinguishing string', () => {
+    const result = checkEquivalence(regexToDfa('0*1', binary), regexToDfa('0*1|00', binary));
+    expect(result).toEqual({ equivalent: false, counterexample: ['0', '0'], acceptedBy: 'second' });
+  });
+
+  it('tells strings apart when one DFA is missing a transition', () => {
+    const result = checkEquivalence(regexToDfa('0*', binary), regexToDfa('(0|1)*', binary));
+    expect(result).toEqual({ equivalent: false, counterexample: ['1'], acceptedBy: 'second' });
+  });
+
+  it('distinguishes on the empty string', () => {
+    const result = checkEquivalence(regexToDfa('0*', binary), regexToDfa('0+', binary));
+    expect(result).toEqual({ equivalent: false, counterexample: [], acceptedBy: 'first' });
+  });
+
+  it('compares DFAs over different alphabets', () => {
+    const narrow = regexToDfa('a*', ['a']);
+    const wide = setAlphabet(narrow, ['a', 'b']);
+    expect(checkEquivalence(narrow, wide)).toEqual({ equivalent: true });
+
+    const result = checkEquivalence(narrow, regexToDfa('a*|b', ['a', 'b']));
+    expect(result.counterexample).toEqual(['b']);
+    expect(accepts(regexToDfa('a*|b', ['a', 'b']), result.counterexample)).toBe(true);
+  });
+
+  it('tells apart pairs of states whose names run together', () => {
+    // State names with spaces: the pairs (p, q r) and (p q, r) are both
+    // written (p q r)
+    const first = createDfa({ alphabet: ['a'], states: ['p', 'p q'], start: 'p', transitions: { p: { a: 'p q' }, 'p q': { a: 'p q' } } });
+    const second = createDfa({ alphabet: ['a'], states: ['q r', 'r'], start: 'q r', accepting: ['r'], transitions: { 'q r': { a: 'r' } } });
+    expect(checkEquivalence(first, second)).toEqual({ equivalent: false, counterexample: ['a'], acceptedBy: 'second' });
+  });
+});
@@ -0,0 +1,94 @@
+import { createDfa } from '../lib/dfa';
+import { fileNameFor, formatForFile, FORMATS, parseJson } from '../lib/formats';
+import { createNfa, EPSILON } from '../lib/nfa';
+import { createPda } from '../lib/pda';
+import { createMealy, createMoore } from '../lib/transducer';
+
+// Partial, with a symbol no transition uses
+const dfa = createDfa({
+  alphabet: ['0', '1', '2'],
+  states: ['q1', 'q0', 'q2'],
+  start: 'q0',
+  accepting: ['q2'],
+  transitions: { q0: { '0': 'q1', '1': 'q1' }, q1: { '1': 'q2' }, q2: { '1': 'q2' } }
+});
+
+// Deterministic even though it's an NFA, with awkward names and tokens
+const nfa = createNfa({
+  alphabet: ['if', 'then', 'x"y'],
+  states: ["it's", 'a b', '<c&d>'],
+  start: 'a b',
+  accepting: ["it's"],
+  transitions: { 'a b': { if: ["it's"], [EPSILON]: ['<c&d>'] }, '<c&d>': { 'x"y': ['a b'] } }
+});
+
+const mealy = createMealy({ ...dfa, outputs: { q0: { '0': 'x', '1': 'yz' } } });
+const moore = createMoore({ ...dfa, outputs: { q0: 'x', q2: 'NUM' } });
+const pda = createPda({
+  alphabet: ['a', 'b'],
+  states: ['q0', 'q1'],
+  start: 'q0',
+  accepting: ['q1'],
+  stackAlphabet: ['Z', 'AB'],
+  acceptance: 'empty-stack',
+  transitions: {
+    q0: [{ symbol: 'a', pop: 'Z', push: ['AB', 'Z'], to: 'q0' }, { symbol: EPSILON, pop: EPSILON, push: [], to: 'q1' }],
+    q1: [{ symbol: 'b', pop: 'AB', push: [], to: 'q1' }, { symbol: EPSILON, pop: 'Z', push: [], to: 'q1' }]
+  }
+});
+
+describe('FORMATS', () => {
+  it.each(Object.keys(FORMATS))('round-trips a DFA and an NFA through %s', (format) => {
+    const { parse, format: write } = FORMATS[format];
+    expect(parse(write(dfa))).toEqual(dfa);
+    expect(parse(write(nfa))).toEqual(nfa);
+  });
+
+  it.each(Object.keys(FORMATS))('round-trips Mealy and Moore machines through %s', (format) => {
+    const { parse, format: write } = FORMATS[format];
+    expect(parse(write(mealy))).toEqual(mealy);
+    expect(parse(write(moore))).toEqual(moore);
+  });
+
+  it.each(Object.keys(FORMATS))('round-trips a PDA through %s', (format) => {
+    const { parse, format: write } = FORMATS[format];
+    expect(parse(write(pda))).toEqual(pda);
+  });
+
+  it.each(Object.keys(FORMATS))('keeps the positions of states through %s', (format) => {
+    const { read, format: write } = FORMATS[format];
+    const positions = { q0: { x: 0, y: 0 }, q2: { x: 300, y: -75 } };
+    // JFLAP files place every state, so the others come back at made-up positions
+    expect(read(write(dfa, positions))).toMatchObject({ automaton: dfa, positions });
+  });
+
+  it.each(Object.keys(FORMATS))('reads %s without positions', (format) => {
+    const { read, format: write } = FORMATS[format];
+    expect(read(write(nfa)).automaton).toEqual(nfa);
+  });
+});
+
+describe('parseJson', () => {
+  it('validates the automaton', () => {
+    expect(() => parseJson('{')).toThrow(/Invalid JSON/);
+    expect(() => parseJson('[]')).toThrow(/"type"/);
+    expect(() => parseJson(JSON.stringify({ ...dfa, start: 'q9' }))).toThrow(/Initial state "q9"/);
+    expect(() => parseJson(JSON.stringify({ ...dfa, positions: { q9: { x: 0, y: 0 } } }))).toThrow(/"q9"/);
+    expect(() => parseJson(JSON.stringify({ ...dfa, positions: { q0: { x: 'left' } } }))).toThrow(/"q0"/);
+  });
+});
+
+describe('formatForFile', () => {
+  it('picks the format by extension', () => {
+    expect(formatForFile('a.JSON')).toBe('json');
+    expect(formatForFile('graph.gv')).toBe('dot');
+    expect(formatForFile('lab.jff')).toBe('jflap');
+    expect(formatForFile('spec.py')).toBe('spec');
+    expect(formatForFile('README')).toBe('spec');
+  });
+
+  it('names downloads after the first extension', () => {
+    expect(fileNameFor('dot')).toBe('automaton.dot');
+    expect(fileNameFor('jflap', 'lab')).toBe('lab.jff');
+  });
+});
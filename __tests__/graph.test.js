@@ -0,0 +1,237 @@
+import { createDfa, run } from '../lib/dfa';
+import {
+  automatonToGraph, dfaToGraph, drawNotation, edgeId, gnfaToGraph, highlightRun, markMergedStates,
+  markOriginalStates, markStates, placeNodes, runColors
+} from '../lib/graph';
+import { createNfa, EPSILON, runNfa } from '../lib/nfa';
+import { createPda, followConfiguration, runPda } from '../lib/pda';
+import { createMealy, createMoore } from '../lib/transducer';
+
+describe('dfaToGraph', () => {
+  const dfa = createDfa({
+    alphabet: ['0', 'A', 'C'],
+    states: ['q0', 'q1'],
+    start: 'q0',
+    accepting: ['q1'],
+    transitions: { q0: { A: 'q1', C: 'q1', '0': 'q0' } }
+  });
+
+  it('creates one node per state, marking the start and accepting states', () => {
+    const { nodes } = dfaToGraph(dfa);
+    expect(nodes.map(n => n.id)).toEqual(['q0', 'q1']);
+    expect(nodes[1]).toMatchObject({ label: 'q1', title: 'accepting', accepting: true, start: false });
+    expect(nodes[0]).toMatchObject({ accepting: false, start: true });
+  });
+
+  it('merges symbols between the same states into one edge', () => {
+    const { edges } = dfaToGraph(dfa);
+    expect(edges).toHaveLength(2);
+    const merged = edges.find(e => e.id === edgeId('q0', 'q1'));
+    expect(merged.symbols).toEqual(['A', 'C']);
+    expect(merged.label).toBe('A, C');
+  });
+
+  it('bends edges apart only when they run both ways', () => {
+    const { edges } = dfaToGraph(createDfa({ ...dfa, transitions: { ...dfa.transitions, q1: { A: 'q0' } } }));
+    expect(edges.find(e => e.id === edgeId('q0', 'q1')).smooth).toMatchObject({ enabled: true, type: 'curvedCW' });
+    expect(edges.find(e => e.id === edgeId('q1', 'q0')).smooth).toMatchObject({ enabled: true, type: 'curvedCW' });
+    expect(dfaToGraph(dfa).edges.find(e => e.id === edgeId('q0', 'q1')).smooth).toEqual({ enabled: false });
+  });
+
+  it('draws self-loops above their state', () => {
+    const loop = dfaToGraph(dfa).edges.find(e => e.id === edgeId('q0', 'q0'));
+    expect(loop.selfReference).toEqual({ size: 18, angle: Math.PI / 2 });
+  });
+});
+
+describe('placeNodes', () => {
+  it('moves the nodes that have a position', () => {
+    const dfa = createDfa({ alphabet: ['a'], states: ['s', 't'], start: 's' });
+    const { nodes } = placeNodes(dfaToGraph(dfa), { t: { x: 10, y: -20 }, gone: { x: 0, y: 0 } });
+    expect(nodes[0].x).toBeUndefined();
+    expect(nodes[1]).toMatchObject({ id: 't', x: 10, y: -20 });
+  });
+});
+
+describe('automatonToGraph', () => {
+  it('draws one edge per target of an NFA transition, including ε', () => {
+    const nfa = createNfa({
+      alphabet: ['a'], states: ['s', 't'], start: 's',
+      transitions: { s: { a: ['s', 't'], [EPSILON]: ['t'] } }
+    });
+    const { edges } = automatonToGraph(nfa);
+    expect(edges.map(e => [e.id, e.label])).toEqual([
+      [edgeId('s', 's'), 'a'],
+      [edgeId('s', 't'), `a, ${EPSILON}`]
+    ]);
+  });
+});
+
+describe('transducer graphs', () => {
+  const definition = { alphabet: ['a', 'b'], states: ['s', 't'], start: 's', transitions: { s: { a: 't', b: 't' } } };
+
+  it('labels Mealy transitions with their outputs', () => {
+    const { edges } = automatonToGraph(createMealy({ ...definition, outputs: { s: { a: 'x' } } }));
+    expect(edges.map(e => [e.label, e.symbols])).toEqual([['a/x, b/ε', ['a', 'b']]]);
+  });
+
+  it('labels Moore states with their outputs', () => {
+    const { nodes } = automatonToGraph(createMoore({ ...definition, outputs: { t: 'NUM' } }));
+    expect(nodes.map(n => [n.id, n.label])).toEqual([['s', 's/ε'], ['t', 't/NUM']]);
+  });
+});
+
+describe('PDA graphs', () => {
+  const pda = createPda({
+    alphabet: ['a'],
+    states: ['s', 't'],
+    start: 's',
+    accepting: ['t'],
+    transitions: {
+      s: [{ symbol: 'a', pop: EPSILON, push: ['Z'], to: 's' }, { symbol: 'a', pop: 'Z', push: [], to: 't' }]
+    }
+  });
+
+  it('put each transition label on a line of its own', () => {
+    const looping = createPda({ ...pda, transitions: { s: [...pda.transitions.s, { symbol: 'a', pop: EPSILON, push: [], to: 's' }] } });
+    expect(automatonToGraph(looping).edges.map(e => e.label))
+      .toEqual([`a, Z → ${EPSILON}`, `a, ${EPSILON} → ${EPSILON}\na, ${EPSILON} → Z`]);
+  });
+
+  it('color the end of the branch a run follows', () => {
+    const result = runPda(pda, ['a']);
+    const colorOf = (shown) => highlightRun(automatonToGraph(pda), pda, shown).nodes.find(n => n.id === shown.state).color.background;
+    expect(colorOf(result)).toBe(runColors.accepted);
+    expect(colorOf(followConfiguration(result, 2))).toBe(runColors.rejected);
+  });
+});
+
+describe('minimization views', () => {
+  const dfa = createDfa({ alphabet: ['a'], states: ['s', 't', 'u'], start: 's', accepting: ['t'] });
+
+  it('lists merged states in the tooltip of the minimized DFA', () => {
+    const minimized = createDfa({ alphabet: ['a'], states: ['s', 't'], start: 's', accepting: ['t'] });
+    const { nodes } = markMergedStates(dfaToGraph(minimized), { s: ['s', 'u'], t: ['t'] });
+    expect(nodes[0].title).toBe('Merged from s, u');
+    expect(nodes[1].title).toBe('Kept t');
+    expect(nodes[0].color.background).not.toBe(nodes[1].color.background);
+    expect(nodes[1].color.border).toBe('#000000');
+  });
+
+  it('colors original states like their group and dims removed ones', () => {
+    const { nodes } = markOriginalStates(dfaToGraph(dfa), { s: ['s'], t: ['t'] }, { u: 'unreachable' });
+    expect(nodes[0].title).toBe('Merged into s');
+    expect(nodes[2].title).toBe('Removed: unreachable');
+    expect(nodes[2].shapeProperties.borderDashes).toEqual([5, 5]);
+  });
+});
+
+describe('markStates', () => {
+  // t is a trap and u can't be reached
+  const dfa = createDfa({
+    alphabet: ['0'],
+    states: ['s', 'a', 't', 'u'],
+    start: 's',
+    accepting: ['a'],
+    transitions: { s: { 0: 'a' }, a: { 0: 't' }, t: { 0: 't' }, u: { 0: 's' } }
+  });
+  const node = (graph, id) => graph.nodes.find(n => n.id === id);
+
+  it('highlights unreachable states', () => {
+    const graph = markStates(dfaToGraph(dfa), dfa);
+    expect(node(graph, 'u')).toMatchObject({ title: 'Unreachable from the start state', color: { border: '#FB8C00' } });
+    expect(node(graph, 's')).toEqual(node(dfaToGraph(dfa), 's'));
+  });
+
+  it('dims or hides dead states', () => {
+    expect(node(markStates(dfaToGraph(dfa), dfa, 'show'), 't').shapeProperties).toBeUndefined();
+    expect(node(markStates(dfaToGraph(dfa), dfa, 'dim'), 't').shapeProperties.borderDashes).toEqual([5, 5]);
+
+    const hidden = markStates(dfaToGraph(dfa), dfa, 'hide');
+    expect(node(hidden, 't').hidden).toBe(true);
+    expect(hidden.edges.filter(e => e.hidden).map(e => e.id)).toEqual([edgeId('a', 't'), edgeId('t', 't')]);
+  });
+
+  it('keeps the start state drawn when it is dead', () => {
+    const lonely = createDfa({ alphabet: ['0'], states: ['Start'], start: 'Start' });
+    expect(markStates(dfaToGraph(lonely), lonely, 'hide').nodes).toEqual(dfaToGraph(lonely).nodes);
+
+    const hopeless = createDfa({ alphabet: ['0'], states: ['s', 't'], start: 's', transitions: { s: { 0: 't' } } });
+    const hidden = markStates(dfaToGraph(hopeless), hopeless, 'hide');
+    expect(hidden.nodes.map(n => !!n.hidden)).toEqual([false, true]);
+    expect(node(markStates(dfaToGraph(hopeless), hopeless, 'dim'), 's')).toEqual(node(dfaToGraph(hopeless), 's'));
+  });
+});
+
+describe('drawNotation', () => {
+  it('draws an arrow into the start state and a ring inside accepting ones', () => {
+    const calls = [];
+    const ctx = new Proxy({}, {
+      get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+      set: (target, name, value) => { target[name] = value; return true; }
+    });
+    const network = { getBoundingBox: () => ({ left: 0, right: 40, top: 0, bottom: 40 }) };
+    drawNotation(ctx, network, dfaToGraph(createDfa({ alphabet: ['0'], states: ['s', 't'], start: 's', accepting: ['t'] })));
+    expect(calls).toContainEqual(['arc', 20, 20, 16, 0, 2 * Math.PI]);
+    expect(calls).toContainEqual(['lineTo', -1, 20]);
+    expect(calls.filter(([name]) => name === 'arc')).toHaveLength(1);
+  });
+});
+
+describe('gnfaToGraph', () => {
+  it('labels edges with their expressions', () => {
+    const graph = gnfaToGraph({
+      eliminated: 'q', states: ['start', 'accept'], start: 'start', accept: 'accept',
+      edges: [{ from: 'start', to: 'accept', label: '(0|1)*' }]
+    });
+    expect(graph.nodes.map(n => n.id)).toEqual(['start', 'accept']);
+    expect(graph.nodes[1].borderWidth).toBe(3);
+    expect(graph.edges).toEqual([expect.objectContaining({ id: edgeId('start', 'accept'), label: '(0|1)*' })]);
+  });
+});
+
+describe('highlightRun', () => {
+  const dfa = createDfa({
+    alphabet: ['a', 'b'], states: ['s', 't'], start: 's', accepting: ['t'],
+    transitions: { s: { a: 't' }, t: { a: 't' } }
+  });
+  const background = (graph, id) => {
+    const node = graph.nodes.find(n => n.id === id);
+    return node.color && node.color.background;
+  };
+
+  it('leaves a trail of the steps shown so far', () => {
+    const result = run(dfa, ['a', 'a']);
+    const graph = highlightRun(dfaToGraph(dfa), dfa, result, 1);
+    expect(background(graph, 's')).toBe(runColors.active);
+    expect(background(graph, 't')).toBe(runColors.active);
+    expect(graph.edges.find(e => e.id === edgeId('s', 't')).color.color).toBe(runColors.edge);
+    expect(graph.edges.find(e => e.id === edgeId('t', 't')).color).toBeUndefined();
+  });
+
+  it('colors the final state by the outcome once every step is shown', () => {
+    const accepted = highlightRun(dfaToGraph(dfa), dfa, run(dfa, ['a']));
+    expect(background(accepted, 't')).toBe(runColors.accepted);
+    expect(accepted.nodes.find(n => n.id === 't').color.border).toBe('#000000');
+
+    const rejected = highlightRun(dfaToGraph(dfa), dfa, run(dfa, []));
+    expect(background(rejected, 's')).toBe(runColors.rejected);
+
+    const stuck = highlightRun(dfaToGraph(dfa), dfa, run(dfa, ['b']));
+    expect(background(stuck, 's')).toBe(runColors.active);
+    const stuckShown = highlightRun(dfaToGraph(dfa), dfa, run(dfa, ['b']), 1);
+    expect(background(stuckShown, 's')).toBe(runColors.rejected);
+  });
+
+  it('shows only the active set of an NFA run', () => {
+    const nfa = createNfa({
+      alphabet: ['a'], states: ['s', 't', 'u'], start: 's', accepting: ['u'],
+      transitions: { s: { a: ['t'] }, t: { [EPSILON]: ['u'] } }
+    });
+    const graph = highlightRun(automatonToGraph(nfa), nfa, runNfa(nfa, ['a']));
+    expect(background(graph, 's')).toBeUndefined();
+    expect(background(graph, 't')).toBe(runColors.rejected);
+    expect(background(graph, 'u')).toBe(runColors.accepted);
+    expect(graph.edges.every(e => e.color)).toBe(true);
+  });
+});
@@ -0,0 +1,44 @@
+import {
+  canRedo, canUndo, createHistory, currentSnapshot, HISTORY_LIMIT, jumpTo, record, redo, undo
+} from '../lib/history';
+
+describe('history', () => {
+  const history = record(record(createHistory('a'), 'Add b', 'b'), 'Add c', 'c');
+
+  it('records labeled snapshots', () => {
+    expect(history.entries.map(e => e.label)).toEqual(['Start', 'Add b', 'Add c']);
+    expect(currentSnapshot(history)).toBe('c');
+    expect(canUndo(history)).toBe(true);
+    expect(canRedo(history)).toBe(false);
+  });
+
+  it('undoes and redoes', () => {
+    const undone = undo(undo(history));
+    expect(currentSnapshot(undone)).toBe('a');
+    expect(canUndo(undone)).toBe(false);
+    expect(undo(undone)).toBe(undone);
+    expect(currentSnapshot(redo(undone))).toBe('b');
+    expect(redo(history)).toBe(history);
+  });
+
+  it('drops the redo entries when recording after an undo', () => {
+    const branched = record(undo(history), 'Add d', 'd');
+    expect(branched.entries.map(e => e.snapshot)).toEqual(['a', 'b', 'd']);
+    expect(canRedo(branched)).toBe(false);
+  });
+
+  it('jumps to any entry', () => {
+    const jumped = jumpTo(history, 0);
+    expect(currentSnapshot(jumped)).toBe('a');
+    expect(jumped.entries).toBe(history.entries);
+    expect(() => jumpTo(history, 3)).toThrow(RangeError);
+  });
+
+  it(`keeps the last ${HISTORY_LIMIT} entries`, () => {
+    let long = createHistory(0);
+    for (let idx = 1; idx <= HISTORY_LIMIT + 5; idx++) long = record(long, `Step ${idx}`, idx);
+    expect(long.entries).toHaveLength(HISTORY_LIMIT);
+    expect(long.entries[0].snapshot).toBe(6);
+    expect(currentSnapshot(long)).toBe(HISTORY_LIMIT + 5);
+  });
+});
@@ -0,0 +1,81 @@
+import { accepts, DfaError } from '../lib/dfa';
+import { formatJflap, parseJflap } from '../lib/jflap';
+import { EPSILON, nfaAccepts } from '../lib/nfa';
+import { pdaAccepts } from '../lib/pda';
+
+// As saved by JFLAP 7.1
+const jflapFile = `<?xml version="1.0" encoding="UTF-8" standalone="no"?><!--Created with JFLAP 7.1.--><structure>
+	<type>fa</type>
+	<automaton>
+		<!--The list of states.-->
+		<state id="0" name="q0">
+			<x>90.0</x>
+			<y>120.0</y>
+			<initial/>
+		</state>
+		<state id="1" name="q1">
+			<x>220.0</x>
+			<y>120.0</y>
+			<final/>
+		</state>
+		<!--The list of transitions.-->
+		<transition>
+			<from>0</from>
+			<to>1</to>
+			<read>a</read>
+		</transition>
+		<transition>
+			<from>1</from>
+			<to>1</to>
+			<read>b</read>
+		</transition>
+	</automaton>
+</structure>`;
+
+describe('parseJflap', () => {
+  it('reads files written by JFLAP', () => {
+    const dfa = parseJflap(jflapFile);
+    expect(dfa.type).toBe('dfa');
+    expect(dfa.states).toEqual(['q0', 'q1']);
+    expect(dfa.alphabet).toEqual(['a', 'b']);
+    expect(accepts(dfa, ['a', 'b', 'b'])).toBe(true);
+    expect(accepts(dfa, ['b'])).toBe(false);
+  });
+
+  it('reads empty transitions as ε and makes an NFA', () => {
+    const nfa = parseJflap(jflapFile.replace('<read>b</read>', '<read/>'));
+    expect(nfa.type).toBe('nfa');
+    expect(nfa.alphabet).toEqual(['a']);
+    expect(nfaAccepts(nfa, ['a'])).toBe(true);
+  });
+
+  it('reads JFLAP PDAs, starting with Z on the stack', () => {
+    const pda = parseJflap(jflapFile
+      .replace('<type>fa</type>', '<type>pda</type>')
+      .replace('<read>a</read>', '<read>a</read><pop>Z</pop><push>AZ</push>')
+      .replace('<read>b</read>', '<read>b</read><pop>A</pop><push/>'));
+    expect(pda).toMatchObject({ type: 'pda', stackAlphabet: ['Z', 'A'], initialStack: 'Z', acceptance: 'final-state' });
+    expect(pda.transitions.q1).toEqual([{ symbol: 'b', pop: 'A', push: [], to: 'q1' }]);
+    expect(pdaAccepts(pda, ['a', 'b'])).toBe(true);
+    expect(pdaAccepts(pda, ['a', 'b', 'b'])).toBe(false);
+    expect(pda.transitions.q0[0].pop).not.toBe(EPSILON);
+  });
+
+  it('rejects other JFLAP machines and broken files', () => {
+    expect(() => parseJflap(jflapFile.replace('<type>fa</type>', '<type>turing</type>'))).toThrow(/only finite automata/);
+    expect(() => parseJflap(jflapFile.replace('<initial/>', ''))).toThrow(/no initial state/);
+    expect(() => parseJflap(jflapFile.replace('</automaton>', ''))).toThrow(/Unexpected <\/structure>/);
+    expect(() => parseJflap('<nothing/>')).toThrow(/<structure>/);
+    const damaged = formatJflap(parseJflap(jflapFile)).replace(/<!--dfa-visualize (.*)\}-->/, '<!--dfa-visualize $1-->');
+    expect(() => parseJflap(damaged)).toThrow(DfaError);
+    expect(() => parseJflap(damaged)).toThrow(/dfa-visualize comment is damaged/);
+  });
+});
+
+describe('formatJflap', () => {
+  it('writes the given positions', () => {
+    const text = formatJflap(parseJflap(jflapFile), { q1: { x: 300, y: 40.5 } });
+    expect(text).toContain('<state id="1" name="q1">\n      <x>300.0</x>\n      <y>40.5</y>');
+    expect(text).toContain('<transition><from>0</from><to>1</to><read>a</read></transition>');
+  });
+});
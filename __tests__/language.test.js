@@ -0,0 +1,101 @@
+import { createDfa } from '../lib/dfa';
+import { classifyLanguage, countByLength, enumerateLanguage, maxExactLength, randomString } from '../lib/language';
+
+// Strings over {a, b} with an even number of a's
+const evenAs = createDfa({
+  alphabet: ['a', 'b'],
+  states: ['even', 'odd'],
+  start: 'even',
+  accepting: ['even'],
+  transitions: { even: { a: 'odd', b: 'even' }, odd: { a: 'even', b: 'odd' } }
+});
+
+// Just "a" and "ab", as a partial DFA
+const aOrAb = createDfa({
+  alphabet: ['a', 'b'],
+  states: ['s', 't', 'u'],
+  start: 's',
+  accepting: ['t', 'u'],
+  transitions: { s: { a: 't' }, t: { b: 'u' } }
+});
+
+const join = (strings) => strings.map(symbols => symbols.join(''));
+
+describe('enumerateLanguage', () => {
+  it('lists accepted strings shortest first, then in alphabet order', () => {
+    expect(join(enumerateLanguage(evenAs, 2).strings)).toEqual(['', 'b', 'aa', 'bb']);
+  });
+
+  it('handles partial DFAs', () => {
+    expect(enumerateLanguage(aOrAb, 5)).toEqual({ strings: [['a'], ['a', 'b']], truncated: false });
+  });
+
+  it('stops at the limit', () => {
+    const { strings, truncated } = enumerateLanguage(evenAs, 3, 3);
+    expect(join(strings)).toEqual(['', 'b', 'aa']);
+    expect(truncated).toBe(true);
+  });
+});
+
+describe('countByLength', () => {
+  it('counts accepted strings of each length', () => {
+    expect(countByLength(evenAs, 4)).toEqual([1, 1, 2, 4, 8]);
+    expect(countByLength(aOrAb, 3)).toEqual([0, 1, 1, 0]);
+  });
+});
+
+describe('classifyLanguage', () => {
+  it('tells empty, finite and infinite languages apart', () => {
+    expect(classifyLanguage(evenAs)).toEqual({ kind: 'infinite' });
+    expect(classifyLanguage(aOrAb)).toEqual({ kind: 'finite', size: 2, longest: 2 });
+    expect(classifyLanguage(createDfa({ ...evenAs, accepting: [] }))).toEqual({ kind: 'empty' });
+  });
+
+  it('ignores cycles that cannot lead to acceptance', () => {
+    const withTrap = createDfa({
+      ...aOrAb,
+      states: [...aOrAb.states, 'trap'],
+      transitions: { ...aOrAb.transitions, u: { a: 'trap', b: 'trap' }, trap: { a: 'trap', b: 'trap' } }
+    });
+    expect(classifyLanguage(withTrap)).toEqual({ kind: 'finite', size: 2, longest: 2 });
+  });
+
+  it('accepts just the empty string', () => {
+    expect(classifyLanguage(createDfa({ ...aOrAb, accepting: ['s'] })))
+      .toEqual({ kind: 'finite', size: 1, longest: 0 });
+  });
+});
+
+describe('randomString', () => {
+  it('generates accepted and rejected strings of the given length', () => {
+    for (let i = 0; i < 20; i++) {
+      const accepted = randomString(evenAs, 5);
+      expect(accepted).toHaveLength(5);
+      expect(accepted.filter(symbol => symbol === 'a').length % 2).toBe(0);
+      const rejected = randomString(evenAs, 5, false);
+      expect(rejected.filter(symbol => symbol === 'a').length % 2).toBe(1);
+    }
+  });
+
+  it('picks in proportion to the number of strings', () => {
+    // aa, ba and bb are rejected, in that order
+    expect(randomString(aOrAb, 2, false, () => 0).join('')).toBe('aa');
+    expect(randomString(aOrAb, 2, false, () => 0.99).join('')).toBe('bb');
+  });
+
+  it('returns null when there is no such string', () => {
+    expect(randomString(aOrAb, 3)).toBeNull();
+    expect(randomString(createDfa({ ...evenAs, accepting: evenAs.states }), 2, false)).toBeNull();
+  });
+});
+
+describe('maxExactLength', () => {
+  it('stops where counting strings would no longer be exact', () => {
+    expect(maxExactLength(2)).toBe(52);
+    expect(maxExactLength(7)).toBe(18);
+    expect(7 ** maxExactLength(7)).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
+    expect(7 ** (maxExactLength(7) + 1)).toBeGreaterThan(Number.MAX_SAFE_INTEGER);
+    expect(maxExactLength(2, 20)).toBe(20);
+    expect(maxExactLength(1, 20)).toBe(20);
+  });
+});
@@ -0,0 +1,68 @@
+import { createDfa } from '../lib/dfa';
+import { createNfa } from '../lib/nfa';
+import { circularLayout, forceLayout, layeredLayout, LAYOUTS, positionsFor } from '../lib/layout';
+
+// s branches to a and b, which both lead to t; u can't be reached
+const diamond = createDfa({
+  alphabet: ['0', '1'],
+  states: ['u', 't', 'b', 'a', 's'],
+  start: 's',
+  accepting: ['t'],
+  transitions: { s: { 0: 'a', 1: 'b' }, a: { 0: 't' }, b: { 0: 't' }, t: { 0: 't' }, u: { 0: 's' } }
+});
+
+const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+
+describe('layeredLayout', () => {
+  it('puts each breadth-first layer in its own column, left to right', () => {
+    expect(layeredLayout(diamond)).toEqual({
+      s: { x: 0, y: 0 },
+      a: { x: 150, y: -75 },
+      b: { x: 150, y: 75 },
+      t: { x: 300, y: 0 },
+      u: { x: 450, y: 0 }
+    });
+  });
+
+  it('follows NFA transitions', () => {
+    const nfa = createNfa({ alphabet: ['0'], states: ['p', 'q', 'r'], start: 'p', transitions: { p: { 0: ['r', 'q'] } } });
+    expect(layeredLayout(nfa)).toMatchObject({ q: { x: 150, y: -75 }, r: { x: 150, y: 75 } });
+  });
+});
+
+describe('circularLayout', () => {
+  it('spreads the states on a circle with the start state on the left', () => {
+    const positions = circularLayout(diamond);
+    expect(positions.s).toEqual({ x: -150, y: 0 });
+    Object.values(positions).forEach(p => expect(Math.hypot(p.x, p.y)).toBeCloseTo(150, -1));
+  });
+});
+
+describe('forceLayout', () => {
+  it('is deterministic and keeps states apart', () => {
+    const positions = forceLayout(diamond);
+    expect(forceLayout(diamond)).toEqual(positions);
+    const states = Object.keys(positions);
+    expect(states.sort()).toEqual([...diamond.states].sort());
+    states.forEach(p => states.filter(q => q !== p).forEach(q =>
+      expect(distance(positions[p], positions[q])).toBeGreaterThan(50)));
+  });
+
+  it('keeps connected states closer than unconnected ones', () => {
+    const positions = forceLayout(diamond);
+    expect(distance(positions.s, positions.a)).toBeLessThan(distance(positions.a, positions.b) + 1);
+  });
+});
+
+describe('LAYOUTS', () => {
+  it.each(Object.keys(LAYOUTS))('places every state with %s', (layout) => {
+    expect(Object.keys(LAYOUTS[layout].place(diamond)).sort()).toEqual([...diamond.states].sort());
+  });
+});
+
+describe('positionsFor', () => {
+  it('keeps the states of the automaton, rounded', () => {
+    expect(positionsFor(diamond, { s: { x: 1.4, y: 2.6 }, gone: { x: 0, y: 0 }, a: { x: NaN, y: 0 } }))
+      .toEqual({ s: { x: 1, y: 3 } });
+  });
+});
@@ -0,0 +1,109 @@
+import { accepts, createDfa, reachableStates } from '../lib/dfa';
+import { minimize } from '../lib/minimize';
+import { parseSpec } from '../lib/spec';
+
+const allStrings = (alphabet, maxLength) => {
+  const strings = [[]];
+  for (let idx = 0; idx < strings.length; idx++) {
+    if (strings[idx].length < maxLength) {
+      alphabet.forEach(symbol => strings.push([...strings[idx], symbol]));
+    }
+  }
+  return strings;
+};
+
+const expectSameLanguage = (a, b) => {
+  allStrings(a.alphabet, 6).forEach(symbols => {
+    expect(accepts(b, symbols)).toBe(accepts(a, symbols));
+  });
+};
+
+describe('reachableStates', () => {
+  it('lists states reachable from the start', () => {
+    const dfa = createDfa({
+      alphabet: ['a'], states: ['s', 'u', 't'], start: 's', transitions: { s: { a: 't' }, u: { a: 's' } }
+    });
+    expect(reachableStates(dfa)).toEqual(['s', 't']);
+  });
+});
+
+describe('minimize', () => {
+  it('merges indistinguishable states', () => {
+    // Even number of 1s, with the "even" state needlessly duplicated
+    const dfa = createDfa({
+      alphabet: ['0', '1'],
+      states: ['e1', 'o', 'e2'],
+      start: 'e1',
+      accepting: ['e1', 'e2'],
+      transitions: {
+        e1: { '0': 'e2', '1': 'o' },
+        e2: { '0': 'e1', '1': 'o' },
+        o: { '0': 'o', '1': 'e2' }
+      }
+    });
+    const result = minimize(dfa);
+    expect(result.dfa.states).toEqual(['e1', 'o']);
+    expect(result.groups).toEqual({ e1: ['e1', 'e2'], o: ['o'] });
+    expect(result.dfa.transitions).toEqual({ e1: { '0': 'e1', '1': 'o' }, o: { '0': 'o', '1': 'e1' } });
+    expectSameLanguage(dfa, result.dfa);
+  });
+
+  it('drops unreachable states', () => {
+    const dfa = createDfa({
+      alphabet: ['a'], states: ['s', 'lost'], start: 's', accepting: ['s'],
+      transitions: { s: { a: 's' }, lost: { a: 's' } }
+    });
+    const result = minimize(dfa);
+    expect(result.unreachable).toEqual(['lost']);
+    expect(result.dfa.states).toEqual(['s']);
+  });
+
+  it('keeps partial DFAs partial and drops dead states', () => {
+    const dfa = createDfa({
+      alphabet: ['a', 'b'], states: ['s', 't', 'trap'], start: 's', accepting: ['t'],
+      transitions: { s: { a: 't', b: 'trap' }, trap: { a: 'trap', b: 'trap' } }
+    });
+    const result = minimize(dfa);
+    expect(result.dead).toEqual(['trap']);
+    expect(result.dfa.states).toEqual(['s', 't']);
+    expect(result.dfa.transitions.s).toEqual({ a: 't' });
+    expectSameLanguage(dfa, result.dfa);
+  });
+
+  it('keeps the trap state of a complete DFA', () => {
+    const dfa = createDfa({
+      alphabet: ['a'], states: ['s', 't', 'trap'], start: 's', accepting: ['t'],
+      transitions: { s: { a: 't' }, t: { a: 'trap' }, trap: { a: 'trap' } }
+    });
+    expect(minimize(dfa).dfa.states).toEqual(['s', 't', 'trap']);
+  });
+
+  it('reduces an empty language to a single start state', () => {
+    const dfa = createDfa({
+      alphabet: ['a'], states: ['s', 't'], start: 's', transitions: { s: { a: 't' } }
+    });
+    const result = minimize(dfa);
+    expect(result.dfa.states).toEqual(['s']);
+    expect(result.dfa.accepting).toEqual([]);
+  });
+
+  it('minimizes the default specification', () => {
+    const dfa = parseSpec(`SPEC_DFA = {
+      'alphabet': {'0', 'A', 'C'},
+      'states': {'q0', 'q1', 'q2', 'q3', 'q4', 'q5'},
+      'initial_state': 'q0',
+      'accepting_states': {'q3'},
+      'transitions': {
+        ('q0', 'C'): 'q0', ('q0', 'A'): 'q1', ('q0', '0'): 'q4',
+        ('q1', 'C'): 'q2', ('q1', 'A'): 'q1', ('q1', '0'): 'q4',
+        ('q2', 'A'): 'q1', ('q2', '0'): 'q3', ('q2', 'C'): 'q0',
+        ('q3', '0'): 'q4', ('q3', 'A'): 'q1', ('q3', 'C'): 'q0',
+        ('q4', 'C'): 'q5', ('q4', '0'): 'q4', ('q4', 'A'): 'q1',
+        ('q5', 'C'): 'q0', ('q5', 'A'): 'q3', ('q5', '0'): 'q4',
+      }
+    }`);
+    const result = minimize(dfa);
+    expectSameLanguage(dfa, result.dfa);
+    expect(minimize(result.dfa).dfa.states).toEqual(result.dfa.states);
+  });
+});
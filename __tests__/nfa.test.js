@@ -0,0 +1,150 @@
+import { accepts, createDfa, DfaError } from '../lib/dfa';
+import {
+  addNfaTransition, createNfa, dfaToNfa, epsilonClosure, EPSILON, move, nfaAccepts,
+  nfaAsDfa, removeNfaState, removeNfaTransition, renameNfaState, retargetNfaTransition, runNfa, setNfaStart,
+  subsetConstruction, subsetName
+} from '../lib/nfa';
+
+// Strings over {a, b} whose second-to-last symbol is a
+const secondToLastA = () => createNfa({
+  alphabet: ['a', 'b'],
+  states: ['p', 'q', 'r'],
+  start: 'p',
+  accepting: ['r'],
+  transitions: {
+    p: { a: ['p', 'q'], b: ['p'] },
+    q: { a: ['r'], b: ['r'] }
+  }
+});
+
+// a* followed by b*, glued together with an ε-transition
+const aStarBStar = () => createNfa({
+  alphabet: ['a', 'b'],
+  states: ['s', 't'],
+  start: 's',
+  accepting: ['t'],
+  transitions: {
+    s: { a: ['s'], [EPSILON]: ['t'] },
+    t: { b: ['t'] }
+  }
+});
+
+const allStrings = (alphabet, maxLength) => {
+  const strings = [[]];
+  for (let idx = 0; idx < strings.length; idx++) {
+    if (strings[idx].length < maxLength) {
+      alphabet.forEach(symbol => strings.push([...strings[idx], symbol]));
+    }
+  }
+  return strings;
+};
+
+describe('createNfa', () => {
+  it('keeps target sets in state order', () => {
+    const nfa = createNfa({ alphabet: ['a'], states: ['x', 'y'], start: 'x', transitions: { x: { a: ['y', 'x', 'y'] } } });
+    expect(nfa.type).toBe('nfa');
+    expect(nfa.transitions.x.a).toEqual(['x', 'y']);
+  });
+
+  it('rejects ε in the alphabet and undeclared targets', () => {
+    expect(() => createNfa({ alphabet: [EPSILON], states: ['x'], start: 'x' })).toThrow(DfaError);
+    expect(() => createNfa({ alphabet: ['a'], states: ['x'], start: 'x', transitions: { x: { a: ['z'] } } }))
+      .toThrow('undeclared state "z"');
+  });
+});
+
+describe('simulation', () => {
+  it('computes ε-closures and moves', () => {
+    const nfa = aStarBStar();
+    expect(epsilonClosure(nfa, ['s'])).toEqual(['s', 't']);
+    expect(move(nfa, ['s', 't'], 'b')).toEqual(['t']);
+  });
+
+  it('tracks the active state set at each step', () => {
+    const result = runNfa(secondToLastA(), ['a', 'b']);
+    expect(result.steps.map(s => s.to)).toEqual([['p', 'q'], ['p', 'r']]);
+    expect(result.accepted).toBe(true);
+  });
+
+  it('accepts through ε-transitions', () => {
+    const nfa = aStarBStar();
+    expect(nfaAccepts(nfa, [])).toBe(true);
+    expect(nfaAccepts(nfa, ['a', 'a', 'b'])).toBe(true);
+    expect(nfaAccepts(nfa, ['b', 'a'])).toBe(false);
+  });
+
+  it('stops when no state is active', () => {
+    const result = runNfa(aStarBStar(), ['b', 'a', 'b']);
+    expect(result.reason).toBe('no-active-states');
+    expect(result.position).toBe(1);
+  });
+});
+
+describe('subsetConstruction', () => {
+  it.each([
+    ['second-to-last a', secondToLastA],
+    ['a*b*', aStarBStar]
+  ])('builds a DFA for the same language (%s)', (name, build) => {
+    const nfa = build();
+    const dfa = subsetConstruction(nfa);
+    expect(dfa.type).toBe('dfa');
+    allStrings(nfa.alphabet, 6).forEach(symbols => {
+      expect(accepts(dfa, symbols)).toBe(nfaAccepts(nfa, symbols));
+    });
+  });
+
+  it('names states after the subsets they stand for', () => {
+    const dfa = subsetConstruction(aStarBStar());
+    expect(dfa.start).toBe(subsetName(['s', 't']));
+    expect(dfa.states).toEqual(['[s t]', '[t]']);
+  });
+});
+
+describe('converting between DFAs and NFAs', () => {
+  const dfa = createDfa({ alphabet: ['a'], states: ['x', 'y'], start: 'x', transitions: { x: { a: 'y' } } });
+
+  it('round-trips deterministic automata', () => {
+    expect(dfaToNfa(dfa).transitions.x.a).toEqual(['y']);
+    expect(nfaAsDfa(dfaToNfa(dfa))).toEqual(dfa);
+  });
+
+  it('refuses to treat a nondeterministic NFA as a DFA', () => {
+    const nfa = addNfaTransition(dfaToNfa(dfa), 'x', 'a', 'x');
+    expect(() => nfaAsDfa(nfa)).toThrow('nondeterministic');
+  });
+});
+
+describe('editing', () => {
+  it('deletes states with their transitions, but not the start state', () => {
+    const nfa = removeNfaState(secondToLastA(), 'q');
+    expect(nfa.states).toEqual(['p', 'r']);
+    expect(nfa.transitions).toEqual({ p: { a: ['p'], b: ['p'] }, r: {} });
+    expect(() => removeNfaState(nfa, 'p')).toThrow('p is the start state');
+  });
+
+  it('renames states everywhere they are used', () => {
+    const nfa = renameNfaState(aStarBStar(), 't', 'u');
+    expect(nfa.states).toEqual(['s', 'u']);
+    expect(nfa.accepting).toEqual(['u']);
+    expect(nfa.transitions).toEqual({ s: { a: ['s'], [EPSILON]: ['u'] }, u: { b: ['u'] } });
+    expect(() => renameNfaState(nfa, 'u', 's')).toThrow('already exists');
+  });
+
+  it('changes the start state', () => {
+    expect(setNfaStart(aStarBStar(), 't').start).toBe('t');
+  });
+
+  it('deletes one target of a transition at a time', () => {
+    const nfa = removeNfaTransition(secondToLastA(), 'p', 'a', 'p');
+    expect(nfa.transitions.p).toEqual({ a: ['q'], b: ['p'] });
+    const withoutEpsilon = removeNfaTransition(aStarBStar(), 's', EPSILON, 't');
+    expect(withoutEpsilon.transitions.s).toEqual({ a: ['s'] });
+    expect(() => removeNfaTransition(nfa, 'p', 'a', 'p')).toThrow('p has no transition with value a to p');
+  });
+
+  it('points one target of a transition at another state', () => {
+    const nfa = retargetNfaTransition(secondToLastA(), 'q', 'b', 'r', 'p');
+    expect(nfa.transitions.q).toEqual({ a: ['r'], b: ['p'] });
+    expect(retargetNfaTransition(nfa, 'p', 'a', 'p', 'q').transitions.p.a).toEqual(['q']);
+  });
+});
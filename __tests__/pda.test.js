@@ -0,0 +1,141 @@
+import { createNfa, EPSILON } from '../lib/nfa';
+import {
+  addPdaTransition, createPda, followConfiguration, formatPdaLabel, labeledPdaTransitions, nfaToPda, parsePdaLabel,
+  pdaAccepts, pdaToNfa, removePdaState, removePdaTransition, renamePdaState, retargetPdaTransition, runPda,
+  setAcceptance, setStackAlphabet
+} from '../lib/pda';
+
+const move = (symbol, pop, push, to) => ({ symbol, pop, push, to });
+
+// aⁿbⁿ, guessing where the a's end
+const anbn = createPda({
+  alphabet: ['a', 'b'],
+  states: ['q0', 'q1', 'q2'],
+  start: 'q0',
+  accepting: ['q2'],
+  stackAlphabet: ['Z', 'A'],
+  transitions: {
+    q0: [move('a', EPSILON, ['A'], 'q0'), move(EPSILON, EPSILON, [], 'q1')],
+    q1: [move('b', 'A', [], 'q1'), move(EPSILON, 'Z', ['Z'], 'q2')]
+  }
+});
+
+const symbols = (text) => text.split('');
+
+describe('createPda', () => {
+  it('starts with the initial stack symbol, accepting by final state', () => {
+    expect(anbn.type).toBe('pda');
+    expect(anbn.initialStack).toBe('Z');
+    expect(anbn.acceptance).toBe('final-state');
+  });
+
+  it('keeps transitions in order and drops repeats', () => {
+    const pda = createPda({
+      ...anbn,
+      transitions: { q0: [move(EPSILON, EPSILON, [], 'q1'), move('a', EPSILON, ['A'], 'q0'), move('a', EPSILON, ['A'], 'q0')] }
+    });
+    expect(pda.transitions.q0).toEqual(anbn.transitions.q0);
+  });
+
+  it('rejects symbols outside the alphabets', () => {
+    expect(() => createPda({ ...anbn, transitions: { q0: [move('c', EPSILON, [], 'q0')] } })).toThrow(/outside the alphabet/);
+    expect(() => createPda({ ...anbn, transitions: { q0: [move('a', 'B', [], 'q0')] } })).toThrow(/pops "B"/);
+    expect(() => createPda({ ...anbn, transitions: { q0: [move('a', 'A', ['B'], 'q0')] } })).toThrow(/pushes "B"/);
+    expect(() => createPda({ ...anbn, initialStack: 'B' })).toThrow(/not in the stack alphabet/);
+    expect(() => createPda({ ...anbn, acceptance: 'halting' })).toThrow(/Unknown acceptance/);
+  });
+});
+
+describe('labels', () => {
+  it('read and write a, X → YZ', () => {
+    expect(parsePdaLabel(anbn, 'a, Z -> AZ')).toEqual({ symbol: 'a', pop: 'Z', push: ['A', 'Z'] });
+    expect(parsePdaLabel(anbn, ', ε → ')).toEqual({ symbol: EPSILON, pop: EPSILON, push: [] });
+    expect(formatPdaLabel(anbn, { symbol: 'b', pop: 'A', push: [] })).toBe('b, A → ε');
+    expect(() => parsePdaLabel(anbn, 'a/Z')).toThrow(/Expected a transition label/);
+  });
+
+  it('separate multi-character stack symbols with spaces', () => {
+    const pda = createPda({ ...anbn, stackAlphabet: ['Z', 'AA'], transitions: {} });
+    expect(parsePdaLabel(pda, 'a, Z → AA Z').push).toEqual(['AA', 'Z']);
+    expect(formatPdaLabel(pda, { symbol: 'a', pop: 'Z', push: ['AA', 'Z'] })).toBe('a, Z → AA Z');
+  });
+});
+
+describe('editing', () => {
+  it('addresses transitions by their label', () => {
+    const added = addPdaTransition(anbn, 'q2', 'b, ε → A', 'q0');
+    expect(added.transitions.q2).toEqual([move('b', EPSILON, ['A'], 'q0')]);
+    expect(labeledPdaTransitions(added)).toContainEqual({ from: 'q2', symbol: 'b, ε → A', to: 'q0' });
+    expect(removePdaTransition(added, 'q2', 'b, ε → A', 'q0')).toEqual(anbn);
+    expect(retargetPdaTransition(anbn, 'q1', 'b, A → ε', 'q1', 'q2').transitions.q1[0].to).toBe('q2');
+    expect(() => removePdaTransition(anbn, 'q0', 'b, A → ε', 'q0')).toThrow(/has no transition/);
+  });
+
+  it('renames and removes states along with their transitions', () => {
+    expect(renamePdaState(anbn, 'q1', 'pop').transitions.pop.map(({ to }) => to)).toEqual(['pop', 'q2']);
+    expect(removePdaState(anbn, 'q1').transitions.q0).toEqual([move('a', EPSILON, ['A'], 'q0')]);
+  });
+
+  it('keeps stack symbols that are in use', () => {
+    expect(() => setStackAlphabet(anbn, ['Z'])).toThrow(/"A" is still used/);
+    expect(setStackAlphabet(anbn, ['A', 'Z', 'B']).initialStack).toBe('Z');
+  });
+});
+
+describe('runPda', () => {
+  it('accepts by final state along the branch that guessed right', () => {
+    const result = runPda(anbn, symbols('aabb'));
+    expect(result.accepted).toBe(true);
+    expect(result.state).toBe('q2');
+    expect(result.steps.map(step => step.symbol)).toEqual(['a', 'a', EPSILON, 'b', 'b', EPSILON]);
+    expect(result.steps[1].stack).toEqual(['A', 'A', 'Z']);
+    expect(pdaAccepts(anbn, [])).toBe(true);
+  });
+
+  it('rejects when every branch gets stuck', () => {
+    ['aab', 'abb', 'ba'].forEach(text => expect(pdaAccepts(anbn, symbols(text))).toBe(false));
+    const result = runPda(anbn, symbols('aab'));
+    expect(result.reason).toBe('no-accepting-configuration');
+    expect(result.configurations.filter(c => c.children.length === 0).every(c => c.status === 'stuck')).toBe(true);
+    // The branch followed read as much as any
+    expect(result.configurations[result.followed].read).toBe(3);
+  });
+
+  it('accepts by empty stack', () => {
+    const byEmptyStack = setAcceptance(addPdaTransition(anbn, 'q1', 'ε, Z → ε', 'q1'), 'empty-stack');
+    expect(runPda(byEmptyStack, symbols('ab'))).toMatchObject({ accepted: true, state: 'q1', stack: [] });
+    expect(pdaAccepts(byEmptyStack, symbols('abb'))).toBe(false);
+  });
+
+  it('cuts loops and gives up after the limit', () => {
+    const looping = createPda({ ...anbn, transitions: { q0: [move(EPSILON, EPSILON, [], 'q1')], q1: [move(EPSILON, EPSILON, [], 'q0')] } });
+    expect(runPda(looping, ['a']).configurations.map(c => c.status)).toEqual([null, null, 'repeated']);
+    const pushing = createPda({ ...anbn, transitions: { q0: [move(EPSILON, EPSILON, ['A'], 'q0')] } });
+    const result = runPda(pushing, ['a'], 20);
+    expect(result.reason).toBe('limit');
+    expect(result.configurations).toHaveLength(20);
+  });
+
+  it('follows any configuration of the tree', () => {
+    const result = runPda(anbn, symbols('ab'));
+    const other = followConfiguration(result, 1);
+    expect(other.steps).toEqual([{ from: 'q0', symbol: 'a', pop: EPSILON, push: ['A'], to: 'q0', stack: ['A', 'Z'] }]);
+    expect(other.accepted).toBe(true);
+    expect(() => runPda(anbn, ['c'])).toThrow(/not in the alphabet/);
+  });
+});
+
+describe('finite automata as PDAs', () => {
+  const nfa = createNfa({ alphabet: ['a'], states: ['p', 'q'], start: 'p', accepting: ['q'], transitions: { p: { a: ['p', 'q'] } } });
+
+  it('go both ways while the stack is left alone', () => {
+    const pda = nfaToPda(nfa);
+    expect(pda.transitions.p).toEqual([move('a', EPSILON, [], 'p'), move('a', EPSILON, [], 'q')]);
+    expect(pdaToNfa(pda)).toEqual(nfa);
+  });
+
+  it("don't come back from a PDA that uses its stack", () => {
+    expect(() => pdaToNfa(anbn)).toThrow(/uses the stack/);
+    expect(() => pdaToNfa(setAcceptance(nfaToPda(nfa), 'empty-stack'))).toThrow(/accepts by empty stack/);
+  });
+});
@@ -0,0 +1,100 @@
+import { createDfa, run } from '../lib/dfa';
+import { dfaToGraph, highlightRun, markStates, pdaToGraph, runColors } from '../lib/graph';
+import { EPSILON } from '../lib/nfa';
+import { createPda } from '../lib/pda';
+import { formatSvg, formatTikz, pictureOf } from '../lib/picture';
+
+// q0 and q1 point at each other, q1 loops and t is a trap
+const dfa = createDfa({
+  alphabet: ['0', 'A', 'C'],
+  states: ['q0', 'q1', 't'],
+  start: 'q0',
+  accepting: ['q1'],
+  transitions: { q0: { A: 'q1', C: 'q1', '0': 't' }, q1: { '0': 'q0', A: 'q1' }, t: { '0': 't' } }
+});
+const positions = { q0: { x: 0, y: 0 }, q1: { x: 150, y: 0 }, t: { x: 0, y: 150 } };
+
+// Balanced parentheses: two transitions share p's loop, one label per line
+const pda = createPda({
+  alphabet: ['(', ')'],
+  states: ['p', 'f'],
+  start: 'p',
+  accepting: ['f'],
+  stackAlphabet: ['Z', '('],
+  transitions: {
+    p: [
+      { symbol: '(', pop: EPSILON, push: ['('], to: 'p' },
+      { symbol: ')', pop: '(', push: [], to: 'p' },
+      { symbol: EPSILON, pop: 'Z', push: [], to: 'f' }
+    ]
+  }
+});
+const pdaPositions = { p: { x: 0, y: 0 }, f: { x: 150, y: 0 } };
+
+describe('pictureOf', () => {
+  it('keeps positions, the start and accepting states and merged labels', () => {
+    const { nodes, edges } = pictureOf(dfaToGraph(dfa), positions);
+    expect(nodes[0]).toMatchObject({ id: 'q0', x: 0, y: 0, start: true, accepting: false, fill: '#FFFFFF' });
+    expect(nodes[1]).toMatchObject({ id: 'q1', x: 150, accepting: true });
+    expect(edges).toContainEqual({ from: 'q0', to: 'q1', label: 'A, C', color: '#000000', shape: 'curved' });
+    expect(edges).toContainEqual({ from: 'q1', to: 'q1', label: 'A', color: '#000000', shape: 'loop' });
+    expect(edges).toContainEqual({ from: 'q0', to: 't', label: '0', color: '#000000', shape: 'straight' });
+  });
+
+  it('keeps run highlights and leaves hidden states out', () => {
+    const graph = highlightRun(markStates(dfaToGraph(dfa), dfa, 'hide'), dfa, run(dfa, ['A']));
+    const { nodes, edges } = pictureOf(graph, positions);
+    expect(nodes.map(n => n.id)).toEqual(['q0', 'q1']);
+    expect(nodes[1].fill).toBe(runColors.accepted);
+    expect(edges.find(e => e.from === 'q0' && e.to === 'q1').color).toBe(runColors.edge);
+    expect(edges.some(e => e.to === 't')).toBe(false);
+  });
+});
+
+describe('formatSvg', () => {
+  it('draws states, a start arrow, double circles and edge labels', () => {
+    const svg = formatSvg(dfaToGraph(dfa), positions);
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="[\d.]+" height="[\d.]+"/);
+    expect(svg.match(/<circle cx="150" cy="0"/g)).toHaveLength(2);
+    expect(svg.match(/<circle cx="0" cy="0"/g)).toHaveLength(1);
+    expect(svg).toContain('>A, C</text>');
+    expect(svg).toContain('<path d="M -55 0 L -20 0"');
+  });
+
+  it('escapes names', () => {
+    const named = createDfa({ alphabet: ['a'], states: ['<x&y>'], start: '<x&y>' });
+    expect(formatSvg(dfaToGraph(named))).toContain('>&lt;x&amp;y&gt;</text>');
+  });
+
+  it('puts the transitions of a PDA edge on lines of their own', () => {
+    const svg = formatSvg(pdaToGraph(pda), pdaPositions);
+    expect(svg).toContain('<tspan x="0" dy="-0.6em">(, ε → (</tspan><tspan x="0" dy="1.2em">), ( → ε</tspan></text>');
+    expect(svg).toContain('>ε, Z → ε</text>');
+  });
+});
+
+describe('formatTikz', () => {
+  it('writes an automata-library picture', () => {
+    const tikz = formatTikz(dfaToGraph(dfa), positions);
+    expect(tikz).toContain('\\node[state, initial] (s0) at (0, 0) {q0};');
+    expect(tikz).toContain('\\node[state, accepting] (s1) at (3, 0) {q1};');
+    expect(tikz).toContain('\\node[state] (s2) at (0, -3) {t};');
+    expect(tikz).toContain('(s0) edge [bend left=15] node {A, C} (s1)');
+    expect(tikz).toContain('(s1) edge [loop above] node {A} (s1)');
+    expect(tikz).toContain('(s0) edge node {0} (s2)');
+  });
+
+  it('colors highlights and escapes LaTeX', () => {
+    const named = createDfa({ alphabet: ['a'], states: ['q_1'], start: 'q_1', transitions: { q_1: { a: 'q_1' } } });
+    const tikz = formatTikz(highlightRun(dfaToGraph(named), named, run(named, ['a'])));
+    expect(tikz).toContain('{q\\_1}');
+    expect(tikz).toContain('fill={rgb,255:red,239;green,154;blue,154}');
+  });
+
+  it('breaks PDA labels into lines and writes arrows in math mode', () => {
+    const tikz = formatTikz(pdaToGraph(pda), pdaPositions);
+    expect(tikz).toContain('(s0) edge [loop above] node[align=left] {(, $\\varepsilon$ $\\to$ ( \\\\ ), ( $\\to$ $\\varepsilon$} (s0)');
+    expect(tikz).toContain('(s0) edge node {$\\varepsilon$, Z $\\to$ $\\varepsilon$} (s1)');
+    expect(tikz).not.toContain('→');
+  });
+});
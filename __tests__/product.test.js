@@ -0,0 +1,114 @@
+import { accepts, createDfa } from '../lib/dfa';
+import { complement, completeDfa, pairName, product } from '../lib/product';
+import { createMealy, createMoore, mealyOutput, mooreOutput, runTransducer } from '../lib/transducer';
+
+const allStrings = (alphabet, maxLength) => {
+  const strings = [[]];
+  for (let idx = 0; idx < strings.length; idx++) {
+    if (strings[idx].length < maxLength) {
+      alphabet.forEach(symbol => strings.push([...strings[idx], symbol]));
+    }
+  }
+  return strings;
+};
+
+// Binary strings with an even number of 1s
+const evenOnes = createDfa({
+  alphabet: ['0', '1'],
+  states: ['even', 'odd'],
+  start: 'even',
+  accepting: ['even'],
+  transitions: { even: { '0': 'even', '1': 'odd' }, odd: { '0': 'odd', '1': 'even' } }
+});
+
+// Binary strings starting with 0 (partial: no transition on 1 from the start)
+const startsWith0 = createDfa({
+  alphabet: ['0', '1'],
+  states: ['s', 't'],
+  start: 's',
+  accepting: ['t'],
+  transitions: { s: { '0': 't' }, t: { '0': 't', '1': 't' } }
+});
+
+describe('completeDfa', () => {
+  it('adds a trap state for missing transitions', () => {
+    const complete = completeDfa(startsWith0);
+    expect(complete.states).toEqual(['s', 't', 'trap']);
+    expect(complete.transitions.s['1']).toBe('trap');
+    expect(complete.transitions.trap).toEqual({ '0': 'trap', '1': 'trap' });
+  });
+
+  it('leaves complete DFAs alone', () => {
+    expect(completeDfa(evenOnes)).toBe(evenOnes);
+  });
+
+  it('avoids clashing with an existing state name', () => {
+    const dfa = createDfa({ alphabet: ['a'], states: ['trap'], start: 'trap' });
+    expect(completeDfa(dfa).states).toEqual(['trap', 'trap1']);
+  });
+
+  it('keeps a Mealy machine and its outputs, writing nothing on the way to the trap', () => {
+    const mealy = createMealy({ ...startsWith0, outputs: { s: { '0': 'x' }, t: { '1': 'y' } } });
+    const complete = completeDfa(mealy);
+    expect(complete.type).toBe('mealy');
+    expect(complete.outputs).toEqual(mealy.outputs);
+    expect(complete.transitions.trap).toEqual({ '0': 'trap', '1': 'trap' });
+    expect(mealyOutput(complete, 's', '1')).toBe('');
+    expect(runTransducer(complete, ['1', '0']).steps.map(step => [step.to, step.output])).toEqual([['trap', ''], ['trap', '']]);
+  });
+
+  it('keeps a Moore machine and its outputs, with no output in the trap', () => {
+    const moore = createMoore({ ...startsWith0, outputs: { s: 'a', t: 'b' } });
+    const complete = completeDfa(moore);
+    expect(complete.type).toBe('moore');
+    expect(complete.outputs).toEqual({ s: 'a', t: 'b' });
+    expect(mooreOutput(complete, 'trap')).toBe('');
+    expect(runTransducer(complete, ['0', '1']).output).toEqual(['a', 'b', 'b']);
+  });
+});
+
+describe('complement', () => {
+  it('accepts exactly what the DFA rejects, including missing transitions', () => {
+    const result = complement(startsWith0);
+    allStrings(['0', '1'], 5).forEach(symbols => {
+      expect(accepts(result, symbols)).toBe(!accepts(startsWith0, symbols));
+    });
+  });
+});
+
+describe('product', () => {
+  it.each([
+    ['union', (a, b) => a || b],
+    ['intersection', (a, b) => a && b],
+    ['difference', (a, b) => a && !b],
+    ['symmetricDifference', (a, b) => a !== b]
+  ])('builds the %s of two DFAs', (operation, expected) => {
+    const result = product(evenOnes, startsWith0, operation);
+    allStrings(['0', '1'], 6).forEach(symbols => {
+      expect(accepts(result, symbols)).toBe(expected(accepts(evenOnes, symbols), accepts(startsWith0, symbols)));
+    });
+  });
+
+  it('only builds reachable pairs', () => {
+    const result = product(evenOnes, startsWith0, 'intersection');
+    expect(result.start).toBe(pairName('even', 's'));
+    // (odd s) never comes up: s is only ever the start state
+    expect(result.states).toEqual(['(even s)', '(even t)', '(odd trap)', '(odd t)', '(even trap)']);
+  });
+
+  it('keeps pairs apart whose names run together', () => {
+    // State names with spaces: the pairs (p, q r) and (p q, r) are both
+    // written (p q r)
+    const first = createDfa({ alphabet: ['a'], states: ['p', 'p q'], start: 'p', transitions: { p: { a: 'p q' }, 'p q': { a: 'p q' } } });
+    const second = createDfa({ alphabet: ['a'], states: ['q r', 'r'], start: 'q r', accepting: ['r'], transitions: { 'q r': { a: 'r' } } });
+    const result = product(first, second, 'union');
+    expect(result.states).toEqual(['(p q r)', "(p q r)'", '(p q trap)']);
+    expect(accepts(result, ['a'])).toBe(true);
+  });
+
+  it('rejects DFAs over different alphabets and unknown operations', () => {
+    const other = createDfa({ alphabet: ['a'], states: ['s'], start: 's' });
+    expect(() => product(evenOnes, other, 'union')).toThrow('Alphabets differ');
+    expect(() => product(evenOnes, evenOnes, 'xor')).toThrow('Unknown operation');
+  });
+});
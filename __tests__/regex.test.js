@@ -0,0 +1,134 @@
+import { accepts } from '../lib/dfa';
+import {
+  concat, emptySet, epsilon, formatRegex, parseRegex, RegexError, regexToDfa, star, symbolNode, union
+} from '../lib/regex';
+
+const binary = ['0', '1'];
+
+const allStrings = (alphabet, maxLength) => {
+  const strings = [[]];
+  for (let idx = 0; idx < strings.length; idx++) {
+    if (strings[idx].length < maxLength) {
+      alphabet.forEach(symbol => strings.push([...strings[idx], symbol]));
+    }
+  }
+  return strings;
+};
+
+// Check a compiled DFA against a predicate on every short string
+const expectLanguage = (regex, alphabet, predicate) => {
+  const dfa = regexToDfa(regex, alphabet);
+  allStrings(alphabet, 6).forEach(symbols => {
+    expect([symbols.join(' '), accepts(dfa, symbols)]).toEqual([symbols.join(' '), predicate(symbols)]);
+  });
+};
+
+describe('parseRegex', () => {
+  it('binds star tighter than concatenation and concatenation tighter than union', () => {
+    expect(parseRegex('01*|1', binary)).toEqual({
+      type: 'union',
+      items: [
+        { type: 'concat', items: [{ type: 'symbol', symbol: '0' }, { type: 'star', item: { type: 'symbol', symbol: '1' } }] },
+        { type: 'symbol', symbol: '1' }
+      ]
+    });
+  });
+
+  it('reads multi-character symbols greedily', () => {
+    expect(parseRegex('ifif', ['i', 'if'])).toEqual({
+      type: 'concat',
+      items: [{ type: 'symbol', symbol: 'if' }, { type: 'symbol', symbol: 'if' }]
+    });
+  });
+
+  it.each([
+    ['0|', 'Expected an expression (use ε for the empty string) at column 3', 2],
+    ['(01', 'Unclosed ( at column 4', 3],
+    ['01)', 'Unexpected ) at column 3', 2],
+    ['0*2', '"2" is not in the alphabet at column 3', 2],
+    ['[]', 'Empty character class at column 1', 0],
+    ['[0', 'Unclosed [ at column 3', 2],
+    ['*0', 'Unexpected * at column 1', 0],
+    ['[1-0]', 'Invalid range 1-0 at column 2', 1]
+  ])('reports the position of syntax errors in %p', (regex, message, position) => {
+    expect(() => parseRegex(regex, binary)).toThrow(RegexError);
+    try {
+      parseRegex(regex, binary);
+    } catch (error) {
+      expect(error.message).toBe(message);
+      expect(error.position).toBe(position);
+    }
+  });
+
+  it('lets operators be used as symbols when escaped', () => {
+    expect(parseRegex('\\+', ['+'])).toEqual({ type: 'symbol', symbol: '+' });
+  });
+});
+
+describe('regexToDfa', () => {
+  it('compiles union, concatenation and star', () => {
+    expectLanguage('(0|1)*01', binary, s => s.join('').endsWith('01'));
+  });
+
+  it('compiles plus and optional', () => {
+    expectLanguage('1+0?', binary, s => /^1+0?$/.test(s.join('')));
+  });
+
+  it('compiles character classes, ranges, negation and the wildcard', () => {
+    const abc = ['a', 'b', 'c'];
+    expectLanguage('[ab]c', abc, s => /^[ab]c$/.test(s.join('')));
+    expectLanguage('[a-b]*', abc, s => /^[ab]*$/.test(s.join('')));
+    expectLanguage('[^a].', abc, s => /^[bc][abc]$/.test(s.join('')));
+  });
+
+  it('compiles ε and ∅', () => {
+    expectLanguage('ε', binary, s => s.length === 0);
+    expectLanguage('∅', binary, () => false);
+    expectLanguage('0∅|1', binary, s => s.join('') === '1');
+  });
+
+  it('produces a minimal DFA with numbered states', () => {
+    const dfa = regexToDfa('(0|1)*01', binary);
+    expect(dfa.states).toEqual(['q0', 'q1', 'q2']);
+    expect(dfa.start).toBe('q0');
+  });
+
+  it('works over token alphabets', () => {
+    const tokens = ['if', 'then', 'else', 'x'];
+    const dfa = regexToDfa('if x then x (else x)?', tokens);
+    expect(accepts(dfa, ['if', 'x', 'then', 'x'])).toBe(true);
+    expect(accepts(dfa, ['if', 'x', 'then', 'x', 'else', 'x'])).toBe(true);
+    expect(accepts(dfa, ['if', 'x', 'else', 'x'])).toBe(false);
+  });
+});
+
+describe('building and formatting trees', () => {
+  const a = symbolNode('a');
+  const b = symbolNode('b');
+
+  it('absorbs ε and ∅', () => {
+    expect(union(emptySet, a)).toEqual(a);
+    expect(concat(epsilon, a)).toEqual(a);
+    expect(concat(a, emptySet)).toEqual(emptySet);
+    expect(star(emptySet)).toEqual(epsilon);
+    expect(star(star(a))).toEqual(star(a));
+    expect(union(a, a)).toEqual(a);
+    expect(union(epsilon, star(a))).toEqual(star(a));
+  });
+
+  it.each([
+    ['(a|b)*a', ['a', 'b']],
+    ['a?b+', ['a', 'b']],
+    ['(ab)*|b', ['a', 'b']],
+    ['\\*a', ['*', 'a']],
+    ['if (x|then)*', ['if', 'then', 'x']]
+  ])('formats %p so that it parses back to the same tree', (regex, alphabet) => {
+    const tree = parseRegex(regex, alphabet);
+    expect(parseRegex(formatRegex(tree, alphabet), alphabet)).toEqual(tree);
+  });
+
+  it('writes r r* as r+ and ε|r as r?', () => {
+    expect(formatRegex(concat(a, star(a)), ['a'])).toBe('a+');
+    expect(formatRegex(union(epsilon, concat(a, b)), ['a', 'b'])).toBe('(ab)?');
+  });
+});
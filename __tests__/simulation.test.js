@@ -0,0 +1,124 @@
+import { createDfa, run } from '../lib/dfa';
+import { createNfa, EPSILON, runNfa } from '../lib/nfa';
+import { createPda, followConfiguration, runPda, setAcceptance } from '../lib/pda';
+import { explainResult, formatStateSet, runLength, symbolsRead, traceRows } from '../lib/simulation';
+import { createMealy, runTransducer } from '../lib/transducer';
+
+// Strings over {a, b} that start with a, with no way out of s on b
+const startsWithA = createDfa({
+  alphabet: ['a', 'b'],
+  states: ['s', 't'],
+  start: 's',
+  accepting: ['t'],
+  transitions: { s: { a: 't' }, t: { a: 't', b: 't' } }
+});
+
+// Strings over {a, b} that end in ab
+const endsInAb = createNfa({
+  alphabet: ['a', 'b'],
+  states: ['p', 'q', 'r'],
+  start: 'p',
+  accepting: ['r'],
+  transitions: { p: { a: ['p', 'q'], b: ['p'] }, q: { b: ['r'] } }
+});
+
+// Balanced parentheses, popping a ( for every )
+const balanced = createPda({
+  alphabet: ['(', ')'],
+  states: ['p', 'f'],
+  start: 'p',
+  accepting: ['f'],
+  stackAlphabet: ['Z', '('],
+  transitions: {
+    p: [
+      { symbol: '(', pop: EPSILON, push: ['('], to: 'p' },
+      { symbol: ')', pop: '(', push: [], to: 'p' },
+      { symbol: EPSILON, pop: 'Z', push: [], to: 'f' }
+    ]
+  }
+});
+
+describe('traceRows', () => {
+  it('lists every step of a DFA run', () => {
+    expect(traceRows(run(startsWithA, ['a', 'b']))).toEqual([
+      { step: 1, from: 's', symbol: 'a', to: 't' },
+      { step: 2, from: 't', symbol: 'b', to: 't' }
+    ]);
+  });
+
+  it('ends a stuck run with the missing transition', () => {
+    const result = run(startsWithA, ['b', 'a']);
+    expect(traceRows(result)).toEqual([{ step: 1, from: 's', symbol: 'b', to: null }]);
+    expect(runLength(result)).toBe(1);
+  });
+
+  it('includes what a transducer writes', () => {
+    const mealy = createMealy({ ...startsWithA, outputs: { s: { a: 'x' } } });
+    expect(traceRows(runTransducer(mealy, ['a', 'b']))).toEqual([
+      { step: 1, from: 's', symbol: 'a', to: 't', output: 'x' },
+      { step: 2, from: 't', symbol: 'b', to: 't', output: '' }
+    ]);
+  });
+
+  it('lists state sets for NFA runs', () => {
+    const rows = traceRows(runNfa(endsInAb, ['a', 'b']));
+    expect(rows.map(({ from, to }) => [formatStateSet(from), formatStateSet(to)])).toEqual([
+      ['{p}', '{p, q}'],
+      ['{p, q}', '{p, r}']
+    ]);
+  });
+});
+
+describe('PDA runs', () => {
+  it('trace what every move pops and pushes, and how many symbols it read', () => {
+    const result = runPda(balanced, ['(', ')']);
+    expect(traceRows(result)[0]).toEqual({ step: 1, from: 'p', symbol: '(', to: 'p', pop: EPSILON, push: ['('], stack: ['(', 'Z'] });
+    expect(runLength(result)).toBe(3);
+    expect(symbolsRead(result, 3)).toBe(2);
+  });
+});
+
+describe('explainResult', () => {
+  it.each([
+    [['a'], true, 'Accepted: ended in accepting state t'],
+    [[], false, 'Rejected: ended in s, which is not an accepting state'],
+    [['a', 'b', 'b'], true, 'Accepted: ended in accepting state t'],
+    [['b', 'a'], false, 'Rejected: no transition from s on b (symbol 1 of the input)']
+  ])('explains DFA runs on %j', (symbols, accepted, message) => {
+    expect(explainResult(startsWithA, run(startsWithA, symbols))).toEqual({ accepted, message });
+  });
+
+  it('explains NFA runs', () => {
+    expect(explainResult(endsInAb, runNfa(endsInAb, ['b', 'a', 'b'])).message)
+      .toBe('Accepted: ended in {p, r}, including accepting r');
+    expect(explainResult(endsInAb, runNfa(endsInAb, ['a'])).message)
+      .toBe('Rejected: none of the states in {p, q} is accepting');
+
+    const stuck = createNfa({ ...endsInAb, transitions: { p: { a: ['q'] } } });
+    expect(explainResult(stuck, runNfa(stuck, ['a', 'a'])).message)
+      .toBe('Rejected: no active states left after reading a (symbol 2 of the input)');
+  });
+
+  it('explains PDA runs by how they accept', () => {
+    expect(explainResult(balanced, runPda(balanced, ['('])).message)
+      .toBe('Rejected: no branch reads the whole input and ends in an accepting state');
+    expect(explainResult(balanced, runPda(balanced, ['(', ')'])).message)
+      .toBe('Accepted: read the whole input and reached accepting state f');
+    const byEmptyStack = setAcceptance(balanced, 'empty-stack');
+    expect(explainResult(byEmptyStack, runPda(byEmptyStack, [])).message)
+      .toBe('Accepted: read the whole input and emptied the stack in f');
+    const result = runPda(balanced, ['(', '(', '('], 2);
+    expect(explainResult(balanced, result).message)
+      .toBe('Rejected for now: none of the 2 configurations explored accepts, and some branches go on');
+  });
+
+  it('judges a PDA run by the branch it follows', () => {
+    const result = runPda(balanced, ['(', ')']);
+    const stuck = result.configurations.find(configuration => configuration.status === 'stuck');
+    expect(explainResult(balanced, followConfiguration(result, stuck.id))).toEqual({
+      accepted: false,
+      message: 'Rejected on this branch, which gets stuck in f after reading 0 symbols; the input is accepted along another branch'
+    });
+    expect(explainResult(balanced, followConfiguration(result, result.followed)).accepted).toBe(true);
+  });
+});
@@ -0,0 +1,326 @@
+import { accepts, run } from '../lib/dfa';
+import { EPSILON, nfaAccepts } from '../lib/nfa';
+import { formatDiagnostic, formatSpec, parseSpec, parseSpecWithDiagnostics, SpecError } from '../lib/spec';
+
+const spec = `SPEC_DFA = {
+    'alphabet': {'0', 'A', 'C'},
+    'states': {'q0', 'q1', 'q2', 'q3'},
+    'initial_state': 'q0',
+    'accepting_states': {'q3'},
+    'transitions': {
+        ('q0', 'A'): 'q1',
+        ('q1', 'C'): 'q2',
+        ('q2', '0'): 'q3',
+    }
+}`;
+
+describe('parseSpec', () => {
+  it('reads every field of the specification', () => {
+    const dfa = parseSpec(spec);
+    expect(dfa.alphabet).toEqual(['0', 'A', 'C']);
+    expect(dfa.states).toEqual(['q0', 'q1', 'q2', 'q3']);
+    expect(dfa.start).toBe('q0');
+    expect(dfa.accepting).toEqual(['q3']);
+    expect(dfa.transitions.q1).toEqual({ C: 'q2' });
+    expect(accepts(dfa, ['A', 'C', '0'])).toBe(true);
+    expect(accepts(dfa, ['A', 'C'])).toBe(false);
+  });
+
+  it('starts simulation at the initial state, wherever it is listed', () => {
+    const dfa = parseSpec(spec.replace("'initial_state': 'q0'", "'initial_state': 'q1'"));
+    expect(dfa.start).toBe('q1');
+    expect(run(dfa, ['C', '0'])).toMatchObject({ state: 'q3', accepted: true });
+    expect(accepts(dfa, ['A', 'C', '0'])).toBe(false);
+  });
+
+  it('finds the specification inside surrounding text', () => {
+    expect(parseSpec(`# reference solution\n${spec}\n`).start).toBe('q0');
+  });
+
+  it.each([
+    ['', 'Line 1, column 1: DFA specification is empty'],
+    ['hello', 'Line 1, column 1: Expected SPEC_DFA = { ... }, SPEC_NFA = { ... }, SPEC_MEALY = { ... }, SPEC_MOORE = { ... } or SPEC_PDA = { ... }'],
+    [spec.replace("'initial_state': 'q0',", ''), 'Line 1, column 1: Missing initial state'],
+    [spec.replace("('q2', '0'): 'q3'", "('q2', '0'): 'q9'"), "Line 9, column 22: Unknown state 'q9'"],
+    [spec.replace("('q2', '0')", "('q2', '1')"), "Line 9, column 16: Symbol '1' is not in the alphabet"]
+  ])('reports malformed specifications (%#)', (text, message) => {
+    expect(() => parseSpec(text)).toThrow(SpecError);
+    expect(() => parseSpec(text)).toThrow(message);
+  });
+});
+
+describe('parseSpecWithDiagnostics', () => {
+  const diagnosticsFor = (text) => parseSpecWithDiagnostics(text).diagnostics.map(formatDiagnostic);
+
+  it('accepts double quotes, comments, trailing commas and multi-character symbols', () => {
+    const { automaton, diagnostics } = parseSpecWithDiagnostics(`# keywords only
+SPEC_DFA = {
+    "alphabet": {"if", 'then',},  # two tokens
+    'states': {'s', "t"},
+    'initial_state': 's',
+    'accepting_states': set(),
+    'transitions': {
+        ('s', 'if'): 't',
+        ("t", "then"): 's',
+    },
+}
+Text after the spec isn't parsed`);
+    expect(diagnostics).toEqual([]);
+    expect(automaton.alphabet).toEqual(['if', 'then']);
+    expect(automaton.accepting).toEqual([]);
+    expect(accepts(automaton, ['if', 'then'])).toBe(false);
+  });
+
+  it('reports every problem with its line and column', () => {
+    expect(diagnosticsFor(`SPEC_DFA = {
+    'alphabet': {'a', 'b', 'a'},
+    'states': {'s', 't'},
+    'initial_state': 'x',
+    'acepting_states': {'t'},
+    'transitions': {
+        ('s', 'a'): 't',
+        ('s', 'a'): 's',
+        ('t', 'c'): 's',
+        ('u', 'b'): 't',
+    }
+}`)).toEqual([
+      "Line 1, column 1: Missing 'accepting_states' field",
+      "Line 2, column 28: Duplicate symbol 'a'",
+      "Line 4, column 22: Unknown state 'x'",
+      "Line 5, column 5: Unknown field 'acepting_states'",
+      "Line 8, column 9: Duplicate transition for ('s', 'a')",
+      "Line 9, column 15: Symbol 'c' is not in the alphabet",
+      "Line 10, column 10: Unknown state 'u'"
+    ]);
+  });
+
+  it('reports syntax errors at the offending token', () => {
+    expect(diagnosticsFor(`SPEC_DFA = {
+    'alphabet': {'a' 'b'},
+}`))
+      .toEqual(["Line 2, column 22: Expected , but found 'b'"]);
+    expect(diagnosticsFor(`SPEC_DFA = {
+    'alphabet': {'a}
+}`))
+      .toEqual(['Line 2, column 18: Unterminated string']);
+    expect(diagnosticsFor(`SPEC_DFA = {
+    'alphabet': {'a'};
+}`))
+      .toEqual(['Line 2, column 22: Unexpected character ;']);
+  });
+
+  it('requires DFA transitions to lead to a single state', () => {
+    expect(diagnosticsFor(spec.replace("('q0', 'A'): 'q1'", "('q0', 'A'): {'q1'}")))
+      .toEqual(['Line 7, column 22: Expected a quoted state']);
+  });
+
+  it('finds the specification after other text', () => {
+    expect(diagnosticsFor(`notes\n\n${spec.replace("'accepting_states': {'q3'}", "'accepting_states': {'q7'}")}`))
+      .toEqual(["Line 7, column 26: Unknown state 'q7'"]);
+  });
+});
+
+describe('formatSpec', () => {
+  it('round-trips through parseSpec', () => {
+    const dfa = parseSpec(spec);
+    expect(parseSpec(formatSpec(dfa))).toEqual(dfa);
+  });
+
+  it('escapes quotes in names', () => {
+    const dfa = parseSpec(spec.replace(/'q1'/g, `"q\\'1"`));
+    expect(dfa.states).toContain("q'1");
+    expect(parseSpec(formatSpec(dfa))).toEqual(dfa);
+  });
+
+  it('writes the alphabet and initial state of the DFA', () => {
+    const text = formatSpec(parseSpec(spec));
+    expect(text).toContain("'alphabet': {'0', 'A', 'C'}");
+    expect(text).toContain("'initial_state': 'q0'");
+    expect(text).toContain("('q0', 'A'): 'q1',");
+  });
+});
+
+describe('SPEC_NFA', () => {
+  const nfaSpec = `SPEC_NFA = {
+    'alphabet': {'a', 'b'},
+    'states': {'s', 't'},
+    'initial_state': 's',
+    'accepting_states': {'t'},
+    'transitions': {
+        ('s', 'a'): {'s', 't'},
+        ('s', ''): {'t'},
+        ('t', 'b'): {'t'},
+    }
+}`;
+
+  it('reads target sets and ε-transitions', () => {
+    const nfa = parseSpec(nfaSpec);
+    expect(nfa.type).toBe('nfa');
+    expect(nfa.transitions.s).toEqual({ a: ['s', 't'], [EPSILON]: ['t'] });
+    expect(nfaAccepts(nfa, ['b'])).toBe(true);
+  });
+
+  it('round-trips through formatSpec', () => {
+    const nfa = parseSpec(nfaSpec);
+    expect(formatSpec(nfa)).toMatch(/^SPEC_NFA = \{/);
+    expect(parseSpec(formatSpec(nfa))).toEqual(nfa);
+  });
+});
+
+describe('tests field', () => {
+  const withTests = spec.replace(/\n}$/, `,
+    'tests': {'AC0': True, '': False, 'A': None},
+}`);
+
+  it('reads the expected outcome of each input', () => {
+    expect(parseSpecWithDiagnostics(withTests).tests).toEqual([
+      { input: 'AC0', expected: true },
+      { input: '', expected: false },
+      { input: 'A', expected: null }
+    ]);
+  });
+
+  it('round-trips through formatSpec', () => {
+    const { automaton, tests } = parseSpecWithDiagnostics(withTests);
+    const text = formatSpec(automaton, { tests });
+    expect(text).toContain("        'AC0': True,");
+    expect(parseSpecWithDiagnostics(text)).toEqual({ automaton, tests, positions: {}, diagnostics: [] });
+  });
+
+  it('leaves the field out when there are no tests', () => {
+    expect(formatSpec(parseSpec(spec))).not.toContain('tests');
+  });
+
+  it.each([
+    ["{'AC0': 'yes'}", 'Expected True, False or None'],
+    ["{'AB': True}", "Symbol 'B' is not in the alphabet"],
+    ["{'A': True, 'A': False}", "Duplicate test 'A'"],
+    ["{'A', 'C'}", "'tests' must be a { ... } dictionary"]
+  ])('reports %s', (suite, message) => {
+    const { automaton, diagnostics } = parseSpecWithDiagnostics(spec.replace(/\n}$/, `,\n    'tests': ${suite}\n}`));
+    expect(automaton).toBeNull();
+    expect(diagnostics.map(d => d.message)).toEqual([message]);
+  });
+});
+
+describe('positions field', () => {
+  const withPositions = spec.replace(/\n}$/, `,
+    'positions': {'q0': (0, 0), 'q1': (150, -40.5)},
+}`);
+
+  it('reads where states are drawn', () => {
+    expect(parseSpecWithDiagnostics(withPositions).positions).toEqual({ q0: { x: 0, y: 0 }, q1: { x: 150, y: -40.5 } });
+  });
+
+  it('round-trips through formatSpec', () => {
+    const { automaton, positions } = parseSpecWithDiagnostics(withPositions);
+    const text = formatSpec(automaton, { positions });
+    expect(text).toContain("        'q1': (150, -40.5),");
+    expect(parseSpecWithDiagnostics(text).positions).toEqual(positions);
+  });
+
+  it.each([
+    ["{'q9': (0, 0)}", "Unknown state 'q9'"],
+    ["{'q0': (0, 'a')}", 'Expected an (x, y) pair of numbers'],
+    ["{'q0': (1, 2, 3)}", 'Expected an (x, y) pair of numbers'],
+    ["(0, 0)", "'positions' must be a { ... } dictionary"]
+  ])('reports %s', (layout, message) => {
+    const { diagnostics } = parseSpecWithDiagnostics(spec.replace(/\n}$/, `,\n    'positions': ${layout}\n}`));
+    expect(diagnostics.map(d => d.message)).toEqual([message]);
+  });
+});
+
+describe('SPEC_MEALY and SPEC_MOORE', () => {
+  const mealySpec = `SPEC_MEALY = {
+    'alphabet': {'a', 'b'},
+    'states': {'s', 't'},
+    'initial_state': 's',
+    'accepting_states': {},
+    'transitions': {
+        ('s', 'a'): ('t', 'x'),
+        ('t', 'b'): 's',
+    }
+}`;
+  const mooreSpec = `SPEC_MOORE = {
+    'alphabet': {'a'},
+    'states': {'s', 't'},
+    'initial_state': 's',
+    'accepting_states': {'t'},
+    'transitions': {
+        ('s', 'a'): 't',
+    },
+    'outputs': {'s': '0', 't': 'NUM'},
+}`;
+
+  it('reads the outputs of transitions and states', () => {
+    const mealy = parseSpec(mealySpec);
+    expect(mealy.type).toBe('mealy');
+    expect(mealy.transitions.s).toEqual({ a: 't' });
+    expect(mealy.outputs).toEqual({ s: { a: 'x' } });
+    expect(parseSpec(mooreSpec)).toMatchObject({ type: 'moore', outputs: { s: '0', t: 'NUM' } });
+  });
+
+  it('round-trips through formatSpec', () => {
+    const mealy = parseSpec(mealySpec);
+    expect(formatSpec(mealy)).toContain("        ('t', 'b'): ('s', ''),");
+    expect(parseSpec(formatSpec(mealy))).toEqual(mealy);
+    const moore = parseSpec(mooreSpec);
+    expect(formatSpec(moore)).toMatch(/^SPEC_MOORE = \{/);
+    expect(parseSpec(formatSpec(moore))).toEqual(moore);
+  });
+
+  it.each([
+    [mealySpec.replace("('t', 'x')", "('t', 'x', 'y')"), "Expected a quoted state or a ('state', 'output') pair"],
+    [spec.replace("('q0', 'A'): 'q1'", "('q0', 'A'): ('q1', 'x')"), 'Expected a quoted state'],
+    [spec.replace(/\n}$/, ",\n    'outputs': {'q0': 'x'}\n}"), "Only SPEC_MOORE has an 'outputs' field"],
+    [mooreSpec.replace("'t': 'NUM'", "'u': 'NUM'"), "Unknown state 'u'"],
+    [mooreSpec.replace("'t': 'NUM'", "'t': 1"), 'Expected a quoted output']
+  ])('reports problems with outputs (%#)', (text, message) => {
+    expect(parseSpecWithDiagnostics(text).diagnostics.map(d => d.message)).toEqual([message]);
+  });
+});
+
+describe('SPEC_PDA', () => {
+  const pdaSpec = `SPEC_PDA = {
+    'alphabet': {'a', 'b'},
+    'stack_alphabet': {'Z', 'A'},
+    'states': {'q0', 'q1'},
+    'initial_state': 'q0',
+    'initial_stack_symbol': 'Z',
+    'accepting_states': {},
+    'acceptance': 'empty-stack',
+    'transitions': {
+        ('q0', 'a', ''): {('q0', 'A')},
+        ('q0', '', ''): {('q1', '')},
+        ('q1', 'b', 'A'): {('q1', '')},
+        ('q1', 'ε', 'Z'): {('q1', 'ε')},
+    }
+}`;
+
+  it('reads the stack and transitions keyed by state, symbol and popped symbol', () => {
+    const pda = parseSpec(pdaSpec);
+    expect(pda).toMatchObject({ type: 'pda', stackAlphabet: ['Z', 'A'], initialStack: 'Z', acceptance: 'empty-stack' });
+    expect(pda.transitions.q0).toEqual([
+      { symbol: 'a', pop: EPSILON, push: ['A'], to: 'q0' },
+      { symbol: EPSILON, pop: EPSILON, push: [], to: 'q1' }
+    ]);
+  });
+
+  it('round-trips through formatSpec', () => {
+    const pda = parseSpec(pdaSpec);
+    expect(formatSpec(pda)).toContain("        ('q1', '', 'Z'): {('q1', '')},");
+    expect(parseSpec(formatSpec(pda))).toEqual(pda);
+  });
+
+  it.each([
+    [pdaSpec.replace("('q0', 'a', '')", "('q0', 'a')"), "Expected a ('state', 'symbol', 'pop') key"],
+    [pdaSpec.replace("{('q0', 'A')}", "'q0'"), "Expected a set of ('state', 'push') pairs"],
+    [pdaSpec.replace("('q1', 'b', 'A')", "('q1', 'b', 'B')"), "Stack symbol 'B' is not in the stack alphabet"],
+    [pdaSpec.replace("{('q0', 'A')}", "{('q0', 'AB')}"), "Stack symbol 'B' is not in the stack alphabet"],
+    [pdaSpec.replace("'empty-stack'", "'halting'"), "Expected 'final-state' or 'empty-stack'"],
+    [pdaSpec.replace("    'initial_stack_symbol': 'Z',\n", ''), 'Missing initial stack symbol'],
+    [spec.replace(/\n}$/, ",\n    'acceptance': 'empty-stack'\n}"), "Only SPEC_PDA has an 'acceptance' field"]
+  ])('reports problems with the stack (%#)', (text, message) => {
+    expect(parseSpecWithDiagnostics(text).diagnostics.map(d => d.message)).toEqual([message]);
+  });
+});
@@ -0,0 +1,70 @@
+import { createDfa } from '../lib/dfa';
+import { createNfa, EPSILON } from '../lib/nfa';
+import { formatTableCsv, formatTableMarkdown, setTableCell, transitionTable } from '../lib/table';
+
+// A partial DFA: q1 has no transition on b
+const dfa = createDfa({
+  alphabet: ['a', 'b'],
+  states: ['q0', 'q1'],
+  start: 'q0',
+  accepting: ['q1'],
+  transitions: { q0: { a: 'q1', b: 'q0' }, q1: { a: 'q1' } }
+});
+
+const nfa = createNfa({
+  alphabet: ['a'],
+  states: ['p', 'q'],
+  start: 'p',
+  accepting: ['q'],
+  transitions: { p: { a: ['p', 'q'], [EPSILON]: ['q'] } }
+});
+
+describe('transitionTable', () => {
+  it('has a row per state and a column per symbol', () => {
+    expect(transitionTable(dfa)).toEqual({
+      symbols: ['a', 'b'],
+      rows: [
+        { state: 'q0', start: true, accepting: false, targets: ['q1', 'q0'] },
+        { state: 'q1', start: false, accepting: true, targets: ['q1', null] }
+      ]
+    });
+  });
+
+  it('lists NFA targets and adds an ε column when it is used', () => {
+    const { symbols, rows } = transitionTable(nfa);
+    expect(symbols).toEqual(['a', EPSILON]);
+    expect(rows[0].targets).toEqual([['p', 'q'], ['q']]);
+    expect(rows[1].targets).toEqual([[], []]);
+  });
+});
+
+describe('setTableCell', () => {
+  it('adds, retargets and clears transitions', () => {
+    expect(setTableCell(dfa, 'q1', 'b', 'q0').transitions.q1).toEqual({ a: 'q1', b: 'q0' });
+    expect(setTableCell(dfa, 'q0', 'a', 'q0').transitions.q0).toEqual({ a: 'q0', b: 'q0' });
+    expect(setTableCell(dfa, 'q0', 'b', null).transitions.q0).toEqual({ a: 'q1' });
+    expect(setTableCell(dfa, 'q1', 'b', null)).toBe(dfa);
+  });
+});
+
+describe('formatTableCsv', () => {
+  it('writes flags and leaves missing transitions empty', () => {
+    expect(formatTableCsv(dfa)).toBe('State,Start,Accepting,a,b\nq0,yes,no,q1,q0\nq1,no,yes,q1,\n');
+  });
+
+  it('quotes NFA target sets', () => {
+    expect(formatTableCsv(nfa)).toBe(`State,Start,Accepting,a,${EPSILON}\np,yes,no,"{p, q}",{q}\nq,no,yes,∅,∅\n`);
+  });
+});
+
+describe('formatTableMarkdown', () => {
+  it('marks the start and accepting states', () => {
+    expect(formatTableMarkdown(dfa)).toBe([
+      '| δ | a | b |',
+      '| --- | --- | --- |',
+      '| →q0 | q1 | q0 |',
+      '| *q1 | q1 | — |',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,117 @@
+import { createDfa, removeState } from '../lib/dfa';
+import { dfaToNfa } from '../lib/nfa';
+import {
+  addTransducerTransition, convertAutomaton, createAutomaton, createMealy, createMoore, formatOutput,
+  keepOutputs, outputTape, parseTransitionLabel, renameTransducerState, runTransducer, setMealyOutput, setMooreOutput
+} from '../lib/transducer';
+
+// Writes 1 whenever the bit read differs from the one before
+const mealy = createMealy({
+  alphabet: ['0', '1'],
+  states: ['s', 'z', 'o'],
+  start: 's',
+  transitions: { s: { 0: 'z', 1: 'o' }, z: { 0: 'z', 1: 'o' }, o: { 0: 'z', 1: 'o' } },
+  outputs: { z: { 1: '1', 0: '0' }, o: { 0: '1', 1: '0' } }
+});
+
+// Writes the last bit read, and - before any
+const moore = createMoore({
+  alphabet: ['0', '1'],
+  states: ['s', 'z', 'o'],
+  start: 's',
+  transitions: { s: { 0: 'z', 1: 'o' }, z: { 0: 'z', 1: 'o' }, o: { 0: 'z', 1: 'o' } },
+  outputs: { s: '-', z: '0', o: '1' }
+});
+
+describe('createMealy and createMoore', () => {
+  it('keep the DFA and leave empty outputs out', () => {
+    expect(mealy.type).toBe('mealy');
+    expect(mealy.outputs.s).toBeUndefined();
+    expect(createMoore({ ...moore, outputs: { s: '' } }).outputs).toEqual({});
+  });
+
+  it('reject outputs that belong to nothing', () => {
+    expect(() => createMealy({ ...mealy, outputs: { s: { 2: 'x' } } })).toThrow(/has no transition/);
+    expect(() => createMoore({ ...moore, outputs: { q: 'x' } })).toThrow(/undeclared state "q"/);
+    expect(() => createMoore({ ...moore, outputs: { s: 1 } })).toThrow(/must be a string/);
+  });
+
+  it('are built by type from stored definitions', () => {
+    expect(createAutomaton(JSON.parse(JSON.stringify(moore)))).toEqual(moore);
+    expect(() => createAutomaton({ ...moore, type: 'turing' })).toThrow(/Unknown automaton type "turing"/);
+  });
+});
+
+describe('runTransducer', () => {
+  it('writes the output of every transition of a Mealy machine', () => {
+    const result = runTransducer(mealy, ['0', '1', '1', '0']);
+    expect(result.accepted).toBe(false);
+    expect(result.steps.map(step => step.output)).toEqual(['', '1', '0', '1']);
+    expect(result.output).toEqual(['1', '0', '1']);
+  });
+
+  it('writes the output of every state a Moore machine enters, starting with the start state', () => {
+    const result = runTransducer(moore, ['1', '0']);
+    expect(result.initialOutput).toBe('-');
+    expect(result.output).toEqual(['-', '1', '0']);
+    expect(outputTape(result, 1)).toEqual(['-', '1']);
+  });
+
+  it('stops writing where the run gets stuck', () => {
+    const partial = createMealy({ ...mealy, transitions: { s: { 0: 'z' } }, outputs: { s: { 0: 'x' } } });
+    expect(runTransducer(partial, ['0', '0'])).toMatchObject({ reason: 'missing-transition', output: ['x'] });
+  });
+});
+
+describe('editing', () => {
+  it('keeps the outputs of what an edit leaves', () => {
+    const edited = keepOutputs(moore, removeState(moore, 'z'));
+    expect(edited.type).toBe('moore');
+    expect(edited.outputs).toEqual({ s: '-', o: '1' });
+    expect(keepOutputs(mealy, removeState(mealy, 'z')).outputs).toEqual({ o: { 1: '0' } });
+  });
+
+  it('leaves other automata alone', () => {
+    const dfa = createDfa({ alphabet: ['0'], states: ['q'], start: 'q' });
+    expect(keepOutputs(dfa, dfa)).toBe(dfa);
+  });
+
+  it('moves outputs along with renamed states', () => {
+    expect(renameTransducerState(moore, 'o', ' one ').outputs).toEqual({ s: '-', z: '0', one: '1' });
+    expect(renameTransducerState(mealy, 'z', 'zero').outputs.zero).toEqual({ 0: '0', 1: '1' });
+  });
+
+  it('adds transitions with an output and changes outputs', () => {
+    const partial = createMealy({ ...mealy, transitions: { s: { 0: 'z' } }, outputs: {} });
+    expect(addTransducerTransition(partial, 's', '1', 'o', 'y').outputs).toEqual({ s: { 1: 'y' } });
+    expect(setMealyOutput(mealy, 'z', '0', '').outputs.z).toEqual({ 1: '1' });
+    expect(setMooreOutput(moore, 's', 'x').outputs.s).toBe('x');
+  });
+});
+
+describe('convertAutomaton', () => {
+  it('turns a Moore machine into a Mealy machine with the same output after the first', () => {
+    const converted = convertAutomaton(moore, 'mealy');
+    const symbols = ['1', '1', '0'];
+    expect(runTransducer(converted, symbols).output).toEqual(runTransducer(moore, symbols).output.slice(1));
+  });
+
+  it('drops outputs on the way to a DFA or an NFA and starts from none', () => {
+    expect(convertAutomaton(mealy, 'dfa')).toEqual(createDfa(mealy));
+    expect(convertAutomaton(mealy, 'nfa')).toEqual(dfaToNfa(createDfa(mealy)));
+    expect(convertAutomaton(dfaToNfa(createDfa(mealy)), 'moore').outputs).toEqual({});
+  });
+});
+
+describe('labels and tapes', () => {
+  it('reads input/output labels', () => {
+    expect(parseTransitionLabel('a / xy')).toEqual({ symbol: 'a', output: 'xy' });
+    expect(parseTransitionLabel('a/ε')).toEqual({ symbol: 'a', output: '' });
+    expect(parseTransitionLabel('a')).toEqual({ symbol: 'a', output: '' });
+  });
+
+  it('runs single characters together and spaces longer outputs', () => {
+    expect(formatOutput(['1', '0'])).toBe('10');
+    expect(formatOutput(['NUM', '+'])).toBe('NUM +');
+  });
+});
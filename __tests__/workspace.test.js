@@ -0,0 +1,91 @@
+import { createDfa } from '../lib/dfa';
+import { createNfa, EPSILON } from '../lib/nfa';
+import {
+  AUTOSAVE_KEY, createWorkspace, deleteWorkspace, listWorkspaces, loadAutosave, loadWorkspace, readShareHash,
+  readWorkspace, saveAutosave, saveWorkspace, shareHash
+} from '../lib/workspace';
+
+// An in-memory Storage
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+const dfa = createDfa({
+  alphabet: ['0', 'é'],
+  states: ['q0', 'q1'],
+  start: 'q0',
+  accepting: ['q1'],
+  transitions: { q0: { é: 'q1' } }
+});
+const workspace = createWorkspace({
+  automaton: dfa,
+  positions: { q0: { x: 0, y: 0 }, q1: { x: 150, y: -20 } },
+  spec: 'SPEC_DFA = {}',
+  tests: 'é accept',
+  input: '0é'
+});
+
+describe('readWorkspace', () => {
+  it('rebuilds the automaton and drops positions of unknown states', () => {
+    const data = JSON.parse(JSON.stringify({ ...workspace, positions: { ...workspace.positions, gone: { x: 1, y: 1 } } }));
+    expect(readWorkspace(data)).toEqual(workspace);
+  });
+
+  it('rejects broken data', () => {
+    expect(() => readWorkspace(null)).toThrow('This is not a saved automaton');
+    expect(() => readWorkspace({ automaton: { ...dfa, start: 'q9' } })).toThrow(/q9/);
+  });
+});
+
+describe('share links', () => {
+  it('round-trip the automaton, positions and tests', () => {
+    const nfa = createNfa({ alphabet: ['a'], states: ['p', 'q'], start: 'p', transitions: { p: { [EPSILON]: ['q'] } } });
+    const shared = { ...workspace, automaton: nfa, positions: {} };
+    const hash = shareHash(shared);
+    expect(hash).toMatch(/^#share=[\w-]+$/);
+    expect(readShareHash(hash)).toEqual({ ...shared, spec: '', input: '' });
+  });
+
+  it('ignore other hashes and report damaged ones', () => {
+    expect(readShareHash('')).toBeNull();
+    expect(readShareHash('#top')).toBeNull();
+    expect(() => readShareHash('#share=!!!')).toThrow('The shared link is damaged');
+  });
+});
+
+describe('autosave', () => {
+  it('restores the last saved workspace', () => {
+    const storage = memoryStorage();
+    expect(loadAutosave(storage)).toBeNull();
+    saveAutosave(storage, workspace);
+    expect(loadAutosave(storage)).toEqual(workspace);
+  });
+
+  it('ignores unreadable data', () => {
+    const storage = memoryStorage();
+    storage.setItem(AUTOSAVE_KEY, '{');
+    expect(loadAutosave(storage)).toBeNull();
+  });
+});
+
+describe('named workspaces', () => {
+  it('saves, lists, loads and deletes workspaces', () => {
+    const storage = memoryStorage();
+    saveWorkspace(storage, ' lab 2 ', workspace, 2000);
+    saveWorkspace(storage, 'lab 1', createWorkspace({ automaton: dfa }), 1000);
+    expect(listWorkspaces(storage)).toEqual([{ name: 'lab 1', savedAt: 1000 }, { name: 'lab 2', savedAt: 2000 }]);
+    expect(loadWorkspace(storage, 'lab 2')).toEqual(workspace);
+
+    deleteWorkspace(storage, 'lab 2');
+    expect(listWorkspaces(storage).map(({ name }) => name)).toEqual(['lab 1']);
+    expect(() => loadWorkspace(storage, 'lab 2')).toThrow('No workspace is saved as "lab 2"');
+  });
+
+  it('requires a name', () => {
+    expect(() => saveWorkspace(memoryStorage(), '  ', workspace)).toThrow('Workspace names may not be empty');
+  });
+});
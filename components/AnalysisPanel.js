@@ -0,0 +1,68 @@
+import { useMemo } from 'react';
+import { analyzeAutomaton, pruneStates } from '../lib/analysis';
+import { completeDfa } from '../lib/product';
+
+const listStates = (states) => states.join(', ');
+
+// What's incomplete or useless in the automaton, kept up to date as it is
+// edited, with one-click fixes. `onFix` gets the fixed automaton and a
+// label for the history.
+export default function AnalysisPanel({ automaton, disabled, onFix }) {
+  const { missing, unreachable, traps, dead } = useMemo(() => analyzeAutomaton(automaton), [automaton]);
+  const isNfa = automaton.type === 'nfa';
+  // The start state stays even when it is dead
+  const uselessDead = [...traps, ...dead].filter(state => state !== automaton.start);
+  const fine = missing.length === 0 && unreachable.length === 0 && traps.length === 0 && dead.length === 0;
+
+  const fixButton = (label, fix, margin = 'ms-2') =>
+    <button type="button" className={`btn btn-sm btn-outline-primary ${margin}`} disabled={disabled} onClick={() => onFix(fix(), label)}>
+      {label}
+    </button>;
+
+  return (
+    <div className="row mt-4">
+      <div className="col-12">
+        <h4>Analysis</h4>
+        {fine && <p className="text-success">
+          {isNfa ? 'Every state is reachable and can lead to acceptance.' : 'The DFA is complete, and every state is reachable and can lead to acceptance.'}
+        </p>}
+        {[...traps, ...dead].includes(automaton.start) && (
+          <p className="text-danger">No string is accepted: the start state {automaton.start} has no accepting path.</p>
+        )}
+        <ul className="list-unstyled">
+          {missing.length > 0 && (
+            <li className="mb-2">
+              <strong>The DFA is partial.</strong> {missing.length} missing transition{missing.length === 1 ? '' : 's'}:
+              {fixButton('Complete with a trap state', () => completeDfa(automaton))}
+              <div className="font-monospace small" style={{ maxHeight: '8rem', overflowY: 'auto' }}>
+                {missing.map(({ state, symbol }) => `δ(${state}, ${symbol})`).join('  ')}
+              </div>
+            </li>
+          )}
+          {unreachable.length > 0 && (
+            <li className="mb-2">
+              <strong>Unreachable states:</strong> {listStates(unreachable)}
+              {fixButton('Remove unreachable states', () => pruneStates(automaton, unreachable))}
+            </li>
+          )}
+          {traps.length > 0 && (
+            <li className="mb-2">
+              <strong>Dead (trap) states:</strong> {listStates(traps)}
+            </li>
+          )}
+          {dead.length > 0 && (
+            <li className="mb-2">
+              <strong>States with no accepting path:</strong> {listStates(dead)}
+            </li>
+          )}
+          {uselessDead.length > 0 && (
+            <li className="mb-2">
+              {fixButton('Remove dead states', () => pruneStates(automaton, uselessDead), '')}
+              {!isNfa && <small className="text-muted ms-2">The DFA is partial afterwards; runs that would enter them get stuck instead.</small>}
+            </li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+}
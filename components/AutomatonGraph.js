@@ -0,0 +1,27 @@
+import { useMemo, useRef } from 'react';
+import Graph from "react-graph-vis";
+import { drawNotation } from '../lib/graph';
+
+// A Graph of an automaton (see automatonToGraph), with the arrow into the
+// start state and the double circles of accepting states drawn on top.
+// Takes the same props as Graph.
+export default function AutomatonGraph({ graph, events, getNetwork, ...props }) {
+  const networkRef = useRef(null);
+  const graphRef = useRef(graph);
+  graphRef.current = graph;
+
+  const allEvents = useMemo(() => ({
+    ...events,
+    afterDrawing: (ctx) => {
+      if (networkRef.current) drawNotation(ctx, networkRef.current, graphRef.current);
+      if (events && events.afterDrawing) events.afterDrawing(ctx);
+    }
+  }), [events]);
+
+  const keepNetwork = (network) => {
+    networkRef.current = network;
+    if (getNetwork) getNetwork(network);
+  };
+
+  return <Graph graph={graph} events={allEvents} getNetwork={keepNetwork} {...props} />;
+}
@@ -0,0 +1,138 @@
+import { useEffect, useState } from 'react';
+import AutomatonGraph from './AutomatonGraph';
+import { formatInput, run, setAlphabet } from '../lib/dfa';
+import { checkEquivalence, sharedAlphabet } from '../lib/equivalence';
+import { automatonToGraph, graphOptions, highlightRun } from '../lib/graph';
+import { complement, product } from '../lib/product';
+import { subsetConstruction } from '../lib/nfa';
+import { parseSpec } from '../lib/spec';
+
+const operations = [
+  { operation: 'union', label: 'A ∪ B' },
+  { operation: 'intersection', label: 'A ∩ B' },
+  { operation: 'difference', label: 'A \\ B' },
+  { operation: 'symmetricDifference', label: 'A △ B' }
+];
+
+// NFAs take part through the DFA the subset construction gives for them
+const asDfa = (automaton) => (automaton.type === 'nfa' ? subsetConstruction(automaton) : automaton);
+
+// Time each step of the counterexample is shown for, in ms
+const STEP_TIME = 1000;
+
+// Compare or combine the current automaton (A) with a second one pasted as a
+// spec (B). While `disabled`, nothing replaces the automaton.
+export default function CombinePanel({ automaton, disabled, onResult }) {
+  const [secondSpec, setSecondSpec] = useState('');
+  // Last equivalence check, shown while A is unchanged
+  const [comparison, setComparison] = useState(null);
+  const [graphs, setGraphs] = useState(null);
+  // Symbols of the counterexample shown so far, null when not animating
+  const [animationStep, setAnimationStep] = useState(null);
+  const isAnimating = animationStep !== null;
+
+  const combine = (operation, label) => {
+    try {
+      onResult(product(asDfa(automaton), asDfa(parseSpec(secondSpec)), operation), label);
+    } catch (error) {
+      alert(`Error combining automata: ${error.message}`);
+    }
+  };
+
+  const compare = () => {
+    try {
+      const first = asDfa(automaton);
+      const second = asDfa(parseSpec(secondSpec));
+      // Run both over the shared alphabet so the counterexample can be animated on each
+      const alphabet = sharedAlphabet(first, second);
+      const dfas = [setAlphabet(first, alphabet), setAlphabet(second, alphabet)];
+      setComparison({ automaton, dfas, result: checkEquivalence(first, second) });
+      setGraphs(dfas.map(automatonToGraph));
+    } catch (error) {
+      alert(`Error comparing automata: ${error.message}`);
+    }
+  };
+
+  const showsComparison = comparison !== null && comparison.automaton === automaton;
+
+  // Step through the counterexample on both automata at once. The timer goes
+  // with the panel, and the animation stops when A is replaced.
+  useEffect(() => {
+    if (animationStep === null) return undefined;
+    if (!showsComparison) {
+      setAnimationStep(null);
+      return undefined;
+    }
+    const { dfas, result } = comparison;
+    setGraphs(dfas.map(dfa => highlightRun(automatonToGraph(dfa), dfa, run(dfa, result.counterexample), animationStep)));
+    const timer = setTimeout(
+      () => setAnimationStep(animationStep < result.counterexample.length ? animationStep + 1 : null), STEP_TIME);
+    return () => clearTimeout(timer);
+  }, [animationStep, comparison, showsComparison]);
+  const counterexample = showsComparison && !comparison.result.equivalent
+    ? formatInput(comparison.result.counterexample, comparison.dfas[0].alphabet)
+    : '';
+
+  return (
+    <div className="row mt-4">
+      <div className="col-12">
+        <h4>Compare or combine with a second automaton</h4>
+        <div className="form-group">
+          <label>Automaton B (the current automaton is A):</label>
+          <textarea
+            className="form-control"
+            rows="6"
+            value={secondSpec}
+            onChange={(e) => setSecondSpec(e.target.value)}
+            placeholder="Paste a second specification here: SPEC_DFA = { ... }"
+          />
+        </div>
+        <div className="mt-2">
+          <button className="btn btn-success me-2" onClick={compare} disabled={disabled || isAnimating}>
+            Check equivalence
+          </button>
+          {operations.map(({ operation, label }) =>
+            <button key={operation} className="btn btn-primary me-2" onClick={() => combine(operation, label)}
+              disabled={disabled || isAnimating}>
+              {label}
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={() => onResult(complement(asDfa(automaton)), 'Complement of A')}
+            disabled={disabled || isAnimating}>
+            Complement of A
+          </button>
+        </div>
+
+        {showsComparison && (
+          <div className="mt-3">
+            {comparison.result.equivalent ? (
+              <div className="alert alert-success">A and B accept the same language.</div>
+            ) : (
+              <div className="alert alert-warning d-flex align-items-center">
+                <span className="me-3">
+                  Not equivalent: <code>{counterexample || 'ε (the empty string)'}</code> is
+                  accepted by {comparison.result.acceptedBy === 'first' ? 'A but rejected by B' : 'B but rejected by A'}.
+                </span>
+                <button className="btn btn-sm btn-secondary" onClick={() => setAnimationStep(0)} disabled={isAnimating}>
+                  Animate on both
+                </button>
+              </div>
+            )}
+            {!comparison.result.equivalent && (
+              <div className="row">
+                {['A', 'B'].map((name, idx) =>
+                  <div key={name} className="col-md-6">
+                    <h5>{name}</h5>
+                    <div style={{ height: "40vh", border: "1px solid" }}>
+                      <AutomatonGraph graph={graphs[idx]} options={graphOptions} />
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
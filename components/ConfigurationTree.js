@@ -0,0 +1,51 @@
+import { formatInput } from '../lib/dfa';
+import { EPSILON } from '../lib/nfa';
+import { formatPdaLabel, formatStack } from '../lib/pda';
+
+// How the end of each branch is marked
+const STATUS_BADGES = {
+  accepted: { className: 'bg-success', label: 'accepts' },
+  stuck: { className: 'bg-danger', label: 'stuck' },
+  repeated: { className: 'bg-secondary', label: 'loops' },
+  unexplored: { className: 'bg-warning text-dark', label: 'not explored' }
+};
+
+// The configurations a PDA run explored, as a tree of (state, remaining
+// input, stack) from the start. The branch the debugger follows is
+// highlighted up to `step`; clicking a configuration calls `onFollow` with
+// its id to follow the branch leading there instead.
+export default function ConfigurationTree({ automaton, symbols, result, step, onFollow }) {
+  const { configurations } = result;
+  // Ids from the start to the followed configuration
+  const path = [];
+  for (let id = result.followed; id !== null; id = configurations[id].parent) path.unshift(id);
+
+  const node = (configuration) => {
+    const { id, state, read, stack, move, children, status } = configuration;
+    const onPath = path.indexOf(id);
+    const current = onPath === step;
+    const badge = STATUS_BADGES[status];
+    return (
+      <li key={id}>
+        <button type="button" className={`btn btn-sm py-0 font-monospace ${current ? 'btn-primary'
+          : onPath >= 0 && onPath < step ? 'btn-outline-primary' : 'btn-link text-reset text-decoration-none'}`}
+          onClick={() => onFollow(id)} title={move ? `After ${formatPdaLabel(automaton, move)}` : 'Start'}>
+          ({state}, {formatInput(symbols.slice(read), automaton.alphabet) || EPSILON}, {formatStack(automaton, stack)})
+        </button>
+        {badge && <span className={`badge ${badge.className} ms-1`}>{badge.label}</span>}
+        {children.length > 0 && <ul className="list-unstyled ps-3 border-start">{children.map(child => node(configurations[child]))}</ul>}
+      </li>
+    );
+  };
+
+  return (
+    <div className="flex-grow-1 mb-2">
+      <div className="small text-muted">
+        Configurations explored: {configurations.length}{result.reason === 'limit' ? ' (the limit)' : ''}. Click one to follow it.
+      </div>
+      <div className="border p-2" style={{ maxHeight: '20rem', overflow: 'auto' }}>
+        <ul className="list-unstyled mb-0">{node(configurations[0])}</ul>
+      </div>
+    </div>
+  );
+}
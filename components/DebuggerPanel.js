@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from 'react';
+import ConfigurationTree from './ConfigurationTree';
+import StackPanel from './StackPanel';
+import { formatInput } from '../lib/dfa';
+import { formatPdaLabel, formatStack } from '../lib/pda';
+import { explainResult, formatStateSet, runLength, symbolsRead, traceRows } from '../lib/simulation';
+import { formatOutput, isTransducer, outputTape } from '../lib/transducer';
+
+// Steps per second the speed slider goes up to
+const MAX_SPEED = 8;
+
+const formatStates = (states) => (Array.isArray(states) ? formatStateSet(states) : states);
+
+// Step through a run of the automaton over `symbols`: play and pause,
+// single steps in both directions, a speed slider and a jump to any step.
+// `step` counts the steps shown so far; `onStep` shows another step.
+// A PDA run also shows its stack and the tree of configurations it
+// explored, where `onFollow` switches to another branch.
+export default function DebuggerPanel({ automaton, symbols, result, step, playing, onStep, onPlayingChange, onFollow, onClose }) {
+  const [speed, setSpeed] = useState(1);
+  const length = runLength(result);
+  const rows = traceRows(result);
+  const finished = step >= length;
+
+  // The page hands in new callbacks on every render; reading the latest ones
+  // here keeps other renders from restarting the timer
+  const callbacks = useRef({});
+  callbacks.current = { onStep, onPlayingChange };
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= length) {
+      callbacks.current.onPlayingChange(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => callbacks.current.onStep(step + 1), 1000 / speed);
+    return () => clearTimeout(timer);
+  }, [playing, step, length, speed]);
+
+  const play = () => {
+    if (finished) onStep(0);
+    onPlayingChange(true);
+  };
+
+  const goTo = (idx) => {
+    onPlayingChange(false);
+    onStep(Math.max(0, Math.min(length, idx)));
+  };
+
+  const verdict = explainResult(automaton, result);
+  const writes = isTransducer(automaton);
+  // Outputs written so far; a stuck step writes nothing
+  const written = writes ? outputTape(result, step) : [];
+  const isPda = automaton.type === 'pda';
+  // ε-moves of a PDA take a step without reading
+  const read = symbolsRead(result, step);
+
+  return (
+    <div className="row mt-4" style={{ width: '80vw' }}>
+      <div className="col-12">
+        <h4>
+          Run of <code>{formatInput(symbols, automaton.alphabet) || 'ε'}</code>
+          <button type="button" className="btn-close float-end" aria-label="Close" onClick={onClose} />
+        </h4>
+
+        <div className="d-flex flex-wrap align-items-center mb-2">
+          <div className="btn-group me-3" role="group" aria-label="Debugger controls">
+            <button className="btn btn-outline-secondary" onClick={() => goTo(0)} disabled={step === 0} title="First step">⏮</button>
+            <button className="btn btn-outline-secondary" onClick={() => goTo(step - 1)} disabled={step === 0} title="Step back">◀</button>
+            {playing
+              ? <button className="btn btn-primary" onClick={() => onPlayingChange(false)} title="Pause">⏸</button>
+              : <button className="btn btn-primary" onClick={play} title="Play">▶</button>}
+            <button className="btn btn-outline-secondary" onClick={() => goTo(step + 1)} disabled={finished} title="Step forward">▶|</button>
+            <button className="btn btn-outline-secondary" onClick={() => goTo(length)} disabled={finished} title="Last step">⏭</button>
+          </div>
+          <label className="me-2" htmlFor="debugger-speed">Speed: {speed} step{speed === 1 ? '' : 's'}/s</label>
+          <input type="range" className="form-range me-3" id="debugger-speed" style={{ width: '10rem' }}
+            min="0.5" max={MAX_SPEED} step="0.5" value={speed} onChange={(e) => setSpeed(Number(e.target.value))} />
+          <label className="me-2" htmlFor="debugger-step">Step {step} of {length}</label>
+          <input type="range" className="form-range" id="debugger-step" style={{ width: '10rem' }}
+            min="0" max={length} value={step} onChange={(e) => goTo(Number(e.target.value))} />
+        </div>
+
+        {/* Input tape: read symbols are dimmed and the next one is highlighted */}
+        <div className="d-flex flex-wrap mb-2 font-monospace">
+          {symbols.map((symbol, idx) =>
+            <span key={idx}
+              className={`border px-2 py-1${idx === read && !finished ? ' bg-primary text-white' : ''}${idx < read ? ' text-muted' : ''}`}>
+              {symbol}
+            </span>
+          )}
+          {symbols.length === 0 && <span className="border px-2 py-1 text-muted">ε</span>}
+        </div>
+
+        {/* Output tape of a transducer, as written so far */}
+        {writes && (
+          <div className="d-flex flex-wrap align-items-center mb-2 font-monospace">
+            <span className="me-2 small text-muted">Output:</span>
+            {written.map((output, idx) => <span key={idx} className="border px-2 py-1">{output}</span>)}
+            {written.length === 0 && <span className="border px-2 py-1 text-muted">ε</span>}
+          </div>
+        )}
+
+        {isPda && (
+          <div className="d-flex align-items-start mb-2">
+            <StackPanel result={result} step={step} />
+            <ConfigurationTree automaton={automaton} symbols={symbols} result={result} step={step} onFollow={onFollow} />
+          </div>
+        )}
+
+        {finished && (
+          <div className={`alert ${verdict.accepted ? 'alert-success' : 'alert-danger'}`}>
+            {verdict.message}
+            {writes && <div>Output: <code>{formatOutput(result.output) || 'ε'}</code></div>}
+          </div>
+        )}
+
+        <table className="table table-sm table-hover" style={{ maxWidth: '40rem' }}>
+          <thead>
+            <tr><th>Step</th><th>State</th><th>Symbol</th><th>Next state</th>{writes && <th>Output</th>}
+              {isPda && <><th>Move</th><th>Stack</th></>}</tr>
+          </thead>
+          <tbody>
+            {rows.map(row =>
+              <tr key={row.step} className={row.step === step ? 'table-primary' : row.step > step ? 'text-muted' : ''}
+                style={{ cursor: 'pointer' }} onClick={() => goTo(row.step)}>
+                <td>{row.step}</td>
+                <td>{formatStates(row.from)}</td>
+                <td>{row.symbol}</td>
+                <td>{row.to === null ? '— (no transition)' : formatStates(row.to)}</td>
+                {writes && <td>{row.output || (row.to === null ? '' : 'ε')}</td>}
+                {isPda && <><td className="font-monospace">{formatPdaLabel(automaton, row)}</td>
+                  <td className="font-monospace">{formatStack(automaton, row.stack)}</td></>}
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { fileNameFor, formatForFile, FORMATS } from '../lib/formats';
+import { positionsFor } from '../lib/layout';
+import { formatSvg, formatTikz } from '../lib/picture';
+
+// How much larger than on the canvas PNG pictures are
+const PNG_SCALE = 4;
+
+// Let go of an object URL once the browser is done with it: revoking it
+// right away can cancel a download that has just started
+const revokeLater = (url) => setTimeout(() => URL.revokeObjectURL(url), 0);
+
+// Offer text (or a Blob) as a file download
+const download = (content, fileName, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  revokeLater(url);
+};
+
+// Render an SVG document into a PNG, `scale` times its size
+const svgToPng = (svg, scale) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width * scale;
+    canvas.height = image.height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0);
+    revokeLater(url);
+    // No blob when the canvas is too large or can't be encoded
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The PNG could not be encoded'))), 'image/png');
+  };
+  image.onerror = () => {
+    revokeLater(url);
+    reject(new Error('The picture could not be rendered'));
+  };
+  image.src = url;
+});
+
+// Open an automaton from a file in any supported format, or download the
+// current one; both keep where the states are drawn. The drawing itself can
+// be downloaded as a picture: `graph` as shown, with any run highlighted, or
+// `plainGraph` without highlights.
+export default function FilePanel({ automaton, positions, graph, plainGraph, onLoad }) {
+  const [error, setError] = useState(null);
+  const [withHighlights, setWithHighlights] = useState(true);
+
+  const openFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // so the same file can be opened again
+    if (!file) return;
+    const format = formatForFile(file.name);
+    try {
+      const { automaton: opened, positions: at } = FORMATS[format].read(await file.text());
+      onLoad(opened, file.name, at);
+      setError(null);
+    } catch (err) {
+      setError(`Error reading ${file.name} as ${FORMATS[format].label}: ${err.message}`);
+    }
+  };
+
+  const exportPicture = async (kind) => {
+    const drawn = withHighlights ? graph : plainGraph;
+    try {
+      if (kind === 'tikz') {
+        download(formatTikz(drawn, positions), 'automaton.tex', 'application/x-tex');
+      } else if (kind === 'svg') {
+        download(formatSvg(drawn, positions), 'automaton.svg', 'image/svg+xml');
+      } else {
+        download(await svgToPng(formatSvg(drawn, positions), PNG_SCALE), 'automaton.png', 'image/png');
+      }
+      setError(null);
+    } catch (err) {
+      setError(`Error exporting the picture: ${err.message}`);
+    }
+  };
+
+  const extensions = Object.values(FORMATS).flatMap(({ extensions }) => extensions.map(ext => `.${ext}`));
+
+  return (
+    <div className="mt-2">
+      <label className="btn btn-outline-primary me-2 mb-0">
+        Open file…
+        <input type="file" hidden accept={extensions.join(',')} onChange={openFile} />
+      </label>
+      <span className="me-2">Download as:</span>
+      {Object.keys(FORMATS).map(format =>
+        <button
+          key={format}
+          className="btn btn-outline-secondary me-2"
+          onClick={() => download(FORMATS[format].format(automaton, positionsFor(automaton, positions)),
+            fileNameFor(format), FORMATS[format].mimeType)}
+        >
+          {FORMATS[format].label}
+        </button>
+      )}
+      <div className="d-flex flex-wrap align-items-center mt-2">
+        <span className="me-2">Export picture as:</span>
+        <button className="btn btn-outline-secondary me-2" onClick={() => exportPicture('svg')}>SVG</button>
+        <button className="btn btn-outline-secondary me-2" onClick={() => exportPicture('png')}>PNG</button>
+        <button className="btn btn-outline-secondary me-2" onClick={() => exportPicture('tikz')}>TikZ</button>
+        <div className="form-check ms-2">
+          <input type="checkbox" className="form-check-input" id="export-highlights" checked={withHighlights}
+            onChange={(e) => setWithHighlights(e.target.checked)} />
+          <label className="form-check-label" htmlFor="export-highlights">Include run highlights</label>
+        </div>
+      </div>
+      {error && <div className="alert alert-danger mt-2 mb-0">{error}</div>}
+    </div>
+  );
+}
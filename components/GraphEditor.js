@@ -0,0 +1,186 @@
+import { useMemo, useRef, useState } from 'react';
+import AutomatonGraph from './AutomatonGraph';
+import { freshStateName } from '../lib/dfa';
+import { graphOptions } from '../lib/graph';
+import { parseTransitionLabel } from '../lib/transducer';
+
+// The main graph, edited directly on the canvas: vis.js' manipulation
+// toolbar adds and deletes states and draws transitions, and a right click
+// opens a menu for the state or transition under the pointer. Every edit
+// goes through `engine` (the editing functions of the automaton's type), so
+// the same checks apply as everywhere else, and is handed to `onEdit` along
+// with a label for the history and the node positions to keep.
+export default function GraphEditor({ automaton, engine, graph, version, disabled, onEdit, onMove }) {
+  const networkRef = useRef(null);
+  const [menu, setMenu] = useState(null);
+
+  const positions = () => (networkRef.current ? networkRef.current.getPositions() : {});
+
+  const edit = (label, change, moved = {}) => {
+    setMenu(null);
+    try {
+      onEdit(change(automaton), label, { ...positions(), ...moved });
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Symbols typed for a new transition, comma-separated, as [{ symbol, output }];
+  // ε is allowed in NFAs, Mealy machines take input/output labels and PDAs
+  // take a, X → YZ labels, separated by semicolons since they have commas
+  const askSymbols = (from, to) => {
+    if (automaton.type === 'pda') {
+      const { alphabet, initialStack } = automaton;
+      const answer = prompt(`Transition label(s) for ${from} → ${to}, like a, Z → AZ, separated by semicolons:`,
+        `${alphabet[0]}, ${initialStack} → ${initialStack}`);
+      if (answer === null) return [];
+      return answer.split(';').map(s => s.trim()).filter(s => s.length > 0).map(symbol => ({ symbol, output: '' }));
+    }
+    const isMealy = automaton.type === 'mealy';
+    const answer = isMealy
+      ? prompt(`Input/output label(s) for ${from} → ${to}, separated by commas:`, `${automaton.alphabet[0]}/`)
+      : prompt(`Symbol(s) for ${from} → ${to}, separated by commas:`, automaton.alphabet[0]);
+    if (answer === null) return [];
+    const labels = answer.split(',').map(s => s.trim()).filter(s => s.length > 0);
+    return isMealy ? labels.map(parseTransitionLabel) : labels.map(symbol => ({ symbol, output: '' }));
+  };
+
+  const renameState = (state) => {
+    const name = prompt(`New name for ${state}:`, state);
+    if (name === null) {
+      setMenu(null);
+    } else {
+      edit(`Rename ${state} to ${name.trim()}`, current => engine.renameState(current, state, name),
+        { [name.trim()]: positions()[state] });
+    }
+  };
+
+  // The vis.js callbacks only see the handlers of the latest render
+  const handlers = useRef({});
+  handlers.current = {
+    addNode: (data) => {
+      const name = freshStateName(automaton);
+      edit(`Add state ${name}`, current => engine.addState(current, name), { [name]: { x: data.x, y: data.y } });
+    },
+    addEdge: (data) => {
+      const labels = askSymbols(data.from, data.to);
+      if (labels.length > 0) {
+        edit(`Add transition ${data.from} → ${data.to} on ${labels.map(({ symbol }) => symbol).join(', ')}`,
+          current => labels.reduce((result, { symbol, output }) =>
+            engine.addTransition(result, data.from, symbol, data.to, output), current));
+      }
+    },
+    editNode: (data) => renameState(data.id),
+    deleteNode: (data) => {
+      edit(`Delete state ${data.nodes.join(', ')}`,
+        current => data.nodes.reduce((result, state) => engine.removeState(result, state), current));
+    },
+    deleteEdge: (data) => {
+      const edges = data.edges.map(id => graph.edges.find(e => e.id === id));
+      edit(`Delete transitions ${edges.map(({ from, to }) => `${from} → ${to}`).join(', ')}`, current => edges.reduce(
+        (result, edge) => edge.symbols.reduce((rest, symbol) => engine.removeTransition(rest, edge.from, symbol, edge.to), result),
+        current));
+    },
+    contextMenu: (params) => {
+      params.event.preventDefault();
+      const network = networkRef.current;
+      const { x, y } = params.pointer.DOM;
+      const node = network.getNodeAt(params.pointer.DOM);
+      const edge = network.getEdgeAt(params.pointer.DOM);
+      if (node !== undefined) {
+        setMenu({ x, y, state: node });
+      } else if (edge !== undefined) {
+        setMenu({ x, y, edge: graph.edges.find(e => e.id === edge) });
+      } else {
+        setMenu(null);
+      }
+    },
+    dragEnd: () => onMove(positions())
+  };
+
+  // vis.js keeps the functions it was given, so these never change and call
+  // through to the current handlers
+  const options = useMemo(() => {
+    const call = (name) => (data, callback) => {
+      callback(null); // the graph is redrawn from the automaton instead
+      handlers.current[name](data);
+    };
+    return {
+      ...graphOptions,
+      manipulation: {
+        enabled: true,
+        initiallyActive: true,
+        addNode: call('addNode'),
+        addEdge: call('addEdge'),
+        editNode: call('editNode'),
+        editEdge: false,
+        deleteNode: call('deleteNode'),
+        deleteEdge: call('deleteEdge')
+      }
+    };
+  }, []);
+
+  const events = useMemo(() => ({
+    oncontext: (params) => handlers.current.contextMenu(params),
+    click: () => setMenu(null),
+    dragStart: () => setMenu(null),
+    dragEnd: () => handlers.current.dragEnd()
+  }), []);
+
+  // Remember where vis.js put the states it placed itself
+  const getNetwork = (network) => {
+    networkRef.current = network;
+    network.once('afterDrawing', () => onMove(network.getPositions()));
+  };
+
+  const menuItems = () => {
+    if (menu.state !== undefined) {
+      const { state } = menu;
+      const accepting = automaton.accepting.includes(state);
+      return [
+        { label: 'Rename…', action: () => renameState(state) },
+        {
+          label: accepting ? 'Make non-accepting' : 'Make accepting',
+          action: () => edit(`Make ${state} ${accepting ? 'non-accepting' : 'accepting'}`,
+            current => engine.setAccepting(current, state, !accepting))
+        },
+        {
+          label: 'Set as start state',
+          disabled: state === automaton.start,
+          action: () => edit(`Make ${state} the start state`, current => engine.setStart(current, state))
+        },
+        {
+          label: 'Delete state',
+          disabled: state === automaton.start,
+          action: () => edit(`Delete state ${state}`, current => engine.removeState(current, state))
+        }
+      ];
+    }
+    const { from, to, symbols } = menu.edge;
+    return symbols.map(symbol => ({
+      label: `Delete ${from} → ${to} on ${symbol}`,
+      action: () => edit(`Delete transition ${from} → ${to} on ${symbol}`,
+        current => engine.removeTransition(current, from, symbol, to))
+    }));
+  };
+
+  return (
+    <div style={{ position: 'relative', height: '100%', pointerEvents: disabled ? 'none' : undefined }}>
+      <AutomatonGraph
+        key={version}        // ← only changes on STRUCTURAL edits
+        graph={graph}
+        options={options}
+        events={events}
+        getNetwork={getNetwork}
+      />
+      {menu && (
+        <div className="dropdown-menu show" style={{ position: 'absolute', left: menu.x, top: menu.y }}>
+          <h6 className="dropdown-header">{menu.state !== undefined ? menu.state : `${menu.edge.from} → ${menu.edge.to}`}</h6>
+          {menuItems().map(({ label, action, disabled: off }) =>
+            <button key={label} className="dropdown-item" disabled={off} onClick={action}>{label}</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { canRedo, canUndo } from '../lib/history';
+
+// Undo and redo buttons above the list of recorded actions; clicking an
+// action goes back (or forward) to the automaton right after it
+export default function HistoryPanel({ history, disabled, onUndo, onRedo, onJump }) {
+  return (
+    <div className="mt-2">
+      <div className="btn-group mb-2" role="group" aria-label="History">
+        <button className="btn btn-outline-secondary" onClick={onUndo} disabled={disabled || !canUndo(history)}
+          title="Ctrl+Z">
+          Undo
+        </button>
+        <button className="btn btn-outline-secondary" onClick={onRedo} disabled={disabled || !canRedo(history)}
+          title="Ctrl+Shift+Z">
+          Redo
+        </button>
+      </div>
+      <div className="list-group list-group-numbered" style={{ maxHeight: '12rem', overflowY: 'auto' }}>
+        {history.entries.map(({ label }, idx) =>
+          <button
+            key={idx}
+            type="button"
+            className={`list-group-item list-group-item-action py-1${idx === history.index ? ' active' : ''}${idx > history.index ? ' text-muted' : ''}`}
+            onClick={() => onJump(idx)}
+            disabled={disabled}
+          >
+            {label}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
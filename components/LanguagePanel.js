@@ -0,0 +1,108 @@
+import { useMemo, useState } from 'react';
+import { formatInput } from '../lib/dfa';
+import { classifyLanguage, countByLength, enumerateLanguage, maxExactLength, randomString } from '../lib/language';
+import { subsetConstruction } from '../lib/nfa';
+
+// Longest strings listed and counted, for small alphabets; larger ones stop
+// earlier, where the counts would no longer be exact (see maxExactLength)
+const MAX_LENGTH = 20;
+// Strings listed at most
+const LIST_LIMIT = 200;
+// Random strings generated of each kind
+const SAMPLE_COUNT = 5;
+
+// NFAs are explored through the DFA the subset construction gives for them
+const asDfa = (automaton) => (automaton.type === 'nfa' ? subsetConstruction(automaton) : automaton);
+
+const describeLanguage = (language) => {
+  if (language.kind === 'empty') return 'The language is empty: no string is accepted.';
+  if (language.kind === 'infinite') return 'The language is infinite.';
+  return `The language is finite: ${language.size} string${language.size === 1 ? '' : 's'}, ` +
+    `the longest of length ${language.longest}.`;
+};
+
+// Explore the language of the automaton: accepted strings up to a length,
+// how many there are of each length and random accepted or rejected strings.
+// Clicking a string plays it in the debugger.
+export default function LanguagePanel({ automaton, disabled, onPlay }) {
+  const [maxLength, setMaxLength] = useState(4);
+  const [sampleLength, setSampleLength] = useState(5);
+  // Last random strings, shown while the automaton is unchanged
+  const [samples, setSamples] = useState(null);
+
+  const dfa = useMemo(() => asDfa(automaton), [automaton]);
+  // The lengths chosen, held within what this alphabet allows
+  const longest = maxExactLength(dfa.alphabet.length, MAX_LENGTH);
+  const listLength = Math.min(maxLength, longest);
+  const randomLength = Math.min(sampleLength, longest);
+  const language = useMemo(() => classifyLanguage(dfa), [dfa]);
+  const counts = useMemo(() => countByLength(dfa, listLength), [dfa, listLength]);
+  const listed = useMemo(() => enumerateLanguage(dfa, listLength, LIST_LIMIT), [dfa, listLength]);
+  const showsSamples = samples !== null && samples.automaton === automaton;
+
+  const generate = () => {
+    const draw = (accepted) => Array.from({ length: SAMPLE_COUNT }, () => randomString(dfa, randomLength, accepted))
+      .filter(symbols => symbols !== null);
+    setSamples({ automaton, length: randomLength, accepted: draw(true), rejected: draw(false) });
+  };
+
+  const clampLength = (value) => Math.max(0, Math.min(longest, Math.floor(Number(value)) || 0));
+
+  const stringButton = (symbols, idx) =>
+    <button key={idx} type="button" className="btn btn-sm btn-outline-secondary me-1 mb-1 font-monospace"
+      disabled={disabled} onClick={() => onPlay(symbols)}>
+      {formatInput(symbols, automaton.alphabet) || 'ε'}
+    </button>;
+
+  return (
+    <div className="row mt-4">
+      <div className="col-12">
+        <h4>Language</h4>
+        <p>{describeLanguage(language)}</p>
+
+        <div className="d-flex align-items-center mb-2">
+          <label className="me-2" htmlFor="language-length">Accepted strings up to length</label>
+          <input type="number" className="form-control" id="language-length" style={{ width: '6rem' }}
+            min="0" max={longest} value={listLength} onChange={(e) => setMaxLength(clampLength(e.target.value))} />
+        </div>
+        <div className="mb-2" style={{ maxHeight: '12rem', overflowY: 'auto' }}>
+          {listed.strings.map(stringButton)}
+          {listed.strings.length === 0 && <span className="text-muted">None</span>}
+          {listed.truncated && <span className="text-muted">… (first {LIST_LIMIT} shown)</span>}
+        </div>
+
+        <table className="table table-sm" style={{ maxWidth: '20rem' }}>
+          <thead>
+            <tr><th>Length</th><th>Accepted strings</th></tr>
+          </thead>
+          <tbody>
+            {counts.map((count, length) =>
+              <tr key={length}><td>{length}</td><td>{count}</td></tr>
+            )}
+          </tbody>
+        </table>
+
+        <div className="d-flex align-items-center mb-2">
+          <label className="me-2" htmlFor="sample-length">Random strings of length</label>
+          <input type="number" className="form-control me-2" id="sample-length" style={{ width: '6rem' }}
+            min="0" max={longest} value={randomLength} onChange={(e) => setSampleLength(clampLength(e.target.value))} />
+          <button className="btn btn-secondary" onClick={generate}>Generate</button>
+        </div>
+        {showsSamples && (
+          <dl className="row">
+            <dt className="col-sm-2">Accepted</dt>
+            <dd className="col-sm-10">
+              {samples.accepted.map(stringButton)}
+              {samples.accepted.length === 0 && <span className="text-muted">No string of length {samples.length} is accepted</span>}
+            </dd>
+            <dt className="col-sm-2">Rejected</dt>
+            <dd className="col-sm-10">
+              {samples.rejected.map(stringButton)}
+              {samples.rejected.length === 0 && <span className="text-muted">Every string of length {samples.length} is accepted</span>}
+            </dd>
+          </dl>
+        )}
+      </div>
+    </div>
+  );
+}
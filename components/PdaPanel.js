@@ -0,0 +1,66 @@
+import { useRef } from 'react';
+import { parseAlphabet } from '../lib/dfa';
+import { ACCEPTANCE_MODES, setAcceptance, setInitialStack, setStackAlphabet } from '../lib/pda';
+
+// The stack settings of a PDA: its stack alphabet, the symbol the stack
+// starts with and how it accepts. `onEdit` gets the edited PDA and a label
+// for the history.
+export default function PdaPanel({ automaton, disabled, onEdit }) {
+  const stackAlphabetInput = useRef(null);
+
+  const edit = (label, change) => {
+    try {
+      onEdit(change(automaton), label);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const applyStackAlphabet = () => {
+    try {
+      const edited = setStackAlphabet(automaton, parseAlphabet(stackAlphabetInput.current.value));
+      onEdit(edited, `Set stack alphabet to ${edited.stackAlphabet.join(', ')}`);
+    } catch (error) {
+      alert(`Error updating stack alphabet: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="row mt-4">
+      <div className="col-12">
+        <h4>Stack</h4>
+        <div className="row">
+          <div className="form-group col-sm-4 m-2">
+            <label htmlFor="pda-stack-alphabet">Stack alphabet (comma-separated symbols):</label>
+            <div className="input-group">
+              {/* Uncontrolled, and reset whenever the stack alphabet changes */}
+              <input type="text" className="form-control" id="pda-stack-alphabet" ref={stackAlphabetInput}
+                key={automaton.stackAlphabet.join(',')} defaultValue={automaton.stackAlphabet.join(', ')}
+                disabled={disabled} onKeyDown={(e) => e.key === 'Enter' && applyStackAlphabet()} />
+              <button type="button" className="btn btn-secondary" disabled={disabled} onClick={applyStackAlphabet}>Update</button>
+            </div>
+          </div>
+          <div className="form-group col-sm-3 m-2">
+            <label htmlFor="pda-initial-stack">Initial stack symbol:</label>
+            <select className="form-control" id="pda-initial-stack" value={automaton.initialStack} disabled={disabled}
+              onChange={(e) => edit(`Start the stack with ${e.target.value}`, current => setInitialStack(current, e.target.value))}>
+              {automaton.stackAlphabet.map(symbol => <option key={symbol} value={symbol}>{symbol}</option>)}
+            </select>
+          </div>
+          <div className="form-group col-sm-3 m-2">
+            <label htmlFor="pda-acceptance">Accept:</label>
+            <select className="form-control" id="pda-acceptance" value={automaton.acceptance} disabled={disabled}
+              onChange={(e) => edit(`Accept ${ACCEPTANCE_MODES[e.target.value].toLowerCase()}`,
+                current => setAcceptance(current, e.target.value))}>
+              {Object.keys(ACCEPTANCE_MODES).map(mode => <option key={mode} value={mode}>{ACCEPTANCE_MODES[mode]}</option>)}
+            </select>
+          </div>
+        </div>
+        <p className="text-muted small mb-0">
+          Transitions are labelled <code>a, X → YZ</code>: read <code>a</code> (or ε), pop <code>X</code> (or ε) and
+          push <code>YZ</code>, leftmost on top.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import { EPSILON } from '../lib/nfa';
+
+// The stack of a PDA run after its first `step` steps, top first. What the
+// last step pushed drops in, and what it popped is shown struck through
+// above the top.
+export default function StackPanel({ result, step }) {
+  const last = step > 0 ? result.steps[step - 1] : null;
+  const stack = last ? last.stack : result.configurations[0].stack;
+  const pushed = last ? last.push.length : 0;
+  const popped = last && last.pop !== EPSILON ? last.pop : null;
+
+  return (
+    <div className="me-4 mb-2">
+      <div className="small text-muted">Stack (top first)</div>
+      <div className="d-flex flex-column font-monospace text-center" style={{ width: '4rem' }}>
+        {popped !== null && (
+          <span key={`popped-${step}`} className="border border-danger text-danger px-2 py-1 stack-popped" title="Popped">
+            <s>{popped}</s>
+          </span>
+        )}
+        {stack.map((symbol, idx) => (idx < pushed
+          // Keyed by step so every push plays again
+          ? <span key={`pushed-${step}-${idx}`} className="border px-2 py-1 bg-primary text-white stack-pushed" title="Pushed">{symbol}</span>
+          // Keyed by depth so symbols left alone stay put
+          : <span key={stack.length - idx} className="border px-2 py-1">{symbol}</span>))}
+        {stack.length === 0 && <span className="border px-2 py-1 text-muted">ε</span>}
+      </div>
+    </div>
+  );
+}
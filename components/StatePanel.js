@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { mealyOutput, mooreOutput, setMealyOutput, setMooreOutput } from '../lib/transducer';
+
+// Edit one state at a time (rename, accepting, start, delete) and every
+// transition (retarget, delete) through `engine`, the editing functions of
+// the automaton's type, and the outputs of a Mealy or Moore machine.
+// `onEdit` receives the edited automaton, a label for the history and any
+// rename as { from, to }.
+export default function StatePanel({ automaton, engine, disabled, onEdit }) {
+  const [selected, setSelected] = useState(automaton.start);
+  const [newName, setNewName] = useState('');
+  const [newOutput, setNewOutput] = useState('');
+  const isMealy = automaton.type === 'mealy';
+  const isMoore = automaton.type === 'moore';
+
+  // Follow the automaton when the selected state goes away
+  const state = automaton.states.includes(selected) ? selected : automaton.start;
+  const isStart = state === automaton.start;
+  const isAccepting = automaton.accepting.includes(state);
+
+  // Apply an edit, telling whether it went through
+  const edit = (label, change, rename) => {
+    try {
+      onEdit(change(automaton), label, rename);
+      return true;
+    } catch (error) {
+      alert(error.message);
+      return false;
+    }
+  };
+
+  const renameSelected = () => {
+    const name = newName.trim();
+    if (edit(`Rename ${state} to ${name}`, current => engine.renameState(current, state, name), { from: state, to: name })) {
+      setSelected(name);
+      setNewName('');
+    }
+  };
+
+  const setStateOutput = () => {
+    if (edit(`Set the output of ${state} to ${newOutput.trim() || 'ε'}`, current => setMooreOutput(current, state, newOutput.trim()))) {
+      setNewOutput('');
+    }
+  };
+
+  // Mealy outputs are typed into the transitions table and set when the field is left
+  const setTransitionOutput = (from, symbol, output) => {
+    if (output.trim() !== mealyOutput(automaton, from, symbol)) {
+      edit(`Set the output of ${from} on ${symbol} to ${output.trim() || 'ε'}`,
+        current => setMealyOutput(current, from, symbol, output.trim()));
+    }
+  };
+
+  return (
+    <div className="row mt-4">
+      <div className="col-12">
+        <h4>States and transitions</h4>
+        <div className="row align-items-end">
+          <div className="form-group col-sm-3 m-2">
+            <label>State:</label>
+            <select value={state} className="form-control" onChange={(e) => setSelected(e.target.value)}>
+              {automaton.states.map(s =>
+                <option key={s} value={s}>{s}{s === automaton.start ? ' (start)' : ''}</option>
+              )}
+            </select>
+          </div>
+          <div className="form-group col-sm-3 m-2">
+            <label>New name:</label>
+            <div className="input-group">
+              <input type="text" className="form-control" value={newName} placeholder={state}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => !disabled && e.key === 'Enter' && renameSelected()} />
+              <button className="btn btn-secondary" onClick={renameSelected} disabled={disabled}>Rename</button>
+            </div>
+          </div>
+          {isMoore && (
+            <div className="form-group col-sm-3 m-2">
+              <label>Output:</label>
+              <div className="input-group">
+                <input type="text" className="form-control" value={newOutput} placeholder={mooreOutput(automaton, state) || 'ε'}
+                  onChange={(e) => setNewOutput(e.target.value)}
+                  onKeyDown={(e) => !disabled && e.key === 'Enter' && setStateOutput()} />
+                <button className="btn btn-secondary" onClick={setStateOutput} disabled={disabled}>Set output</button>
+              </div>
+            </div>
+          )}
+          <div className="form-group col-sm-5 m-2">
+            <div className="form-check form-check-inline">
+              <input type="checkbox" className="form-check-input" id="state-accepting" checked={isAccepting} disabled={disabled}
+                onChange={(e) => edit(`Make ${state} ${e.target.checked ? 'accepting' : 'non-accepting'}`,
+                  current => engine.setAccepting(current, state, e.target.checked))} />
+              <label className="form-check-label" htmlFor="state-accepting">Accepting</label>
+            </div>
+            <button className="btn btn-secondary me-2" disabled={disabled || isStart}
+              onClick={() => edit(`Make ${state} the start state`, current => engine.setStart(current, state))}>
+              Make start state
+            </button>
+            <button className="btn btn-danger" disabled={disabled || isStart}
+              title={isStart ? 'Make another state the start state first' : undefined}
+              onClick={() => edit(`Delete state ${state}`, current => engine.removeState(current, state))}>
+              Delete state
+            </button>
+          </div>
+        </div>
+
+        <table className="table table-sm mt-2" style={{ maxWidth: '40rem' }}>
+          <thead>
+            <tr><th>From</th><th>Symbol</th><th>To</th>{isMealy && <th>Output</th>}<th /></tr>
+          </thead>
+          <tbody>
+            {engine.transitions(automaton).map(({ from, symbol, to }) =>
+              <tr key={`${from} ${symbol} ${to}`}>
+                <td>{from}</td>
+                <td>{symbol}</td>
+                <td>
+                  <select value={to} className="form-select form-select-sm" disabled={disabled}
+                    onChange={(e) => edit(`Retarget ${from} → ${to} on ${symbol} to ${e.target.value}`,
+                      current => engine.retargetTransition(current, from, symbol, to, e.target.value))}>
+                    {automaton.states.map(s => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                </td>
+                {isMealy && (
+                  <td>
+                    <input type="text" className="form-control form-control-sm" disabled={disabled} placeholder="ε"
+                      key={mealyOutput(automaton, from, symbol)} defaultValue={mealyOutput(automaton, from, symbol)}
+                      onBlur={(e) => setTransitionOutput(from, symbol, e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && e.target.blur()} />
+                  </td>
+                )}
+                <td>
+                  <button className="btn btn-sm btn-outline-danger" disabled={disabled}
+                    onClick={() => edit(`Delete transition ${from} → ${to} on ${symbol}`,
+                      current => engine.removeTransition(current, from, symbol, to))}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { formatTableCsv, formatTableMarkdown, setTableCell, transitionTable } from '../lib/table';
+
+// Marks a DFA cell without a transition
+const NONE = '';
+
+// The δ-table of the automaton, always in step with the graph. DFA cells
+// pick their target from a dropdown; the start and accepting flags can be
+// changed for DFAs and NFAs alike through `engine`. `onEdit` gets the edited
+// automaton and a label for the history.
+export default function TablePanel({ automaton, engine, disabled, onEdit }) {
+  // Last export, shown while the automaton is unchanged so it can be copied
+  // by hand when the clipboard is unavailable
+  const [exported, setExported] = useState(null);
+  const isNfa = automaton.type === 'nfa';
+  const showsExport = exported !== null && exported.automaton === automaton;
+  const { symbols, rows } = transitionTable(automaton);
+
+  const edit = (label, change) => {
+    try {
+      onEdit(change(automaton), label);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const setCell = (state, symbol, to) => edit(
+    to === NONE ? `Delete transition from ${state} on ${symbol}` : `Set δ(${state}, ${symbol}) = ${to}`,
+    current => setTableCell(current, state, symbol, to === NONE ? null : to));
+
+  const copy = async (format, text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setExported({ automaton, text, message: `${format} copied to the clipboard` });
+    } catch (error) {
+      setExported({ automaton, text, message: `Copy the ${format} below` });
+    }
+  };
+
+  const cell = (state, symbol, target) => {
+    if (isNfa) {
+      return <span className="font-monospace">{target.length === 0 ? '∅' : `{${target.join(', ')}}`}</span>;
+    }
+    return (
+      <select className="form-select form-select-sm" value={target === null ? NONE : target} disabled={disabled}
+        onChange={(e) => setCell(state, symbol, e.target.value)}>
+        <option value={NONE}>—</option>
+        {automaton.states.map(s => <option key={s} value={s}>{s}</option>)}
+      </select>
+    );
+  };
+
+  return (
+    <div className="row mt-4">
+      <div className="col-12">
+        <h4>Transition table</h4>
+        {isNfa && <p className="text-muted mb-2">NFA transitions are edited on the graph or in the states panel.</p>}
+        <table className="table table-sm align-middle" style={{ maxWidth: `${12 + 8 * symbols.length}rem` }}>
+          <thead>
+            <tr>
+              <th>State</th>
+              <th>Start</th>
+              <th>Accepting</th>
+              {symbols.map(symbol => <th key={symbol}>δ(·, {symbol})</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ state, start, accepting, targets }) =>
+              <tr key={state}>
+                <td>{state}</td>
+                <td>
+                  <input type="radio" className="form-check-input" name="table-start" checked={start} disabled={disabled}
+                    onChange={() => edit(`Make ${state} the start state`, current => engine.setStart(current, state))} />
+                </td>
+                <td>
+                  <input type="checkbox" className="form-check-input" checked={accepting} disabled={disabled}
+                    onChange={(e) => edit(`Make ${state} ${e.target.checked ? 'accepting' : 'non-accepting'}`,
+                      current => engine.setAccepting(current, state, e.target.checked))} />
+                </td>
+                {targets.map((target, idx) => <td key={symbols[idx]}>{cell(state, symbols[idx], target)}</td>)}
+              </tr>
+            )}
+          </tbody>
+        </table>
+        <div className="mb-2">
+          <button className="btn btn-outline-secondary me-2" onClick={() => copy('CSV', formatTableCsv(automaton))}>Copy as CSV</button>
+          <button className="btn btn-outline-secondary" onClick={() => copy('Markdown', formatTableMarkdown(automaton))}>Copy as Markdown</button>
+        </div>
+        {showsExport && <>
+          <div className="small text-success mb-2">{exported.message}</div>
+          <textarea readOnly className="form-control font-monospace" rows={Math.min(10, exported.text.split('\n').length)}
+            value={exported.text} onFocus={(e) => e.target.select()} />
+        </>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { tokenizeInput } from '../lib/dfa';
+import { parseTestSuite, runTests, summarizeTests } from '../lib/batch';
+import { formatStateSet } from '../lib/simulation';
+
+const formatExpected = (expected) => (expected === null ? '—' : expected ? 'accept' : 'reject');
+
+// Run a suite of strings, one per line and optionally marked "accept" or
+// "reject", and report which ones the automaton gets right. Clicking a row
+// plays that string in the debugger; the suite can be saved into the spec.
+export default function TestPanel({ automaton, engine, text, disabled, onTextChange, onAnimate, onSave }) {
+  // Last run of the suite, shown while the automaton and the suite are unchanged
+  const [report, setReport] = useState(null);
+  const suite = parseTestSuite(text, automaton.alphabet);
+  const showsReport = report !== null && report.automaton === automaton && report.text === text;
+
+  const runSuite = () => {
+    try {
+      setReport({ automaton, text, results: runTests(automaton, suite.tests, engine.run) });
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const summary = showsReport && summarizeTests(report.results);
+
+  return (
+    <div className="row mt-4">
+      <div className="col-12">
+        <h4>Test strings</h4>
+        <textarea
+          className={`form-control font-monospace${suite.diagnostics.length > 0 ? ' is-invalid' : ''}`}
+          rows="6"
+          value={text}
+          onChange={(e) => onTextChange(e.target.value)}
+          placeholder={'One string per line, optionally followed by accept or reject, e.g.\nAC0 accept\nε reject'}
+        />
+        {suite.diagnostics.length > 0 && (
+          <ul className="invalid-feedback mb-0">
+            {suite.diagnostics.map(({ line, message }) =>
+              <li key={line}>Line {line}: {message}</li>
+            )}
+          </ul>
+        )}
+        <div className="mt-2">
+          <button className="btn btn-success me-2" onClick={runSuite}
+            disabled={disabled || suite.tests.length === 0 || suite.diagnostics.length > 0}>
+            Run tests
+          </button>
+          <button className="btn btn-secondary" onClick={() => onSave(suite.tests)}
+            disabled={suite.diagnostics.length > 0}>
+            Save with specification
+          </button>
+        </div>
+
+        {showsReport && (
+          <>
+            <p className="mt-3 mb-2">
+              <span className="badge bg-success me-2">{summary.passed} passed</span>
+              <span className="badge bg-danger me-2">{summary.failed} failed</span>
+              {summary.unchecked > 0 && <span className="badge bg-secondary">{summary.unchecked} unchecked</span>}
+            </p>
+            <table className="table table-sm table-hover" style={{ maxWidth: '50rem' }}>
+              <thead>
+                <tr><th>Input</th><th>Expected</th><th>Result</th><th>Final state</th><th></th></tr>
+              </thead>
+              <tbody>
+                {report.results.map(({ line, input, expected, result, passed }) =>
+                  <tr key={line} className={passed === false ? 'table-danger' : ''}
+                    style={{ cursor: disabled ? 'default' : 'pointer' }}
+                    onClick={() => !disabled && onAnimate(tokenizeInput(input, automaton.alphabet))}>
+                    <td><code>{input || 'ε'}</code></td>
+                    <td>{formatExpected(expected)}</td>
+                    <td>{result.accepted ? 'accept' : 'reject'}</td>
+                    <td>
+                      {automaton.type === 'nfa' ? formatStateSet(result.states) : result.state}
+                      {result.reason === 'missing-transition' && ` (no transition on ${result.symbol})`}
+                    </td>
+                    <td>{passed === null ? '' : passed ? '✓ pass' : '✗ fail'}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
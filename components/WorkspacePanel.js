@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react';
+import { deleteWorkspace, listWorkspaces, loadWorkspace, saveWorkspace, shareHash } from '../lib/workspace';
+
+// Save the workspace under a name and switch between saved ones, all in
+// this browser's localStorage, or share it as a link. `workspace` is the
+// current one (see createWorkspace); `onOpen` gets a saved one and its name.
+export default function WorkspacePanel({ workspace, disabled, onOpen }) {
+  const [saved, setSaved] = useState([]);
+  const [name, setName] = useState('');
+  const [link, setLink] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // localStorage only exists in the browser
+  useEffect(() => setSaved(listWorkspaces(window.localStorage)), []);
+
+  const save = () => {
+    try {
+      saveWorkspace(window.localStorage, name, workspace);
+      setSaved(listWorkspaces(window.localStorage));
+      setMessage({ error: false, text: `Saved as "${name.trim()}"` });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const open = (savedName) => {
+    try {
+      onOpen(loadWorkspace(window.localStorage, savedName), savedName);
+      setName(savedName);
+      setMessage(null);
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const remove = (savedName) => {
+    if (!confirm(`Delete the saved workspace "${savedName}"?`)) return;
+    deleteWorkspace(window.localStorage, savedName);
+    setSaved(listWorkspaces(window.localStorage));
+  };
+
+  const share = async () => {
+    const url = `${window.location.origin}${window.location.pathname}${shareHash(workspace)}`;
+    setLink(url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage({ error: false, text: 'Link copied to the clipboard' });
+    } catch (error) {
+      setMessage({ error: false, text: 'Copy the link below' });
+    }
+  };
+
+  return (
+    <div className="row mt-4">
+      <div className="col-12">
+        <h4>Workspaces</h4>
+        <p className="text-muted mb-2">Your work is saved in this browser as you go and comes back when you reload.</p>
+        <div className="d-flex flex-wrap align-items-center mb-2">
+          <input type="text" className="form-control me-2" style={{ width: '16rem' }} value={name}
+            onChange={(e) => setName(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && save()}
+            placeholder="Name, e.g. Lab 3 exercise 2" />
+          <button className="btn btn-secondary me-2" onClick={save}>Save</button>
+          <button className="btn btn-outline-primary" onClick={share}>Share link</button>
+        </div>
+        {message && (
+          <div className={`small mb-2 ${message.error ? 'text-danger' : 'text-success'}`}>{message.text}</div>
+        )}
+        {link && <input type="text" readOnly className="form-control mb-2" value={link} onFocus={(e) => e.target.select()} />}
+        {saved.length > 0 && (
+          <ul className="list-group" style={{ maxWidth: '32rem' }}>
+            {saved.map(({ name: savedName, savedAt }) =>
+              <li key={savedName} className="list-group-item d-flex align-items-center py-1">
+                <span className="me-auto">
+                  {savedName}
+                  {savedAt && <small className="text-muted ms-2">{new Date(savedAt).toLocaleString()}</small>}
+                </span>
+                <button className="btn btn-sm btn-outline-primary me-2" disabled={disabled} onClick={() => open(savedName)}>
+                  Open
+                </button>
+                <button className="btn btn-sm btn-outline-danger" onClick={() => remove(savedName)}>Delete</button>
+              </li>
+            )}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+const nextJest = require('next/jest')
+
+const createJestConfig = nextJest({ dir: './' })
+
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  // lib/spec.js is the SPEC_DFA module, not a test file
+  testMatch: ['<rootDir>/__tests__/**/*.test.js'],
+})
@@ -0,0 +1,98 @@
+// Structural checks that work on DFAs and NFAs alike: which states the
+// start state can't reach and which states can never lead to acceptance,
+// plus the transitions a partial DFA leaves out, and pruning what's found.
+// The reachability checks look at the states of a PDA only, not its stack.
+import { createDfa } from './dfa';
+import { createNfa } from './nfa';
+import { keepOutputs } from './transducer';
+
+// States one transition (on a symbol or ε) away
+const targets = (automaton, state) => (automaton.type === 'pda'
+  ? automaton.transitions[state].map(({ to }) => to)
+  : Object.values(automaton.transitions[state] || {}).flat());
+
+// States the start state can't reach, in the order of `automaton.states`
+export const unreachableStates = (automaton) => {
+  const reached = new Set([automaton.start]);
+  const pending = [automaton.start];
+  while (pending.length > 0) {
+    targets(automaton, pending.pop()).forEach(to => {
+      if (!reached.has(to)) {
+        reached.add(to);
+        pending.push(to);
+      }
+    });
+  }
+  return automaton.states.filter(state => !reached.has(state));
+};
+
+// States no accepting state can be reached from (traps, for instance), in
+// the order of `automaton.states`. A PDA that accepts by empty stack may
+// accept anywhere, so it has none.
+export const deadStates = (automaton) => {
+  if (automaton.acceptance === 'empty-stack') return [];
+  const live = new Set(automaton.accepting);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    automaton.states.forEach(state => {
+      if (!live.has(state) && targets(automaton, state).some(to => live.has(to))) {
+        live.add(state);
+        grew = true;
+      }
+    });
+  }
+  return automaton.states.filter(state => !live.has(state));
+};
+
+// Dead states that can't be left at all: every transition out of them
+// (if any) loops back. These are the trap states of a completed DFA.
+export const trapStates = (automaton) =>
+  deadStates(automaton).filter(state => targets(automaton, state).every(to => to === state));
+
+// The (state, symbol) pairs a DFA has no transition for, as
+// [{ state, symbol }]. NFAs and PDAs may leave transitions out, so they have none.
+export const missingTransitions = (automaton) => {
+  if (automaton.type === 'nfa' || automaton.type === 'pda') return [];
+  return automaton.states.flatMap(state => automaton.alphabet
+    .filter(symbol => automaton.transitions[state][symbol] === undefined)
+    .map(symbol => ({ state, symbol })));
+};
+
+// Everything worth pointing out about an automaton:
+//   { missing, unreachable, traps, dead }
+// where `dead` lists the dead states that aren't traps
+export const analyzeAutomaton = (automaton) => {
+  const traps = trapStates(automaton);
+  return {
+    missing: missingTransitions(automaton),
+    unreachable: unreachableStates(automaton),
+    traps,
+    dead: deadStates(automaton).filter(state => !traps.includes(state))
+  };
+};
+
+// Remove states together with every transition into or out of them. The
+// start state always stays, and a transducer keeps its other outputs.
+export const pruneStates = (automaton, states) => {
+  const removed = new Set(states.filter(state => state !== automaton.start));
+  const transitions = {};
+  automaton.states.filter(from => !removed.has(from)).forEach(from => {
+    transitions[from] = {};
+    Object.entries(automaton.transitions[from] || {}).forEach(([symbol, to]) => {
+      if (automaton.type === 'nfa') {
+        const kept = to.filter(target => !removed.has(target));
+        if (kept.length > 0) transitions[from][symbol] = kept;
+      } else if (!removed.has(to)) {
+        transitions[from][symbol] = to;
+      }
+    });
+  });
+  const pruned = (automaton.type === 'nfa' ? createNfa : createDfa)({
+    ...automaton,
+    states: automaton.states.filter(state => !removed.has(state)),
+    accepting: automaton.accepting.filter(state => !removed.has(state)),
+    transitions
+  });
+  return keepOutputs(automaton, pruned);
+};
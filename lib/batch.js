@@ -0,0 +1,61 @@
+// Batch testing: a suite of input strings, each optionally marked with the
+// outcome it should have, written one per line:
+//
+//   0A0 accept
+//   AC reject
+//   ε accept      <- the empty string
+//   0CC           <- run, but not checked
+//
+// Lines starting with # are comments.
+import { formatInput, tokenizeInput } from './dfa';
+import { EPSILON } from './nfa';
+
+const EXPECTATIONS = { accept: true, reject: false };
+
+// Parse a suite into { tests: [{ line, input, expected }], diagnostics }, with
+// `expected` true, false or null and diagnostics as [{ line, message }]
+export const parseTestSuite = (text, alphabet) => {
+  const tests = [];
+  const diagnostics = [];
+  text.split('\n').forEach((raw, idx) => {
+    const line = idx + 1;
+    const trimmed = raw.trim();
+    if (trimmed.length === 0 || trimmed.startsWith('#')) return;
+
+    const words = trimmed.split(/\s+/);
+    const last = words[words.length - 1].toLowerCase();
+    const expected = EXPECTATIONS[last] === undefined ? null : EXPECTATIONS[last];
+    const rest = (expected === null ? words : words.slice(0, -1)).join(' ');
+    const symbols = rest === EPSILON ? [] : tokenizeInput(rest, alphabet);
+
+    const unknown = symbols.find(symbol => !alphabet.includes(symbol));
+    if (unknown !== undefined) {
+      diagnostics.push({ line, message: `Symbol '${unknown}' is not in the alphabet` });
+      return;
+    }
+    tests.push({ line, input: formatInput(symbols, alphabet), expected });
+  });
+  return { tests, diagnostics };
+};
+
+// Write tests back in the format parseTestSuite reads
+export const formatTestSuite = (tests) => tests
+  .map(({ input, expected }) => {
+    const outcome = expected === null ? '' : expected ? ' accept' : ' reject';
+    return `${input === '' ? EPSILON : input}${outcome}`;
+  })
+  .join('\n');
+
+// Run every test with `run` (`run` for a DFA, `runNfa` for an NFA):
+// [{ ...test, result, passed }] where `passed` is null for unchecked tests
+export const runTests = (automaton, tests, run) => tests.map(test => {
+  const result = run(automaton, tokenizeInput(test.input, automaton.alphabet));
+  return { ...test, result, passed: test.expected === null ? null : result.accepted === test.expected };
+});
+
+export const summarizeTests = (results) => ({
+  total: results.length,
+  passed: results.filter(r => r.passed === true).length,
+  failed: results.filter(r => r.passed === false).length,
+  unchecked: results.filter(r => r.passed === null).length
+});
@@ -0,0 +1,321 @@
+// Pure DFA engine, independent of React and vis.js.
+//
+// A DFA is a plain, JSON-serializable object:
+//
+//   {
+//     type: 'dfa',
+//     alphabet: ['0', '1'],
+//     states: ['q0', 'q1'],
+//     start: 'q0',
+//     accepting: ['q1'],
+//     transitions: { q0: { '0': 'q0', '1': 'q1' }, q1: {} }
+//   }
+//
+// Transitions may be partial: a missing (state, symbol) entry rejects the input.
+// Every function here returns new objects and never mutates its arguments.
+
+export class DfaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DfaError';
+  }
+}
+
+// Split a comma-separated alphabet into unique, trimmed symbols
+export const parseAlphabet = (text) => {
+  const symbols = [];
+  text.split(',').map(s => s.trim()).filter(s => s.length > 0).forEach(symbol => {
+    if (/\s|'/.test(symbol)) {
+      throw new DfaError(`Symbol "${symbol}" may not contain whitespace or quotes`);
+    }
+    if (!symbols.includes(symbol)) {
+      symbols.push(symbol);
+    }
+  });
+  return symbols;
+};
+
+// Split an input string into alphabet symbols. Single-character alphabets read
+// the string character by character; alphabets with longer symbols (tokens)
+// expect the symbols to be separated by whitespace.
+export const tokenizeInput = (text, alphabet) => {
+  if (alphabet.every(symbol => symbol.length === 1)) {
+    return text.replace(/\s+/g, '').split('');
+  }
+  return text.trim().split(/\s+/).filter(s => s.length > 0);
+};
+
+// Write symbols back as input text, the inverse of tokenizeInput
+export const formatInput = (symbols, alphabet) =>
+  symbols.join(alphabet.every(symbol => symbol.length === 1) ? '' : ' ');
+
+// Build a validated DFA, copying every field so callers can't share state
+export const createDfa = ({ alphabet, states, start, accepting = [], transitions = {} }) => {
+  if (!Array.isArray(alphabet) || alphabet.length === 0) {
+    throw new DfaError('Alphabet must contain at least one symbol');
+  }
+  if (!Array.isArray(states) || states.length === 0) {
+    throw new DfaError('DFA must have at least one state');
+  }
+  if (new Set(alphabet).size !== alphabet.length) {
+    throw new DfaError('Alphabet contains duplicate symbols');
+  }
+  if (new Set(states).size !== states.length) {
+    throw new DfaError('States contain duplicate names');
+  }
+  if (!states.includes(start)) {
+    throw new DfaError(`Initial state "${start}" is not a declared state`);
+  }
+
+  const unknownAccepting = accepting.find(state => !states.includes(state));
+  if (unknownAccepting !== undefined) {
+    throw new DfaError(`Accepting state "${unknownAccepting}" is not a declared state`);
+  }
+
+  const table = {};
+  states.forEach(state => { table[state] = {}; });
+  Object.keys(transitions).forEach(from => {
+    if (!states.includes(from)) {
+      throw new DfaError(`Transition from undeclared state "${from}"`);
+    }
+    Object.keys(transitions[from]).forEach(symbol => {
+      const to = transitions[from][symbol];
+      if (!alphabet.includes(symbol)) {
+        throw new DfaError(`Transition (${from}, ${symbol}) uses a symbol outside the alphabet`);
+      }
+      if (!states.includes(to)) {
+        throw new DfaError(`Transition (${from}, ${symbol}) leads to undeclared state "${to}"`);
+      }
+      table[from][symbol] = to;
+    });
+  });
+
+  return {
+    type: 'dfa',
+    alphabet: [...alphabet],
+    states: [...states],
+    start,
+    accepting: states.filter(state => accepting.includes(state)),
+    transitions: table
+  };
+};
+
+// Every transition as a flat list of { from, symbol, to }
+export const dfaTransitions = (dfa) => dfa.states.flatMap(from =>
+  dfa.alphabet
+    .filter(symbol => dfa.transitions[from][symbol] !== undefined)
+    .map(symbol => ({ from, symbol, to: dfa.transitions[from][symbol] })));
+
+export const isAccepting = (dfa, state) => dfa.accepting.includes(state);
+
+// Target of the (state, symbol) transition, or null when it is missing
+export const transition = (dfa, state, symbol) => {
+  const targets = dfa.transitions[state];
+  return targets && Object.prototype.hasOwnProperty.call(targets, symbol) ? targets[symbol] : null;
+};
+
+// Take a single step, rejecting states and symbols the DFA doesn't know
+export const step = (dfa, state, symbol) => {
+  if (!dfa.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  if (!dfa.alphabet.includes(symbol)) {
+    throw new DfaError(`Symbol "${symbol}" is not in the alphabet`);
+  }
+  return transition(dfa, state, symbol);
+};
+
+// Run the DFA over a list of symbols and return the full trace:
+//   { steps: [{ from, symbol, to }], state, accepted, reason }
+// `state` is the state the run ended in, and `reason` explains a rejection:
+// 'missing-transition' (the run got stuck) or 'non-accepting'.
+export const run = (dfa, symbols) => {
+  const steps = [];
+  let state = dfa.start;
+
+  for (let idx = 0; idx < symbols.length; idx++) {
+    const symbol = symbols[idx];
+    const next = step(dfa, state, symbol);
+    if (next === null) {
+      return { steps, state, accepted: false, reason: 'missing-transition', symbol, position: idx };
+    }
+    steps.push({ from: state, symbol, to: next });
+    state = next;
+  }
+
+  const accepted = isAccepting(dfa, state);
+  return { steps, state, accepted, reason: accepted ? null : 'non-accepting' };
+};
+
+export const accepts = (dfa, symbols) => run(dfa, symbols).accepted;
+
+// States reachable from the start state, in the order of `dfa.states`
+export const reachableStates = (dfa) => {
+  const reached = new Set([dfa.start]);
+  const pending = [dfa.start];
+  while (pending.length > 0) {
+    const state = pending.pop();
+    Object.values(dfa.transitions[state]).forEach(to => {
+      if (!reached.has(to)) {
+        reached.add(to);
+        pending.push(to);
+      }
+    });
+  }
+  return dfa.states.filter(state => reached.has(state));
+};
+
+// Rename the states to q0, q1, ... in breadth-first order from the start
+export const numberStates = (dfa, prefix = 'q') => {
+  const order = [dfa.start];
+  for (let idx = 0; idx < order.length; idx++) {
+    dfa.alphabet.forEach(symbol => {
+      const to = dfa.transitions[order[idx]][symbol];
+      if (to !== undefined && !order.includes(to)) order.push(to);
+    });
+  }
+  dfa.states.forEach(state => { if (!order.includes(state)) order.push(state); });
+
+  const names = new Map(order.map((state, idx) => [state, `${prefix}${idx}`]));
+  const transitions = {};
+  dfaTransitions(dfa).forEach(({ from, symbol, to }) => {
+    transitions[names.get(from)] = { ...transitions[names.get(from)], [symbol]: names.get(to) };
+  });
+  return createDfa({
+    alphabet: dfa.alphabet,
+    states: order.map(state => names.get(state)),
+    start: names.get(dfa.start),
+    accepting: dfa.accepting.map(state => names.get(state)),
+    transitions
+  });
+};
+
+// Name not yet taken by any state, of the form `${prefix}${n}`
+export const freshStateName = (dfa, prefix = 'Q') => {
+  let n = dfa.states.length;
+  while (dfa.states.includes(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+};
+
+export const addState = (dfa, name, accepting = false) => {
+  if (dfa.states.includes(name)) {
+    throw new DfaError(`State "${name}" already exists`);
+  }
+  return createDfa({
+    ...dfa,
+    states: [...dfa.states, name],
+    accepting: accepting ? [...dfa.accepting, name] : dfa.accepting
+  });
+};
+
+export const setAccepting = (dfa, state, accepting = true) => {
+  if (!dfa.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  const others = dfa.accepting.filter(s => s !== state);
+  return createDfa({ ...dfa, accepting: accepting ? [...others, state] : others });
+};
+
+// Add the (from, symbol) -> to transition, keeping the automaton deterministic
+export const addTransition = (dfa, from, symbol, to) => {
+  const existing = step(dfa, from, symbol);
+  if (existing !== null && existing !== to) {
+    throw new DfaError(`${from} has a transition with value ${symbol} already`);
+  }
+  return createDfa({
+    ...dfa,
+    transitions: { ...dfa.transitions, [from]: { ...dfa.transitions[from], [symbol]: to } }
+  });
+};
+
+// Delete a state together with every transition into or out of it
+export const removeState = (dfa, state) => {
+  if (!dfa.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  if (state === dfa.start) {
+    throw new DfaError(`${state} is the start state; make another state the start state first`);
+  }
+  const transitions = {};
+  dfaTransitions(dfa)
+    .filter(({ from, to }) => from !== state && to !== state)
+    .forEach(({ from, symbol, to }) => { transitions[from] = { ...transitions[from], [symbol]: to }; });
+  return createDfa({
+    ...dfa,
+    states: dfa.states.filter(s => s !== state),
+    accepting: dfa.accepting.filter(s => s !== state),
+    transitions
+  });
+};
+
+// Check a new name for `state`, returning it trimmed
+export const checkNewName = (automaton, state, name) => {
+  const trimmed = name.trim();
+  if (!automaton.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  if (trimmed.length === 0) {
+    throw new DfaError('State names may not be empty');
+  }
+  if (trimmed !== state && automaton.states.includes(trimmed)) {
+    throw new DfaError(`State "${trimmed}" already exists`);
+  }
+  return trimmed;
+};
+
+// Give a state a new name, keeping its place in the list of states
+export const renameState = (dfa, state, name) => {
+  const newName = checkNewName(dfa, state, name);
+  const rename = (s) => (s === state ? newName : s);
+  const transitions = {};
+  dfaTransitions(dfa).forEach(({ from, symbol, to }) => {
+    transitions[rename(from)] = { ...transitions[rename(from)], [symbol]: rename(to) };
+  });
+  return createDfa({
+    ...dfa,
+    states: dfa.states.map(rename),
+    start: rename(dfa.start),
+    accepting: dfa.accepting.map(rename),
+    transitions
+  });
+};
+
+export const setStart = (dfa, state) => {
+  if (!dfa.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  return createDfa({ ...dfa, start: state });
+};
+
+// Delete the (from, symbol) transition, leaving the DFA partial there
+export const removeTransition = (dfa, from, symbol) => {
+  if (step(dfa, from, symbol) === null) {
+    throw new DfaError(`${from} has no transition with value ${symbol}`);
+  }
+  const row = { ...dfa.transitions[from] };
+  delete row[symbol];
+  return createDfa({ ...dfa, transitions: { ...dfa.transitions, [from]: row } });
+};
+
+// Point the existing (from, symbol) transition at another state
+export const retargetTransition = (dfa, from, symbol, to) => {
+  if (step(dfa, from, symbol) === null) {
+    throw new DfaError(`${from} has no transition with value ${symbol}`);
+  }
+  return createDfa({
+    ...dfa,
+    transitions: { ...dfa.transitions, [from]: { ...dfa.transitions[from], [symbol]: to } }
+  });
+};
+
+// Replace the alphabet, refusing to drop symbols that transitions still use
+export const setAlphabet = (dfa, alphabet) => {
+  dfa.states.forEach(state => {
+    Object.keys(dfa.transitions[state]).forEach(symbol => {
+      if (!alphabet.includes(symbol)) {
+        throw new DfaError(`Symbol "${symbol}" is still used by a transition`);
+      }
+    });
+  });
+  return createDfa({ ...dfa, alphabet });
+};
@@ -0,0 +1,422 @@
+// Reading and writing Graphviz DOT:
+//
+//   digraph DFA {
+//     rankdir=LR;
+//     alphabet="0, 1";
+//     node [shape=circle];
+//     "__start" [shape=point];
+//     "q1" [shape=doublecircle];
+//     "__start" -> "q0";
+//     "q0" -> "q1" [label="0, 1"];
+//   }
+//
+// Accepting states are double circles and the start state is the target of
+// the edge from a point-shaped (or invisible) node. Edge labels list their
+// symbols separated by commas, ε for ε-transitions. The graph name tells DFAs
+// from NFAs and the `alphabet` attribute, which Graphviz ignores, keeps
+// symbols no transition uses. Where states are drawn is kept in `pos`
+// attributes, in points with y growing upwards like Graphviz's.
+//
+// A MEALY graph labels its edges symbol/output, and a MOORE graph keeps the
+// output of each state in an `output` attribute (and shows it in the label).
+// A PDA graph puts one a, X → YZ label per line and keeps its stack in the
+// `stack_alphabet`, `initial_stack` and `acceptance` attributes.
+//
+// Commas, slashes and backslashes in symbols and outputs are escaped with a
+// backslash, so they round-trip too. A PDA whose labels would not read back
+// as the same transition is refused.
+import { createDfa, DfaError } from './dfa';
+import { createNfa, EPSILON } from './nfa';
+import { createPda, formatPdaLabel, labeledPdaTransitions, parsePdaLabel, pdaTransitions } from './pda';
+import { createMealy, createMoore, mealyOutput, mooreOutput } from './transducer';
+
+// Split DOT text into { type, value, line } tokens: ids (plain, numeral or
+// quoted), punctuation and the edge operators -> and --. Quoted and HTML
+// ids are marked `quoted`, as they are never keywords.
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\[\s\S])*)"|(<)|(->|--)|([{}[\];,=:])|([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))|([\s\S])/g;
+  let match;
+  let line = 1;
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, quoted, html, edge, punctuation, id, other] = match;
+    if (quoted !== undefined) {
+      tokens.push({ type: 'id', value: quoted.replace(/\\\n/g, '').replace(/\\(["\\])/g, '$1'), quoted: true, line });
+    } else if (html !== undefined) {
+      // <...> HTML labels may nest; read up to the matching >
+      let depth = 0;
+      let end = match.index;
+      for (; end < text.length; end++) {
+        if (text[end] === '<') depth++;
+        if (text[end] === '>' && --depth === 0) break;
+      }
+      if (end === text.length) throw new DfaError(`Unclosed HTML string on line ${line}`);
+      const value = text.slice(match.index + 1, end);
+      tokens.push({ type: 'id', value, quoted: true, line });
+      line += (value.match(/\n/g) || []).length;
+      pattern.lastIndex = end + 1;
+    } else if (edge !== undefined || punctuation !== undefined) {
+      tokens.push({ type: whole, value: whole, line });
+    } else if (id !== undefined) {
+      tokens.push({ type: 'id', value: id, line });
+    } else if (other !== undefined) {
+      throw new DfaError(`Unexpected character ${other} on line ${line}`);
+    }
+    line += (whole.match(/\n/g) || []).length;
+  }
+  tokens.push({ type: 'end', value: 'end of file', line });
+  return tokens;
+};
+
+// Parse the graph into its attributes, nodes (with attributes, in order of
+// appearance) and edges. Subgraphs are flattened into the graph.
+const parseGraph = (text) => {
+  const tokens = tokenize(text);
+  let current = 0;
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+  const expect = (type) => {
+    if (peek().type !== type) {
+      throw new DfaError(`Expected ${type} but found ${peek().value} on line ${peek().line}`);
+    }
+    return next();
+  };
+  const isKeyword = (token, keyword) => token.type === 'id' && !token.quoted && token.value.toLowerCase() === keyword;
+
+  const graph = { name: '', attributes: {}, nodes: new Map(), edges: [] };
+  const defaults = { node: {}, edge: {} };
+
+  if (isKeyword(peek(), 'strict')) next();
+  if (!isKeyword(peek(), 'digraph') && !isKeyword(peek(), 'graph')) {
+    throw new DfaError('Expected a DOT graph: digraph { ... }');
+  }
+  next();
+  if (peek().type === 'id') graph.name = next().value;
+
+  const parseAttributes = () => {
+    const attributes = {};
+    while (peek().type === '[') {
+      next();
+      while (peek().type !== ']') {
+        const key = expect('id').value;
+        expect('=');
+        attributes[key] = expect('id').value;
+        if (peek().type === ';' || peek().type === ',') next();
+      }
+      next();
+    }
+    return attributes;
+  };
+
+  const addNode = (name, attributes = {}) => {
+    const existing = graph.nodes.get(name) || { ...defaults.node };
+    graph.nodes.set(name, { ...existing, ...attributes });
+  };
+
+  // A node id, or the nodes of a subgraph used as an edge end
+  const parseEnd = () => {
+    if (peek().type === '{' || isKeyword(peek(), 'subgraph')) {
+      return parseBody();
+    }
+    const name = expect('id').value;
+    if (peek().type === ':') {
+      // Ports don't matter here
+      next();
+      expect('id');
+      if (peek().type === ':') { next(); expect('id'); }
+    }
+    return [name];
+  };
+
+  const parseStatement = (seen) => {
+    const token = peek();
+    if (['graph', 'node', 'edge'].some(keyword => isKeyword(token, keyword)) &&
+      tokens[current + 1].type === '[') {
+      next();
+      const attributes = parseAttributes();
+      const kind = token.value.toLowerCase();
+      if (kind === 'graph') Object.assign(graph.attributes, attributes);
+      else Object.assign(defaults[kind], attributes);
+      return;
+    }
+    if (token.type === 'id' && tokens[current + 1].type === '=') {
+      next();
+      next();
+      graph.attributes[token.value] = expect('id').value;
+      return;
+    }
+
+    const ends = [parseEnd()];
+    while (peek().type === '->' || peek().type === '--') {
+      next();
+      ends.push(parseEnd());
+    }
+    const attributes = parseAttributes();
+    if (ends.length === 1) {
+      ends[0].forEach(name => { addNode(name, token.type === 'id' ? attributes : {}); seen.push(name); });
+      return;
+    }
+    ends.forEach(names => names.forEach(name => { addNode(name); seen.push(name); }));
+    for (let idx = 0; idx + 1 < ends.length; idx++) {
+      ends[idx].forEach(from => ends[idx + 1].forEach(to => {
+        graph.edges.push({ from, to, attributes: { ...defaults.edge, ...attributes } });
+      }));
+    }
+  };
+
+  // { statements }, returning the nodes it mentions
+  function parseBody() {
+    if (isKeyword(peek(), 'subgraph')) {
+      next();
+      if (peek().type === 'id') next();
+    }
+    expect('{');
+    const seen = [];
+    while (peek().type !== '}') {
+      if (peek().type === 'end') throw new DfaError('Unclosed { in the DOT graph');
+      parseStatement(seen);
+      if (peek().type === ';') next();
+    }
+    next();
+    return seen;
+  }
+
+  parseBody();
+  return graph;
+};
+
+const HIDDEN_SHAPES = ['point', 'none', 'plaintext', 'plain'];
+
+// A symbol or output with the characters that separate them escaped, and an
+// output that reads like the ε standing for no output
+const escapeItem = (text) => (text === EPSILON ? `\\${EPSILON}` : text.replace(/[\\,/]/g, '\\$&'));
+
+const unescapeItem = (text) => text.replace(/\\([\s\S])/g, '$1');
+
+// Split text at every `separator` that isn't escaped, leaving the parts escaped
+const splitEscaped = (text, separator) => {
+  const parts = [''];
+  for (let idx = 0; idx < text.length; idx++) {
+    if (text[idx] === '\\' && idx + 1 < text.length) {
+      parts[parts.length - 1] += text.slice(idx, idx + 2);
+      idx++;
+    } else if (text[idx] === separator) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += text[idx];
+    }
+  }
+  return parts;
+};
+
+// The escaped items of a comma-separated list, e.g. a label or the alphabet
+const splitItems = (text) => splitEscaped(text, ',').map(s => s.trim()).filter(s => s.length > 0);
+
+const readSymbols = (text) => (text === undefined ? [] : splitItems(text).map(unescapeItem));
+
+const writeSymbols = (symbols) => symbols.map(escapeItem).join(', ');
+
+// A symbol/output item of a Mealy label; ε (unescaped) is no output
+const readMealyItem = (item) => {
+  const [symbol, ...rest] = splitEscaped(item, '/');
+  const output = rest.join('/').trim();
+  return { symbol: unescapeItem(symbol.trim()), output: output === EPSILON ? '' : unescapeItem(output) };
+};
+
+// Position of a node from its pos="x,y" attribute (a trailing ! pins it),
+// flipped to y growing downwards; undefined without one
+const parsePosition = (pos) => {
+  const match = /^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*!?\s*$/.exec(pos || '');
+  return match ? { x: Number(match[1]), y: -Number(match[2]) || 0 } : undefined;
+};
+
+// A PDA from the edges of a DOT graph named PDA. Without a stack_alphabet
+// attribute, every character on the stack is a stack symbol.
+const readPda = (graph, edges, states, start, accepting) => {
+  const { attributes } = graph;
+  const alphabet = readSymbols(attributes.alphabet);
+  const stackAlphabet = readSymbols(attributes.stack_alphabet);
+  const known = stackAlphabet.length > 0;
+  const transitions = {};
+  edges.forEach(({ from, to, label }) => {
+    label.split(/\\n|\n/).map(s => s.trim()).filter(s => s.length > 0).forEach(item => {
+      const move = parsePdaLabel({ stackAlphabet }, item);
+      if (move.symbol !== EPSILON && !alphabet.includes(move.symbol)) alphabet.push(move.symbol);
+      if (!known) {
+        [move.pop, ...move.push].filter(s => s !== EPSILON && !stackAlphabet.includes(s)).forEach(s => stackAlphabet.push(s));
+      }
+      transitions[from] = [...(transitions[from] || []), { ...move, to }];
+    });
+  });
+  if (stackAlphabet.length === 0) stackAlphabet.push('Z');
+  return createPda({
+    alphabet,
+    states,
+    start,
+    accepting,
+    stackAlphabet,
+    initialStack: attributes.initial_stack !== undefined ? attributes.initial_stack : stackAlphabet[0],
+    acceptance: attributes.acceptance !== undefined ? attributes.acceptance : 'final-state',
+    transitions
+  });
+};
+
+// Read a DOT graph into a DFA, or an NFA when it has ε-transitions or
+// choices (or is named NFA), or a transducer when it is named MEALY or
+// MOORE, or a PDA when it is named PDA, along with where its states are
+// drawn: { automaton, positions }
+export const parseDotWithPositions = (text) => {
+  const graph = parseGraph(text);
+  const kind = graph.name.toUpperCase();
+  const isHidden = (name) => {
+    const attributes = graph.nodes.get(name);
+    return HIDDEN_SHAPES.includes(attributes.shape) || attributes.style === 'invis';
+  };
+
+  const startEdges = graph.edges.filter(({ from }) => isHidden(from));
+  if (startEdges.length !== 1) {
+    throw new DfaError(startEdges.length === 0
+      ? 'No start state: add an edge from a point-shaped node, e.g. __start [shape=point]; __start -> q0'
+      : 'More than one edge marks a start state');
+  }
+
+  const states = [...graph.nodes.keys()].filter(name => !isHidden(name));
+  const accepting = states.filter(name => graph.nodes.get(name).shape === 'doublecircle');
+  const positions = {};
+  states.forEach(name => {
+    const position = parsePosition(graph.nodes.get(name).pos);
+    if (position && Number.isFinite(position.x) && Number.isFinite(position.y)) positions[name] = position;
+  });
+
+  const labeled = graph.edges.filter(({ from }) => !isHidden(from)).map(({ from, to, attributes }) => {
+    if (attributes.label === undefined || attributes.label.trim() === '') {
+      throw new DfaError(`The edge ${from} -> ${to} has no label`);
+    }
+    return { from, to, label: attributes.label };
+  });
+  if (kind === 'PDA') {
+    return { automaton: readPda(graph, labeled, states, startEdges[0].to, accepting), positions };
+  }
+
+  const edges = labeled.flatMap(({ from, to, label }) => splitItems(label)
+    .map(item => (kind === 'MEALY' ? { from, to, ...readMealyItem(item) } : { from, symbol: unescapeItem(item), to })));
+
+  const alphabet = readSymbols(graph.attributes.alphabet);
+  edges.forEach(({ symbol }) => {
+    if (symbol !== EPSILON && !alphabet.includes(symbol)) alphabet.push(symbol);
+  });
+
+  const nfaTable = {};
+  edges.forEach(({ from, symbol, to }) => {
+    nfaTable[from] = { ...nfaTable[from], [symbol]: [...((nfaTable[from] || {})[symbol] || []), to] };
+  });
+  const deterministic = edges.every(({ from, symbol }) => symbol !== EPSILON && nfaTable[from][symbol].length === 1);
+  const start = startEdges[0].to;
+
+  const isTransducer = kind === 'MEALY' || kind === 'MOORE';
+  if (isTransducer && !deterministic) {
+    throw new DfaError(`The ${kind === 'MEALY' ? 'Mealy' : 'Moore'} machine has nondeterministic transitions`);
+  }
+  if (kind === 'NFA' || !deterministic) {
+    return { automaton: createNfa({ alphabet, states, start, accepting, transitions: nfaTable }), positions };
+  }
+  const transitions = {};
+  const transitionOutputs = {};
+  edges.forEach(({ from, symbol, to, output = '' }) => {
+    transitions[from] = { ...transitions[from], [symbol]: to };
+    transitionOutputs[from] = { ...transitionOutputs[from], [symbol]: output };
+  });
+  const definition = { alphabet, states, start, accepting, transitions };
+  if (kind === 'MEALY') return { automaton: createMealy({ ...definition, outputs: transitionOutputs }), positions };
+  if (kind === 'MOORE') {
+    const stateOutputs = {};
+    states.forEach(name => { stateOutputs[name] = graph.nodes.get(name).output || ''; });
+    return { automaton: createMoore({ ...definition, outputs: stateOutputs }), positions };
+  }
+  return { automaton: createDfa(definition), positions };
+};
+
+export const parseDot = (text) => parseDotWithPositions(text).automaton;
+
+const quote = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Whether a PDA label reads back as the move it was written for
+const readsBack = (pda, label, move) => {
+  try {
+    const { symbol, pop, push } = parsePdaLabel(pda, label);
+    return JSON.stringify([symbol, pop, push]) === JSON.stringify([move.symbol, move.pop, move.push]);
+  } catch (error) {
+    return false;
+  }
+};
+
+// The quoted label of the edge for `symbols` from `from`: one PDA label per
+// line, or escaped symbols (with their Mealy outputs) separated by commas
+const edgeLabel = (automaton, from, symbols) => {
+  if (automaton.type === 'pda') return quote(symbols.join('\n')).replace(/\n/g, '\\n');
+  return quote(symbols.map(symbol => {
+    if (automaton.type !== 'mealy') return symbol === EPSILON ? symbol : escapeItem(symbol);
+    const output = mealyOutput(automaton, from, symbol);
+    return `${escapeItem(symbol)}/${output === '' ? EPSILON : escapeItem(output)}`;
+  }).join(', '));
+};
+
+// Write an automaton as a DOT digraph, one edge per pair of states.
+// `positions` maps state names to { x, y }.
+export const formatDot = (automaton, positions = {}) => {
+  const startNode = ['__start', ...automaton.states.map((s, idx) => `__start${idx}`)]
+    .find(name => !automaton.states.includes(name));
+
+  if (automaton.type === 'pda') {
+    pdaTransitions(automaton).forEach(({ from, ...move }) => {
+      const label = formatPdaLabel(automaton, move);
+      if (!readsBack(automaton, label, move)) {
+        throw new DfaError(`The transition ${label} from ${from} would not read back the same: its symbols may not contain , or →`);
+      }
+    });
+  }
+
+  const labels = new Map();
+  const addLabel = (from, to, symbol) => {
+    const key = JSON.stringify([from, to]);
+    labels.set(key, [...(labels.get(key) || []), symbol]);
+  };
+  if (automaton.type === 'pda') {
+    labeledPdaTransitions(automaton).forEach(({ from, symbol, to }) => addLabel(from, to, symbol));
+  }
+  automaton.states.forEach(from => (automaton.type === 'pda' ? [] : [...automaton.alphabet, EPSILON]).forEach(symbol => {
+    const target = automaton.transitions[from][symbol];
+    if (target === undefined) return;
+    (Array.isArray(target) ? target : [target]).forEach(to => addLabel(from, to, symbol));
+  }));
+
+  return [
+    `digraph ${automaton.type.toUpperCase()} {`,
+    '  rankdir=LR;',
+    `  alphabet=${quote(writeSymbols(automaton.alphabet))};`,
+    ...(automaton.type === 'pda' ? [
+      `  stack_alphabet=${quote(writeSymbols(automaton.stackAlphabet))};`,
+      `  initial_stack=${quote(automaton.initialStack)};`,
+      `  acceptance=${quote(automaton.acceptance)};`
+    ] : []),
+    '  node [shape=circle];',
+    `  ${quote(startNode)} [shape=point];`,
+    ...automaton.states.map(state => {
+      const attributes = [
+        ...(automaton.accepting.includes(state) ? ['shape=doublecircle'] : []),
+        ...(automaton.type === 'moore'
+          ? [`label=${quote(`${state}/${mooreOutput(automaton, state) || 'ε'}`)}`, `output=${quote(mooreOutput(automaton, state))}`]
+          : []),
+        ...(positions[state] ? [`pos="${positions[state].x},${-positions[state].y}!"`] : [])
+      ];
+      return `  ${quote(state)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`;
+    }),
+    `  ${quote(startNode)} -> ${quote(automaton.start)};`,
+    ...[...labels].map(([key, symbols]) => {
+      const [from, to] = JSON.parse(key);
+      return `  ${quote(from)} -> ${quote(to)} [label=${edgeLabel(automaton, from, symbols)}];`;
+    }),
+    '}',
+    ''
+  ].join('\n');
+};
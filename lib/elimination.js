@@ -0,0 +1,89 @@
+// Conversion of a finite automaton to a regular expression by state elimination.
+//
+// The automaton is first turned into a generalized NFA (GNFA) whose edges are
+// labelled with regular expressions, with a fresh start state leading into
+// the old one and every accepting state leading into a fresh accepting state.
+// Eliminating the old states one at a time leaves a single edge whose label
+// is the expression for the whole language.
+import { dfaTransitions } from './dfa';
+import { EPSILON, nfaTransitions } from './nfa';
+import { concat, emptySet, epsilon, formatRegex, star, symbolNode, union } from './regex';
+
+// Name based on `base` that doesn't clash with any state of the automaton
+const freshName = (states, base) => {
+  let name = base;
+  while (states.includes(name)) name = `${name}'`;
+  return name;
+};
+
+// Eliminate every state of a DFA or NFA and return
+//   { regex, tree, steps: [{ eliminated, states, start, accept, edges: [{ from, to, label }] }] }
+// The first step is the initial GNFA (with `eliminated` null), and each
+// following one the GNFA left after eliminating one more state. States are
+// eliminated cheapest first: the one with the fewest paths running through it.
+export const stateElimination = (automaton) => {
+  const { alphabet } = automaton;
+  const start = freshName(automaton.states, 'start');
+  const accept = freshName([...automaton.states, start], 'accept');
+
+  // labels[from][to] is the expression on the edge, missing edges are ∅
+  const labels = {};
+  const label = (from, to) => (labels[from] && labels[from][to]) || emptySet;
+  const addLabel = (from, to, tree) => {
+    const combined = union(label(from, to), tree);
+    labels[from] = { ...labels[from] };
+    if (combined.type === 'empty') {
+      delete labels[from][to];
+    } else {
+      labels[from][to] = combined;
+    }
+  };
+
+  addLabel(start, automaton.start, epsilon);
+  automaton.accepting.forEach(state => addLabel(state, accept, epsilon));
+  const transitions = automaton.type === 'nfa' ? nfaTransitions(automaton) : dfaTransitions(automaton);
+  transitions.forEach(({ from, symbol, to }) => {
+    addLabel(from, to, symbol === EPSILON ? epsilon : symbolNode(symbol));
+  });
+
+  let remaining = [...automaton.states];
+  const snapshot = (eliminated) => {
+    const states = [start, ...remaining, accept];
+    const edges = [];
+    states.forEach(from => states.forEach(to => {
+      if (label(from, to).type !== 'empty') {
+        edges.push({ from, to, label: formatRegex(label(from, to), alphabet) });
+      }
+    }));
+    return { eliminated, states, start, accept, edges };
+  };
+
+  const steps = [snapshot(null)];
+  while (remaining.length > 0) {
+    const live = [start, ...remaining, accept];
+    const predecessors = (state) => live.filter(p => p !== state && label(p, state).type !== 'empty');
+    const successors = (state) => live.filter(r => r !== state && label(state, r).type !== 'empty');
+
+    const state = remaining.reduce((best, candidate) => {
+      const cost = predecessors(candidate).length * successors(candidate).length;
+      const bestCost = predecessors(best).length * successors(best).length;
+      return cost < bestCost ? candidate : best;
+    });
+
+    // Route every path p -> state -> r around the state: p -> r gets R(p,s) R(s,s)* R(s,r)
+    const loop = star(label(state, state));
+    predecessors(state).forEach(p => successors(state).forEach(r => {
+      addLabel(p, r, concat(label(p, state), concat(loop, label(state, r))));
+    }));
+
+    live.forEach(other => {
+      if (labels[other]) delete labels[other][state];
+    });
+    delete labels[state];
+    remaining = remaining.filter(s => s !== state);
+    steps.push(snapshot(state));
+  }
+
+  const tree = label(start, accept);
+  return { regex: formatRegex(tree, alphabet), tree, steps };
+};
@@ -0,0 +1,42 @@
+// Language equivalence of two DFAs, with a shortest distinguishing string
+import { createDfa, setAlphabet } from './dfa';
+import { completeDfa, pairKey } from './product';
+
+// Symbols of both alphabets, those of the first DFA first
+export const sharedAlphabet = (first, second) =>
+  [...first.alphabet, ...second.alphabet.filter(symbol => !first.alphabet.includes(symbol))];
+
+// Compare two DFAs by a breadth-first search over their product. Alphabets
+// may differ: a DFA simply rejects strings with symbols it doesn't know.
+// Returns { equivalent: true } or
+//   { equivalent: false, counterexample: [symbols], acceptedBy: 'first' | 'second' }
+// where the counterexample is the shortest (and, among those, the first in
+// alphabet order) string that exactly one of them accepts.
+export const checkEquivalence = (first, second) => {
+  const alphabet = sharedAlphabet(first, second);
+  const a = completeDfa(setAlphabet(createDfa(first), alphabet));
+  const b = completeDfa(setAlphabet(createDfa(second), alphabet));
+
+  const start = [a.start, b.start];
+  const paths = new Map([[pairKey(...start), []]]);
+  const pending = [start];
+
+  while (pending.length > 0) {
+    const [p, q] = pending.shift();
+    const path = paths.get(pairKey(p, q));
+    const acceptsA = a.accepting.includes(p);
+    if (acceptsA !== b.accepting.includes(q)) {
+      return { equivalent: false, counterexample: path, acceptedBy: acceptsA ? 'first' : 'second' };
+    }
+    alphabet.forEach(symbol => {
+      const next = [a.transitions[p][symbol], b.transitions[q][symbol]];
+      const key = pairKey(...next);
+      if (!paths.has(key)) {
+        paths.set(key, [...path, symbol]);
+        pending.push(next);
+      }
+    });
+  }
+
+  return { equivalent: true };
+};
@@ -0,0 +1,90 @@
+// The file formats automata can be imported from and downloaded as. Each
+// format reads text into an automaton and writes it back without losing
+// anything: states and their order, the alphabet and the type. Where the
+// states are drawn is kept too: `format` takes positions as { state: { x, y } }
+// and `read` returns { automaton, positions }.
+import { DfaError } from './dfa';
+import { formatDot, parseDot, parseDotWithPositions } from './dot';
+import { formatJflap, parseJflap, parseJflapWithPositions } from './jflap';
+import { formatSpec, parseSpec, parseSpecWithDiagnostics, SpecError } from './spec';
+import { AUTOMATON_TYPES, createAutomaton } from './transducer';
+
+// JSON is the automaton object itself, validated on the way in, with an
+// optional "positions" field
+export const parseJsonWithPositions = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new DfaError(`Invalid JSON: ${error.message}`);
+  }
+  if (data === null || typeof data !== 'object' || !AUTOMATON_TYPES.includes(data.type)) {
+    throw new DfaError(`Expected a JSON object with "type": ${AUTOMATON_TYPES.map(type => `"${type}"`).join(', ')}`);
+  }
+  const automaton = createAutomaton(data);
+  const positions = {};
+  Object.entries(data.positions || {}).forEach(([state, position]) => {
+    if (!automaton.states.includes(state) || position === null || typeof position !== 'object' ||
+      !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+      throw new DfaError(`Invalid position for "${state}": expected a state and { "x": number, "y": number }`);
+    }
+    positions[state] = { x: position.x, y: position.y };
+  });
+  return { automaton, positions };
+};
+
+export const parseJson = (text) => parseJsonWithPositions(text).automaton;
+
+export const formatJson = (automaton, positions = {}) =>
+  `${JSON.stringify(Object.keys(positions).length > 0 ? { ...automaton, positions } : automaton, null, 2)}\n`;
+
+// A spec with problems is rejected with all of them, as by parseSpec
+const readSpec = (text) => {
+  const { automaton, positions, diagnostics } = parseSpecWithDiagnostics(text);
+  if (diagnostics.length > 0) throw new SpecError(diagnostics);
+  return { automaton, positions };
+};
+
+export const FORMATS = {
+  spec: {
+    label: 'Python spec',
+    extensions: ['py', 'txt'],
+    mimeType: 'text/x-python',
+    parse: parseSpec,
+    read: readSpec,
+    format: (automaton, positions) => formatSpec(automaton, { positions })
+  },
+  json: {
+    label: 'JSON',
+    extensions: ['json'],
+    mimeType: 'application/json',
+    parse: parseJson,
+    read: parseJsonWithPositions,
+    format: formatJson
+  },
+  jflap: {
+    label: 'JFLAP',
+    extensions: ['jff'],
+    mimeType: 'application/xml',
+    parse: parseJflap,
+    read: parseJflapWithPositions,
+    format: formatJflap
+  },
+  dot: {
+    label: 'DOT',
+    extensions: ['dot', 'gv'],
+    mimeType: 'text/vnd.graphviz',
+    parse: parseDot,
+    read: parseDotWithPositions,
+    format: formatDot
+  }
+};
+
+// Format of a file by its extension; anything unknown is read as a spec
+export const formatForFile = (fileName) => {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  return Object.keys(FORMATS).find(key => FORMATS[key].extensions.includes(extension)) || 'spec';
+};
+
+// File name to download an automaton as in the given format
+export const fileNameFor = (format, baseName = 'automaton') => `${baseName}.${FORMATS[format].extensions[0]}`;
@@ -0,0 +1,305 @@
+// Conversion from the automaton models to the nodes and edges react-graph-vis
+// renders. Node ids are the state names, and all symbols between the same pair
+// of states share one edge whose label joins them with ", ". Transducers show
+// their outputs as state/output (Moore) and symbol/output (Mealy) labels.
+// The labels of a PDA (a, X → YZ) have commas of their own, so they go one
+// per line instead.
+import { deadStates, unreachableStates } from './analysis';
+import { dfaTransitions } from './dfa';
+import { EPSILON, nfaTransitions } from './nfa';
+import { labeledPdaTransitions } from './pda';
+import { formatTransitionLabel, mealyOutput, mooreOutput } from './transducer';
+
+// Options shared by every Graph on the page
+export const graphOptions = {
+  layout: {
+    hierarchical: {
+      enabled: false,
+    },
+    // you can also add a fixed randomSeed to keep the initial layout deterministic
+    // randomSeed: 42,
+  },
+  edges: {
+    color: "#ABABAB"
+  },
+  nodes: {
+    color: "#BBBBBB",
+    shape: 'circle', // states are circles with their name inside
+    margin: 10       // leaves room for the inner ring of accepting states
+  },
+  physics: {
+    enabled: false   // turn off all physics; nodes stay where they are dropped
+  },
+  interaction: {
+    multiselect: false,
+    dragView: true,
+    dragNodes: true
+    // optional: prevent zooming/panning if you want truly static
+    // zoomView: false
+  }
+};
+
+export const edgeId = (from, to) => `${from}->${to}`;
+
+// Route edges so none hide another: edges running both ways between two
+// states bend apart, self-loops sit above their state and the rest are
+// straight
+const routeEdges = (edges) => edges.map(edge => {
+  if (edge.from === edge.to) {
+    return { ...edge, selfReference: { size: 18, angle: Math.PI / 2 } };
+  }
+  const reversed = edges.some(other => other.from === edge.to && other.to === edge.from);
+  return { ...edge, smooth: reversed ? { enabled: true, type: 'curvedCW', roundness: 0.3 } : { enabled: false } };
+});
+
+const buildGraph = (automaton, transitions, stateLabel = (state) => state, symbolLabel = (from, symbol) => symbol) => {
+  const nodes = automaton.states.map(state => {
+    const isAccepting = automaton.accepting.includes(state);
+    return {
+      id: state,
+      label: stateLabel(state),
+      title: isAccepting ? 'accepting' : null,
+      // Drawn by drawNotation, which vis.js has no shapes for
+      accepting: isAccepting,
+      start: state === automaton.start,
+      color: isAccepting ? { border: '#000000' } : undefined
+    };
+  });
+
+  const edges = [];
+  transitions.forEach(({ from, symbol, to }) => {
+    const existingEdge = edges.find(edge => edge.from === from && edge.to === to);
+    if (existingEdge) {
+      existingEdge.symbols.push(symbol);
+      existingEdge.label = existingEdge.symbols.map(s => symbolLabel(from, s)).join(', ');
+    } else {
+      edges.push({
+        id: edgeId(from, to),
+        from,
+        to,
+        symbols: [symbol],
+        label: symbolLabel(from, symbol)
+      });
+    }
+  });
+
+  return { nodes, edges: routeEdges(edges) };
+};
+
+export const dfaToGraph = (dfa) => buildGraph(dfa, dfaTransitions(dfa));
+
+export const nfaToGraph = (nfa) => buildGraph(nfa, nfaTransitions(nfa));
+
+export const mealyToGraph = (mealy) => buildGraph(mealy, dfaTransitions(mealy), undefined,
+  (from, symbol) => formatTransitionLabel(symbol, mealyOutput(mealy, from, symbol)));
+
+export const mooreToGraph = (moore) => buildGraph(moore, dfaTransitions(moore),
+  state => `${state}/${mooreOutput(moore, state) || 'ε'}`);
+
+export const pdaToGraph = (pda) => {
+  const graph = buildGraph(pda, labeledPdaTransitions(pda));
+  return { ...graph, edges: graph.edges.map(edge => ({ ...edge, label: edge.symbols.join('\n') })) };
+};
+
+const TO_GRAPH = { dfa: dfaToGraph, nfa: nfaToGraph, mealy: mealyToGraph, moore: mooreToGraph, pda: pdaToGraph };
+
+// Graph for an automaton of any type
+export const automatonToGraph = (automaton) => TO_GRAPH[automaton.type](automaton);
+
+// Put nodes at the positions they were dragged to: { state: { x, y } }.
+// Nodes without a position are placed by vis.js.
+export const placeNodes = (graph, positions) => ({
+  ...graph,
+  nodes: graph.nodes.map(node => (positions[node.id] ? { ...node, ...positions[node.id] } : node))
+});
+
+// Draw the notation vis.js has no shapes for on top of a drawn network: the
+// arrow into the start state and the inner ring of accepting states. Meant
+// for the network's afterDrawing event.
+export const drawNotation = (ctx, network, graph) => {
+  graph.nodes.filter(node => !node.hidden && (node.start || node.accepting)).forEach(node => {
+    const box = network.getBoundingBox(node.id);
+    if (!box) return;
+    const x = (box.left + box.right) / 2;
+    const y = (box.top + box.bottom) / 2;
+    const radius = (box.right - box.left) / 2;
+    ctx.save();
+    ctx.strokeStyle = (node.color && node.color.border) || '#000000';
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.lineWidth = 1;
+    if (node.accepting) {
+      ctx.beginPath();
+      ctx.arc(x, y, radius - 4, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+    if (node.start) {
+      const tip = x - radius - 1;
+      ctx.beginPath();
+      ctx.moveTo(tip - 35, y);
+      ctx.lineTo(tip, y);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(tip, y);
+      ctx.lineTo(tip - 9, y - 5);
+      ctx.lineTo(tip - 9, y + 5);
+      ctx.closePath();
+      ctx.fill();
+    }
+    ctx.restore();
+  });
+};
+
+// How the states that can never lead to acceptance are drawn
+export const DEAD_STATE_STYLES = {
+  show: 'Show normally',
+  dim: 'Dim',
+  hide: 'Hide'
+};
+
+const dimmed = (node) => ({
+  ...node,
+  color: { ...node.color, background: '#EEEEEE', border: '#BDBDBD' },
+  font: { color: '#9E9E9E' },
+  shapeProperties: { borderDashes: [5, 5] }
+});
+
+// Point out states the start state can't reach, and dim or hide the dead
+// states (see DEAD_STATE_STYLES) along with the transitions into and out of
+// them. The start state is always drawn as it is, dead or not.
+export const markStates = (graph, automaton, deadStyle = 'show') => {
+  const unreachable = unreachableStates(automaton);
+  const dead = deadStates(automaton).filter(state => !unreachable.includes(state) && state !== automaton.start);
+  const hidden = deadStyle === 'hide' ? dead : [];
+  return {
+    ...graph,
+    nodes: graph.nodes.map(node => {
+      if (unreachable.includes(node.id)) {
+        return {
+          ...node,
+          color: { ...node.color, background: '#FFE0B2', border: '#FB8C00' },
+          shapeProperties: { borderDashes: [5, 5] },
+          title: 'Unreachable from the start state'
+        };
+      }
+      if (!dead.includes(node.id)) return node;
+      if (hidden.includes(node.id)) return { ...node, hidden: true };
+      const title = 'Dead state: no accepting state can be reached from here';
+      return deadStyle === 'dim' ? { ...dimmed(node), title } : { ...node, title };
+    }),
+    edges: graph.edges.map(edge => (hidden.includes(edge.from) || hidden.includes(edge.to)
+      ? { ...edge, hidden: true }
+      : edge))
+  };
+};
+
+// Background colors that tell groups of merged states apart
+const groupPalette = ['#FFE082', '#CE93D8', '#80DEEA', '#FFAB91', '#C5E1A5', '#F48FB1', '#B0BEC5', '#FFF59D'];
+
+const groupColor = (node, idx) => ({ ...node.color, background: groupPalette[idx % groupPalette.length] });
+
+// Color each state of a minimized DFA by its group, with a tooltip listing the
+// original states that collapsed into it
+export const markMergedStates = (graph, groups) => ({
+  ...graph,
+  nodes: graph.nodes.map(node => {
+    const idx = Object.keys(groups).indexOf(node.id);
+    if (idx < 0) return node;
+    const members = groups[node.id];
+    return {
+      ...node,
+      color: groupColor(node, idx),
+      title: members.length > 1 ? `Merged from ${members.join(', ')}` : `Kept ${members[0]}`
+    };
+  })
+});
+
+// Color the states of the original DFA like the group they were merged into,
+// and dim the states minimization removed; `removed` maps them to a reason
+export const markOriginalStates = (graph, groups, removed) => ({
+  ...graph,
+  nodes: graph.nodes.map(node => {
+    if (removed[node.id]) {
+      return { ...dimmed(node), title: `Removed: ${removed[node.id]}` };
+    }
+    const idx = Object.values(groups).findIndex(members => members.includes(node.id));
+    if (idx < 0) return node;
+    return { ...node, color: groupColor(node, idx), title: `Merged into ${Object.keys(groups)[idx]}` };
+  })
+});
+
+// Graph for one step of state elimination (see ./elimination), with the
+// fresh start and accepting states set apart from the remaining ones
+export const gnfaToGraph = (gnfa) => ({
+  nodes: gnfa.states.map(state => ({
+    id: state,
+    label: state,
+    borderWidth: state === gnfa.accept ? 3 : 1,
+    color: state === gnfa.start || state === gnfa.accept
+      ? { background: '#E0E0E0', border: '#000000' }
+      : undefined
+  })),
+  edges: routeEdges(gnfa.edges.map(({ from, to, label }) => ({
+    id: edgeId(from, to),
+    from,
+    to,
+    label
+  })))
+});
+
+// Colors used to show a run on the graph
+export const runColors = {
+  active: '#90CAF9',
+  accepted: '#A5D6A7',
+  rejected: '#EF9A9A',
+  edge: '#1E88E5'
+};
+
+// Highlight the first `stepCount` steps of a run on a graph: the result of
+// `run` for a DFA, or of `runNfa` for an NFA. A DFA run leaves a trail of the
+// states and edges it went through, an NFA run shows the active state set
+// and the edges just taken. Once all steps are shown, the final state(s) are
+// colored by whether the run accepted. A run that got stuck counts as one
+// step longer, the step that found no way on, which marks it rejected.
+// A PDA run (see `runPda`) is drawn like a DFA run along the branch it
+// follows, colored by whether that branch accepts.
+export const highlightRun = (graph, automaton, result, stepCount = result.steps.length) => {
+  const stuck = result.reason === 'missing-transition' || result.reason === 'no-active-states';
+  const finished = stuck ? stepCount > result.steps.length : stepCount >= result.steps.length;
+  const shown = result.steps.slice(0, stepCount);
+  const edgeColor = { color: runColors.edge, highlight: runColors.edge };
+
+  let nodeColors;
+  let edgeIds;
+  if (automaton.type === 'nfa') {
+    const initial = result.steps.length > 0 ? result.steps[0].from : result.states;
+    const last = shown[shown.length - 1];
+    const active = last ? last.to : initial;
+    nodeColors = new Map(active.map(state => [state, !finished ? runColors.active
+      : automaton.accepting.includes(state) ? runColors.accepted : runColors.rejected]));
+    edgeIds = new Set();
+    if (last) {
+      graph.edges.forEach(edge => {
+        const taken = last.from.includes(edge.from) && last.moved.includes(edge.to) && edge.symbols.includes(last.symbol);
+        const closure = active.includes(edge.from) && active.includes(edge.to) && edge.symbols.includes(EPSILON);
+        if (taken || closure) edgeIds.add(edge.id);
+      });
+    }
+  } else {
+    nodeColors = new Map([[automaton.start, runColors.active]]);
+    shown.forEach(({ to }) => nodeColors.set(to, runColors.active));
+    edgeIds = new Set(shown.map(({ from, to }) => edgeId(from, to)));
+    const accepted = automaton.type === 'pda'
+      ? result.configurations[result.followed].status === 'accepted'
+      : result.accepted;
+    if (finished) {
+      nodeColors.set(result.state, accepted ? runColors.accepted : runColors.rejected);
+    }
+  }
+
+  return {
+    nodes: graph.nodes.map(node => (nodeColors.has(node.id)
+      ? { ...node, color: { ...node.color, background: nodeColors.get(node.id) } }
+      : node)),
+    edges: graph.edges.map(edge => (edgeIds.has(edge.id) ? { ...edge, color: edgeColor } : edge))
+  };
+};
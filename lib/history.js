@@ -0,0 +1,36 @@
+// Undo/redo history as a list of labeled snapshots and the index of the one
+// currently shown:
+//
+//   { entries: [{ label: 'Start', snapshot }, { label: 'Add state Q1', snapshot }], index: 1 }
+//
+// Recording after an undo drops the entries that could have been redone.
+// Like the automata, histories are never mutated.
+
+// Oldest entries are dropped beyond this many
+export const HISTORY_LIMIT = 100;
+
+export const createHistory = (snapshot, label = 'Start') => ({ entries: [{ label, snapshot }], index: 0 });
+
+export const currentSnapshot = (history) => history.entries[history.index].snapshot;
+
+export const record = (history, label, snapshot) => {
+  const entries = [...history.entries.slice(0, history.index + 1), { label, snapshot }];
+  const kept = entries.slice(Math.max(0, entries.length - HISTORY_LIMIT));
+  return { entries: kept, index: kept.length - 1 };
+};
+
+export const canUndo = (history) => history.index > 0;
+
+export const canRedo = (history) => history.index < history.entries.length - 1;
+
+// Move to any entry, keeping the ones after it for redo
+export const jumpTo = (history, index) => {
+  if (index < 0 || index >= history.entries.length) {
+    throw new RangeError(`No history entry ${index}`);
+  }
+  return { ...history, index };
+};
+
+export const undo = (history) => (canUndo(history) ? jumpTo(history, history.index - 1) : history);
+
+export const redo = (history) => (canRedo(history) ? jumpTo(history, history.index + 1) : history);
@@ -0,0 +1,288 @@
+// Reading and writing JFLAP's `.jff` files for finite automata:
+//
+//   <structure>
+//     <type>fa</type>
+//     <automaton>
+//       <state id="0" name="q0"><x>60.0</x><y>100.0</y><initial/></state>
+//       <state id="1" name="q1"><x>180.0</x><y>100.0</y><final/></state>
+//       <transition><from>0</from><to>1</to><read>a</read></transition>
+//     </automaton>
+//   </structure>
+//
+// An empty <read/> is an ε-transition. JFLAP has no notion of an alphabet and
+// doesn't tell DFAs from NFAs, so both are kept in a comment that JFLAP
+// ignores; files without it get the symbols their transitions read.
+//
+// Mealy and Moore machines have their own types, `mealy` with the output of
+// each transition in a <transout> and `moore` with that of each state in an
+// <output>.
+//
+// PDAs are of type `pda`, their transitions popping a <pop> and pushing a
+// <push>, empty for ε. JFLAP always starts with Z on the stack and lets the
+// user pick how to accept when running, so both are kept in the comment.
+import { createDfa, DfaError, formatInput, tokenizeInput } from './dfa';
+import { createNfa, EPSILON } from './nfa';
+import { createPda } from './pda';
+import { createMealy, createMoore, mealyOutput, mooreOutput } from './transducer';
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decode = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+  if (name[0] === '#') {
+    return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+  }
+  return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+});
+
+const encode = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Just enough XML for JFLAP: elements, attributes, text and comments, read
+// into { name, attributes, children, text } with the comments collected apart
+const parseXml = (text) => {
+  const root = { name: '', attributes: {}, children: [], text: '' };
+  const open = [root];
+  const comments = [];
+  const pattern = /<!--([\s\S]*?)-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, comment, cdata, closing, name, attributeText, selfClosing, content] = match;
+    const current = open[open.length - 1];
+    if (comment !== undefined) {
+      comments.push(comment);
+    } else if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (content !== undefined) {
+      current.text += decode(content);
+    } else if (name !== undefined && closing) {
+      if (current.name !== name) {
+        throw new DfaError(`Unexpected </${name}> in the JFLAP file`);
+      }
+      open.pop();
+    } else if (name !== undefined) {
+      const attributes = {};
+      attributeText.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, key, double, single) => {
+        attributes[key] = decode(double !== undefined ? double : single);
+      });
+      const element = { name, attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) open.push(element);
+    } else if (whole === '<') {
+      throw new DfaError('The JFLAP file is not well-formed XML');
+    }
+  }
+  if (open.length > 1) {
+    throw new DfaError(`Unclosed <${open[open.length - 1].name}> in the JFLAP file`);
+  }
+  return { root, comments };
+};
+
+const child = (element, name) => element.children.find(c => c.name === name);
+const childText = (element, name) => {
+  const found = child(element, name);
+  return found === undefined ? null : found.text;
+};
+
+const MARKER = 'dfa-visualize ';
+
+// Read a .jff file into a DFA, or an NFA when it has ε-transitions or
+// choices, or into a transducer or a PDA, along with where its states are drawn:
+// { automaton, positions }
+export const parseJflapWithPositions = (text) => {
+  const { root, comments } = parseXml(text);
+  const structure = child(root, 'structure');
+  if (structure === undefined) {
+    throw new DfaError('Expected a JFLAP <structure> element');
+  }
+  const type = (childText(structure, 'type') || '').trim();
+  if (!['fa', 'mealy', 'moore', 'pda'].includes(type)) {
+    throw new DfaError(`JFLAP ${type || 'files without a type'} can't be imported; only finite automata (fa), Mealy and Moore machines and PDAs are supported`);
+  }
+  const body = child(structure, 'automaton') || structure;
+
+  const names = {};
+  const states = [];
+  const accepting = [];
+  const positions = {};
+  const stateOutputs = {};
+  let start = null;
+  body.children.filter(c => c.name === 'state').forEach(state => {
+    const id = state.attributes.id;
+    const name = state.attributes.name !== undefined ? state.attributes.name : `q${id}`;
+    names[id] = name;
+    states.push(name);
+    if (child(state, 'initial')) {
+      if (start !== null) throw new DfaError('The JFLAP file has more than one initial state');
+      start = name;
+    }
+    if (child(state, 'final')) accepting.push(name);
+    if (type === 'moore') stateOutputs[name] = childText(state, 'output') || '';
+    const x = parseFloat(childText(state, 'x'));
+    const y = parseFloat(childText(state, 'y'));
+    if (Number.isFinite(x) && Number.isFinite(y)) positions[name] = { x, y };
+  });
+  if (start === null) {
+    throw new DfaError('The JFLAP file has no initial state');
+  }
+
+  const edges = body.children.filter(c => c.name === 'transition').map(edge => {
+    const from = names[(childText(edge, 'from') || '').trim()];
+    const to = names[(childText(edge, 'to') || '').trim()];
+    if (from === undefined || to === undefined) {
+      throw new DfaError('A JFLAP transition refers to an unknown state id');
+    }
+    const read = childText(edge, 'read') || '';
+    return {
+      from,
+      symbol: read === '' ? EPSILON : read,
+      to,
+      output: childText(edge, 'transout') || '',
+      pop: childText(edge, 'pop') || '',
+      push: childText(edge, 'push') || ''
+    };
+  });
+
+  // Our own files remember the type and alphabet
+  const marker = comments.map(c => c.trim()).find(c => c.startsWith(MARKER));
+  let saved = {};
+  if (marker !== undefined) {
+    try {
+      saved = JSON.parse(marker.slice(MARKER.length));
+    } catch (error) {
+      throw new DfaError(`The ${MARKER.trim()} comment is damaged: ${error.message}`);
+    }
+  }
+
+  const alphabet = saved.alphabet || [];
+  if (saved.alphabet === undefined) {
+    edges.forEach(({ symbol }) => {
+      if (symbol !== EPSILON && !alphabet.includes(symbol)) alphabet.push(symbol);
+    });
+  }
+
+  if (type === 'pda') {
+    // Without the comment, every character on the stack is a stack symbol
+    const stackAlphabet = saved.stackAlphabet || ['Z'];
+    if (saved.stackAlphabet === undefined) {
+      edges.forEach(({ pop, push }) => [...pop, ...push].forEach(symbol => {
+        if (!stackAlphabet.includes(symbol)) stackAlphabet.push(symbol);
+      }));
+    }
+    const pdaTable = {};
+    edges.forEach(({ from, symbol, to, pop, push }) => {
+      pdaTable[from] = [...(pdaTable[from] || []), {
+        symbol,
+        pop: pop === '' ? EPSILON : pop,
+        push: push === '' ? [] : tokenizeInput(push, stackAlphabet),
+        to
+      }];
+    });
+    const automaton = createPda({
+      alphabet,
+      states,
+      start,
+      accepting,
+      stackAlphabet,
+      initialStack: saved.initialStack || 'Z',
+      acceptance: saved.acceptance || 'final-state',
+      transitions: pdaTable
+    });
+    return { automaton, positions };
+  }
+
+  const nfaTable = {};
+  edges.forEach(({ from, symbol, to }) => {
+    nfaTable[from] = { ...nfaTable[from], [symbol]: [...((nfaTable[from] || {})[symbol] || []), to] };
+  });
+  const deterministic = edges.every(({ from, symbol }) => symbol !== EPSILON && nfaTable[from][symbol].length === 1);
+  const isNfa = type === 'fa' && (saved.type !== undefined ? saved.type === 'nfa' : !deterministic);
+
+  if (isNfa) {
+    return { automaton: createNfa({ alphabet, states, start, accepting, transitions: nfaTable }), positions };
+  }
+  if (!deterministic) {
+    throw new DfaError(type === 'fa'
+      ? 'The JFLAP file is marked as a DFA but has nondeterministic transitions'
+      : `The JFLAP ${type} machine has nondeterministic transitions`);
+  }
+  const transitions = {};
+  const transitionOutputs = {};
+  edges.forEach(({ from, symbol, to, output }) => {
+    transitions[from] = { ...transitions[from], [symbol]: to };
+    transitionOutputs[from] = { ...transitionOutputs[from], [symbol]: output };
+  });
+  const definition = { alphabet, states, start, accepting, transitions };
+  if (type === 'mealy') return { automaton: createMealy({ ...definition, outputs: transitionOutputs }), positions };
+  if (type === 'moore') return { automaton: createMoore({ ...definition, outputs: stateOutputs }), positions };
+  return { automaton: createDfa(definition), positions };
+};
+
+export const parseJflap = (text) => parseJflapWithPositions(text).automaton;
+
+// Spread the states on a circle when no positions are given
+const circlePosition = (idx, count) => {
+  const radius = Math.max(100, count * 30);
+  const angle = (2 * Math.PI * idx) / count;
+  return { x: radius + 60 + radius * Math.cos(angle), y: radius + 60 + radius * Math.sin(angle) };
+};
+
+const formatNumber = (value) => (Number.isInteger(value) ? value.toFixed(1) : String(value));
+
+// Write an automaton as a .jff file. `positions` maps state names to { x, y }.
+export const formatJflap = (automaton, positions = {}) => {
+  // "--" may not appear in an XML comment
+  const stack = automaton.type === 'pda'
+    ? { stackAlphabet: automaton.stackAlphabet, initialStack: automaton.initialStack, acceptance: automaton.acceptance }
+    : {};
+  const marker = JSON.stringify({ type: automaton.type, alphabet: automaton.alphabet, ...stack }).replace(/--/g, '-\\u002d');
+  const ids = new Map(automaton.states.map((state, idx) => [state, idx]));
+
+  const stateLines = automaton.states.map((state, idx) => {
+    const { x, y } = positions[state] || circlePosition(idx, automaton.states.length);
+    return [
+      `    <state id="${idx}" name="${encode(state)}">`,
+      `      <x>${formatNumber(x)}</x>`,
+      `      <y>${formatNumber(y)}</y>`,
+      ...(state === automaton.start ? ['      <initial/>'] : []),
+      ...(automaton.accepting.includes(state) ? ['      <final/>'] : []),
+      ...(automaton.type === 'moore' ? [`      <output>${encode(mooreOutput(automaton, state))}</output>`] : []),
+      '    </state>'
+    ].join('\n');
+  });
+
+  const pdaLines = automaton.type !== 'pda' ? [] : automaton.states.flatMap(from =>
+    automaton.transitions[from].map(({ symbol, pop, push, to }) => [
+      `    <transition><from>${ids.get(from)}</from><to>${ids.get(to)}</to>`,
+      symbol === EPSILON ? '<read/>' : `<read>${encode(symbol)}</read>`,
+      pop === EPSILON ? '<pop/>' : `<pop>${encode(pop)}</pop>`,
+      push.length === 0 ? '<push/>' : `<push>${encode(formatInput(push, automaton.stackAlphabet))}</push>`,
+      '</transition>'
+    ].join('')));
+
+  const transitionLines = automaton.type === 'pda' ? pdaLines : automaton.states.flatMap(from =>
+    [...automaton.alphabet, EPSILON].flatMap(symbol => {
+      const target = automaton.transitions[from][symbol];
+      if (target === undefined) return [];
+      const targets = Array.isArray(target) ? target : [target];
+      const read = symbol === EPSILON ? '<read/>' : `<read>${encode(symbol)}</read>`;
+      const transout = automaton.type === 'mealy' ? `<transout>${encode(mealyOutput(automaton, from, symbol))}</transout>` : '';
+      return targets.map(to =>
+        `    <transition><from>${ids.get(from)}</from><to>${ids.get(to)}</to>${read}${transout}</transition>`);
+    }));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    `<!--${MARKER}${marker}-->`,
+    '<structure>',
+    `  <type>${['mealy', 'moore', 'pda'].includes(automaton.type) ? automaton.type : 'fa'}</type>`,
+    '  <automaton>',
+    ...stateLines,
+    ...transitionLines,
+    '  </automaton>',
+    '</structure>',
+    ''
+  ].join('\n');
+};
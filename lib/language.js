@@ -0,0 +1,122 @@
+// What a DFA accepts: its strings in length-lexicographic order, how many
+// there are of each length, whether there are none, finitely many or
+// infinitely many, and random accepted or rejected strings
+import { deadStates, unreachableStates } from './analysis';
+import { completeDfa } from './product';
+
+// Longest length up to which every count of strings over an alphabet of
+// `size` symbols stays exact: size ** length must not pass
+// Number.MAX_SAFE_INTEGER. Counting and sampling longer strings is off.
+export const maxExactLength = (size, limit = Infinity) => {
+  if (size <= 1) return limit;
+  let length = 0;
+  while (length < limit && size ** (length + 1) <= Number.MAX_SAFE_INTEGER) length++;
+  return length;
+};
+
+// Number of accepted strings of each length up to `length` read from each
+// state of a complete DFA: table[k][state] for strings of length k
+const acceptedCounts = (dfa, length) => {
+  const table = [Object.fromEntries(dfa.states.map(state => [state, dfa.accepting.includes(state) ? 1 : 0]))];
+  for (let k = 1; k <= length; k++) {
+    const shorter = table[k - 1];
+    table.push(Object.fromEntries(dfa.states.map(state =>
+      [state, dfa.alphabet.reduce((sum, symbol) => sum + shorter[dfa.transitions[state][symbol]], 0)]
+    )));
+  }
+  return table;
+};
+
+// Number of accepted strings of each length 0..maxLength
+export const countByLength = (dfa, maxLength) => {
+  const complete = completeDfa(dfa);
+  return acceptedCounts(complete, maxLength).map(counts => counts[complete.start]);
+};
+
+// Accepted strings of up to maxLength symbols, shortest first and in
+// alphabet order within a length: { strings: [[symbols]], truncated }, where
+// `truncated` tells whether more than `limit` strings were left out
+export const enumerateLanguage = (dfa, maxLength, limit = 1000) => {
+  const complete = completeDfa(dfa);
+  const table = acceptedCounts(complete, maxLength);
+  const strings = [];
+
+  // Only branches that still lead to an accepted string are followed
+  const extend = (state, prefix, remaining) => {
+    if (strings.length >= limit || table[remaining][state] === 0) return;
+    if (remaining === 0) {
+      strings.push(prefix);
+      return;
+    }
+    complete.alphabet.forEach(symbol => extend(complete.transitions[state][symbol], [...prefix, symbol], remaining - 1));
+  };
+  for (let length = 0; length <= maxLength && strings.length < limit; length++) {
+    extend(complete.start, [], length);
+  }
+
+  const total = table.reduce((sum, counts) => sum + counts[complete.start], 0);
+  return { strings, truncated: total > strings.length };
+};
+
+// Whether the language is empty, finite or infinite:
+//   { kind: 'empty' } | { kind: 'infinite' } | { kind: 'finite', size, longest }
+// It is infinite exactly when a cycle runs through states that are both
+// reachable and live.
+export const classifyLanguage = (dfa) => {
+  const dead = deadStates(dfa);
+  if (dead.includes(dfa.start)) return { kind: 'empty' };
+  const unreachable = unreachableStates(dfa);
+  const useful = new Set(dfa.states.filter(state => !dead.includes(state) && !unreachable.includes(state)));
+
+  // Depth-first search for a cycle, recording the longest accepted suffix
+  // from each finished state
+  const longestFrom = new Map();
+  const onPath = new Set();
+  const visit = (state) => {
+    if (longestFrom.has(state)) return true;
+    if (onPath.has(state)) return false;
+    onPath.add(state);
+    let longest = dfa.accepting.includes(state) ? 0 : -Infinity;
+    const acyclic = Object.values(dfa.transitions[state]).filter(to => useful.has(to)).every(to => {
+      if (!visit(to)) return false;
+      longest = Math.max(longest, longestFrom.get(to) + 1);
+      return true;
+    });
+    onPath.delete(state);
+    if (acyclic) longestFrom.set(state, longest);
+    return acyclic;
+  };
+  if (!visit(dfa.start)) return { kind: 'infinite' };
+
+  const longest = longestFrom.get(dfa.start);
+  const size = countByLength(dfa, longest).reduce((sum, count) => sum + count, 0);
+  return { kind: 'finite', size, longest };
+};
+
+// A random string of exactly `length` symbols that the DFA accepts (or,
+// with `accepted` false, rejects), every such string equally likely; null
+// if there is none. `random` returns numbers in [0, 1) like Math.random.
+export const randomString = (dfa, length, accepted = true, random = Math.random) => {
+  const complete = completeDfa(dfa);
+  const table = acceptedCounts(complete, length);
+  const size = complete.alphabet.length;
+  const count = (state, k) => (accepted ? table[k][state] : size ** k - table[k][state]);
+  if (count(complete.start, length) === 0) return null;
+
+  const symbols = [];
+  let state = complete.start;
+  for (let remaining = length; remaining > 0; remaining--) {
+    // Pick the next symbol in proportion to the strings it leads to
+    const options = complete.alphabet
+      .map(symbol => ({ symbol, to: complete.transitions[state][symbol] }))
+      .filter(({ to }) => count(to, remaining - 1) > 0);
+    let pick = random() * count(state, remaining);
+    const chosen = options.find(({ to }) => {
+      pick -= count(to, remaining - 1);
+      return pick < 0;
+    }) || options[options.length - 1];
+    symbols.push(chosen.symbol);
+    state = chosen.to;
+  }
+  return symbols;
+};
@@ -0,0 +1,125 @@
+// Layouts that place the states of an automaton on the canvas, as
+// { state: { x, y } } in the coordinates vis.js uses (y grows downwards)
+
+// Distance between neighbouring states
+const SPACING = 150;
+
+// States one transition away, in alphabet order and without repeats
+const successors = (automaton, state) => {
+  const targets = automaton.type === 'pda'
+    ? automaton.transitions[state].map(({ to }) => to)
+    : Object.values(automaton.transitions[state] || {}).flat();
+  return targets.filter((to, idx) => targets.indexOf(to) === idx);
+};
+
+// Breadth-first depth of every state reachable from the start
+const depths = (automaton) => {
+  const depth = new Map([[automaton.start, 0]]);
+  const pending = [automaton.start];
+  while (pending.length > 0) {
+    const state = pending.shift();
+    successors(automaton, state).forEach(to => {
+      if (!depth.has(to)) {
+        depth.set(to, depth.get(state) + 1);
+        pending.push(to);
+      }
+    });
+  }
+  return depth;
+};
+
+// States in breadth-first order from the start, unreachable ones last
+const bfsOrder = (automaton) => {
+  const depth = depths(automaton);
+  return [
+    ...[...depth.keys()],
+    ...automaton.states.filter(state => !depth.has(state))
+  ];
+};
+
+// One column per breadth-first layer from the start state, left to right;
+// unreachable states get a column of their own at the end
+export const layeredLayout = (automaton) => {
+  const depth = depths(automaton);
+  const last = Math.max(...depth.values());
+  const columns = [];
+  bfsOrder(automaton).forEach(state => {
+    const column = depth.has(state) ? depth.get(state) : last + 1;
+    columns[column] = [...(columns[column] || []), state];
+  });
+
+  const positions = {};
+  columns.forEach((states, column) => states.forEach((state, row) => {
+    positions[state] = { x: column * SPACING, y: Math.round((row - (states.length - 1) / 2) * SPACING) };
+  }));
+  return positions;
+};
+
+// States on a circle in breadth-first order, the start state on the left
+export const circularLayout = (automaton) => {
+  const order = bfsOrder(automaton);
+  const radius = Math.max(SPACING, (order.length * SPACING) / (2 * Math.PI));
+  return Object.fromEntries(order.map((state, idx) => {
+    const angle = Math.PI + (2 * Math.PI * idx) / order.length;
+    return [state, { x: Math.round(radius * Math.cos(angle)), y: Math.round(radius * Math.sin(angle)) }];
+  }));
+};
+
+// Force-directed placement (Fruchterman and Reingold): states repel each
+// other and transitions pull them together, starting from the circular
+// layout and cooling down over `iterations` rounds. The result is fixed, so
+// it doesn't move once drawn.
+export const forceLayout = (automaton, iterations = 300) => {
+  const states = bfsOrder(automaton);
+  const start = circularLayout(automaton);
+  const points = states.map(state => ({ ...start[state] }));
+  const index = new Map(states.map((state, idx) => [state, idx]));
+  const links = [];
+  states.forEach((state, from) => successors(automaton, state).forEach(to => {
+    const other = index.get(to);
+    if (other !== from && !links.some(([a, b]) => (a === other && b === from) || (a === from && b === other))) {
+      links.push([from, other]);
+    }
+  }));
+
+  for (let round = 0; round < iterations; round++) {
+    const temperature = SPACING * (1 - round / iterations);
+    const moves = points.map(() => ({ x: 0, y: 0 }));
+    const push = (a, b, strength) => {
+      const dx = points[a].x - points[b].x || 0.01;
+      const dy = points[a].y - points[b].y;
+      const distance = Math.hypot(dx, dy);
+      const force = strength(distance) / distance;
+      moves[a].x += dx * force;
+      moves[a].y += dy * force;
+      moves[b].x -= dx * force;
+      moves[b].y -= dy * force;
+    };
+    for (let a = 0; a < points.length; a++) {
+      for (let b = a + 1; b < points.length; b++) push(a, b, d => (SPACING * SPACING) / d);
+    }
+    links.forEach(([a, b]) => push(a, b, d => -(d * d) / SPACING));
+    points.forEach((point, idx) => {
+      const length = Math.hypot(moves[idx].x, moves[idx].y);
+      if (length === 0) return;
+      const step = Math.min(length, temperature) / length;
+      point.x += moves[idx].x * step;
+      point.y += moves[idx].y * step;
+    });
+  }
+
+  return Object.fromEntries(states.map((state, idx) =>
+    [state, { x: Math.round(points[idx].x), y: Math.round(points[idx].y) }]));
+};
+
+export const LAYOUTS = {
+  layered: { label: 'Layered (left to right)', place: layeredLayout },
+  circular: { label: 'Circular', place: circularLayout },
+  force: { label: 'Force-directed', place: (automaton) => forceLayout(automaton) }
+};
+
+// Positions of the automaton's states only, rounded to whole pixels, for
+// writing to a file
+export const positionsFor = (automaton, positions) => Object.fromEntries(automaton.states
+  .filter(state => positions[state] && Number.isFinite(positions[state].x) && Number.isFinite(positions[state].y))
+  .map(state => [state, { x: Math.round(positions[state].x), y: Math.round(positions[state].y) }]));
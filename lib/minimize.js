@@ -0,0 +1,107 @@
+// DFA minimization with Hopcroft's partition refinement
+import { createDfa, reachableStates } from './dfa';
+
+// Minimize a DFA and report how its states were merged:
+//   { dfa, groups: { [newState]: [original states] }, unreachable: [...], dead: [...] }
+// Each merged state keeps the name of its first member. Unreachable states are
+// dropped first. A partial DFA is refined as if its missing transitions led
+// to a dead state; states equivalent to that dead state are dropped too (and
+// listed in `dead`), so the result stays partial.
+export const minimize = (dfa) => {
+  const states = reachableStates(dfa);
+  const unreachable = dfa.states.filter(state => !states.includes(state));
+  const index = new Map(states.map((state, idx) => [state, idx]));
+
+  // Work on state indices, using states.length for the implicit dead state
+  const isPartial = states.some(state => dfa.alphabet.some(symbol => dfa.transitions[state][symbol] === undefined));
+  const sink = states.length;
+  const count = isPartial ? states.length + 1 : states.length;
+  const target = (idx, symbol) => {
+    if (idx === sink) return sink;
+    const to = dfa.transitions[states[idx]][symbol];
+    return to === undefined ? sink : index.get(to);
+  };
+
+  // Predecessors of every state for every symbol
+  const inverse = dfa.alphabet.map(() => Array.from({ length: count }, () => []));
+  for (let idx = 0; idx < count; idx++) {
+    dfa.alphabet.forEach((symbol, s) => inverse[s][target(idx, symbol)].push(idx));
+  }
+
+  const all = Array.from({ length: count }, (_, idx) => idx);
+  const accepting = all.filter(idx => idx !== sink && dfa.accepting.includes(states[idx]));
+  const rejecting = all.filter(idx => !accepting.includes(idx));
+  let partition = [accepting, rejecting].filter(block => block.length > 0).map(block => new Set(block));
+  const pending = partition.length > 1
+    ? [partition[0].size <= partition[1].size ? partition[0] : partition[1]]
+    : [];
+
+  while (pending.length > 0) {
+    const splitter = pending.pop();
+    dfa.alphabet.forEach((symbol, s) => {
+      const predecessors = new Set();
+      splitter.forEach(idx => inverse[s][idx].forEach(p => predecessors.add(p)));
+
+      const refined = [];
+      partition.forEach(block => {
+        const inside = new Set([...block].filter(idx => predecessors.has(idx)));
+        if (inside.size === 0 || inside.size === block.size) {
+          refined.push(block);
+          return;
+        }
+        const outside = new Set([...block].filter(idx => !predecessors.has(idx)));
+        refined.push(inside, outside);
+
+        const pendingIdx = pending.indexOf(block);
+        if (pendingIdx >= 0) {
+          pending.splice(pendingIdx, 1, inside, outside);
+        } else {
+          pending.push(inside.size <= outside.size ? inside : outside);
+        }
+      });
+      partition = refined;
+    });
+  }
+
+  // Blocks equivalent to the dead state disappear, unless the start is one of them
+  const startIdx = index.get(dfa.start);
+  const sinkBlock = isPartial ? partition.find(block => block.has(sink)) : null;
+  const blocks = partition
+    .filter(block => block !== sinkBlock || block.has(startIdx))
+    .map(block => [...block].filter(idx => idx !== sink).sort((a, b) => a - b))
+    .sort((a, b) => a[0] - b[0]);
+  const dropped = sinkBlock && !sinkBlock.has(startIdx)
+    ? [...sinkBlock].filter(idx => idx !== sink).map(idx => states[idx])
+    : [];
+
+  const nameOf = new Map();
+  blocks.forEach(block => block.forEach(idx => nameOf.set(idx, states[block[0]])));
+
+  const transitions = {};
+  blocks.forEach(block => {
+    const from = states[block[0]];
+    transitions[from] = {};
+    dfa.alphabet.forEach(symbol => {
+      const to = target(block[0], symbol);
+      if (nameOf.has(to)) {
+        transitions[from][symbol] = nameOf.get(to);
+      }
+    });
+  });
+
+  const groups = {};
+  blocks.forEach(block => { groups[states[block[0]]] = block.map(idx => states[idx]); });
+
+  return {
+    dfa: createDfa({
+      alphabet: dfa.alphabet,
+      states: blocks.map(block => states[block[0]]),
+      start: nameOf.get(startIdx),
+      accepting: blocks.filter(block => dfa.accepting.includes(states[block[0]])).map(block => states[block[0]]),
+      transitions
+    }),
+    groups,
+    unreachable,
+    dead: dropped
+  };
+};
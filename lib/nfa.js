@@ -0,0 +1,254 @@
+// Nondeterministic finite automata with ε-transitions.
+//
+// An NFA has the same shape as a DFA (see ./dfa), except that every
+// transition leads to a list of states and the EPSILON symbol may be used
+// alongside the alphabet:
+//
+//   { type: 'nfa', ..., transitions: { q0: { a: ['q0', 'q1'], 'ε': ['q2'] } } }
+//
+// State sets are always kept in the order of `nfa.states`.
+import { checkNewName, createDfa, DfaError } from './dfa';
+
+export const EPSILON = 'ε';
+
+export const createNfa = ({ alphabet, states, start, accepting = [], transitions = {} }) => {
+  // Reuse the DFA checks for everything but the transition table
+  const base = createDfa({ alphabet, states, start, accepting });
+  if (alphabet.includes(EPSILON)) {
+    throw new DfaError(`The alphabet may not contain the empty-string symbol ${EPSILON}`);
+  }
+
+  const table = {};
+  states.forEach(state => { table[state] = {}; });
+  Object.keys(transitions).forEach(from => {
+    if (!states.includes(from)) {
+      throw new DfaError(`Transition from undeclared state "${from}"`);
+    }
+    Object.keys(transitions[from]).forEach(symbol => {
+      if (symbol !== EPSILON && !alphabet.includes(symbol)) {
+        throw new DfaError(`Transition (${from}, ${symbol}) uses a symbol outside the alphabet`);
+      }
+      const targets = transitions[from][symbol];
+      const unknown = targets.find(to => !states.includes(to));
+      if (unknown !== undefined) {
+        throw new DfaError(`Transition (${from}, ${symbol}) leads to undeclared state "${unknown}"`);
+      }
+      if (targets.length > 0) {
+        table[from][symbol] = states.filter(state => targets.includes(state));
+      }
+    });
+  });
+
+  return { ...base, type: 'nfa', transitions: table };
+};
+
+// Every transition as a flat list of { from, symbol, to }
+export const nfaTransitions = (nfa) => nfa.states.flatMap(from =>
+  [...nfa.alphabet, EPSILON].flatMap(symbol =>
+    (nfa.transitions[from][symbol] || []).map(to => ({ from, symbol, to }))));
+
+const inStateOrder = (nfa, set) => nfa.states.filter(state => set.has(state));
+
+// States reachable from `states` using only ε-transitions (including themselves)
+export const epsilonClosure = (nfa, states) => {
+  const closure = new Set(states);
+  const pending = [...states];
+  while (pending.length > 0) {
+    const state = pending.pop();
+    (nfa.transitions[state][EPSILON] || []).forEach(to => {
+      if (!closure.has(to)) {
+        closure.add(to);
+        pending.push(to);
+      }
+    });
+  }
+  return inStateOrder(nfa, closure);
+};
+
+// States reachable from `states` by reading `symbol` once, without ε-closure
+export const move = (nfa, states, symbol) => {
+  const targets = new Set();
+  states.forEach(state => (nfa.transitions[state][symbol] || []).forEach(to => targets.add(to)));
+  return inStateOrder(nfa, targets);
+};
+
+// Run the NFA over a list of symbols, tracking the set of active states:
+//   { steps: [{ from, symbol, moved, to }], states, accepted, reason }
+// `moved` is the set reached by the symbol itself and `to` its ε-closure.
+// A run whose active set becomes empty stops early with reason 'no-active-states'.
+export const runNfa = (nfa, symbols) => {
+  const steps = [];
+  let states = epsilonClosure(nfa, [nfa.start]);
+
+  for (let idx = 0; idx < symbols.length; idx++) {
+    const symbol = symbols[idx];
+    if (!nfa.alphabet.includes(symbol)) {
+      throw new DfaError(`Symbol "${symbol}" is not in the alphabet`);
+    }
+    const moved = move(nfa, states, symbol);
+    const next = epsilonClosure(nfa, moved);
+    steps.push({ from: states, symbol, moved, to: next });
+    states = next;
+    if (states.length === 0) {
+      return { steps, states, accepted: false, reason: 'no-active-states', symbol, position: idx };
+    }
+  }
+
+  const accepted = states.some(state => nfa.accepting.includes(state));
+  return { steps, states, accepted, reason: accepted ? null : 'non-accepting' };
+};
+
+export const nfaAccepts = (nfa, symbols) => runNfa(nfa, symbols).accepted;
+
+// View a DFA as an NFA with singleton target sets
+export const dfaToNfa = (dfa) => {
+  const transitions = {};
+  dfa.states.forEach(from => {
+    transitions[from] = {};
+    Object.keys(dfa.transitions[from]).forEach(symbol => {
+      transitions[from][symbol] = [dfa.transitions[from][symbol]];
+    });
+  });
+  return createNfa({ ...dfa, transitions });
+};
+
+// Turn an NFA without ε-transitions or choices back into a DFA
+export const nfaAsDfa = (nfa) => {
+  const transitions = {};
+  nfaTransitions(nfa).forEach(({ from, symbol, to }) => {
+    if (symbol === EPSILON || nfa.transitions[from][symbol].length > 1) {
+      throw new DfaError(`Transition (${from}, ${symbol}) is nondeterministic; convert the NFA with the subset construction instead`);
+    }
+    transitions[from] = { ...transitions[from], [symbol]: to };
+  });
+  return createDfa({ ...nfa, transitions });
+};
+
+// Name of the DFA state that stands for a set of NFA states. Brackets and
+// spaces keep the name readable in the spec format, whose sets use braces
+// and commas.
+export const subsetName = (states) => `[${states.join(' ')}]`;
+
+// Subset construction: build the DFA whose states are the ε-closed sets of
+// NFA states reachable from the start. The empty set is left out, so the
+// result is a partial DFA that rejects wherever the NFA has no active states.
+export const subsetConstruction = (nfa) => {
+  const start = epsilonClosure(nfa, [nfa.start]);
+  const subsets = [start];
+  const transitions = {};
+
+  for (let idx = 0; idx < subsets.length; idx++) {
+    const subset = subsets[idx];
+    const from = subsetName(subset);
+    transitions[from] = {};
+    nfa.alphabet.forEach(symbol => {
+      const next = epsilonClosure(nfa, move(nfa, subset, symbol));
+      if (next.length === 0) return;
+      const to = subsetName(next);
+      if (!subsets.some(s => subsetName(s) === to)) {
+        subsets.push(next);
+      }
+      transitions[from][symbol] = to;
+    });
+  }
+
+  return createDfa({
+    alphabet: nfa.alphabet,
+    states: subsets.map(subsetName),
+    start: subsetName(start),
+    accepting: subsets
+      .filter(subset => subset.some(state => nfa.accepting.includes(state)))
+      .map(subsetName),
+    transitions
+  });
+};
+
+export const addNfaState = (nfa, name, accepting = false) => {
+  if (nfa.states.includes(name)) {
+    throw new DfaError(`State "${name}" already exists`);
+  }
+  return createNfa({
+    ...nfa,
+    states: [...nfa.states, name],
+    accepting: accepting ? [...nfa.accepting, name] : nfa.accepting
+  });
+};
+
+export const setNfaAccepting = (nfa, state, accepting = true) => {
+  if (!nfa.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  const others = nfa.accepting.filter(s => s !== state);
+  return createNfa({ ...nfa, accepting: accepting ? [...others, state] : others });
+};
+
+// Add `to` to the targets of (from, symbol); any number of targets is allowed
+export const addNfaTransition = (nfa, from, symbol, to) => {
+  const targets = nfa.transitions[from] ? nfa.transitions[from][symbol] || [] : [];
+  return createNfa({
+    ...nfa,
+    transitions: { ...nfa.transitions, [from]: { ...nfa.transitions[from], [symbol]: [...targets, to] } }
+  });
+};
+
+// Rebuild an NFA from its transitions after mapping or dropping some of them
+const rebuildNfa = (nfa, fields, keep, rename = (s) => s) => {
+  const transitions = {};
+  nfaTransitions(nfa).filter(keep).forEach(({ from, symbol, to }) => {
+    const row = transitions[rename(from)] || {};
+    transitions[rename(from)] = { ...row, [symbol]: [...(row[symbol] || []), rename(to)] };
+  });
+  return createNfa({ ...nfa, ...fields, transitions });
+};
+
+export const removeNfaState = (nfa, state) => {
+  if (!nfa.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  if (state === nfa.start) {
+    throw new DfaError(`${state} is the start state; make another state the start state first`);
+  }
+  return rebuildNfa(nfa, {
+    states: nfa.states.filter(s => s !== state),
+    accepting: nfa.accepting.filter(s => s !== state)
+  }, ({ from, to }) => from !== state && to !== state);
+};
+
+export const renameNfaState = (nfa, state, name) => {
+  const newName = checkNewName(nfa, state, name);
+  const rename = (s) => (s === state ? newName : s);
+  return rebuildNfa(nfa, {
+    states: nfa.states.map(rename),
+    start: rename(nfa.start),
+    accepting: nfa.accepting.map(rename)
+  }, () => true, rename);
+};
+
+export const setNfaStart = (nfa, state) => {
+  if (!nfa.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  return createNfa({ ...nfa, start: state });
+};
+
+// Remove `to` from the targets of (from, symbol)
+export const removeNfaTransition = (nfa, from, symbol, to) => {
+  const targets = nfa.transitions[from] ? nfa.transitions[from][symbol] || [] : [];
+  if (!targets.includes(to)) {
+    throw new DfaError(`${from} has no transition with value ${symbol} to ${to}`);
+  }
+  return rebuildNfa(nfa, {}, t => !(t.from === from && t.symbol === symbol && t.to === to));
+};
+
+// Replace `oldTo` by `newTo` among the targets of (from, symbol)
+export const retargetNfaTransition = (nfa, from, symbol, oldTo, newTo) =>
+  addNfaTransition(removeNfaTransition(nfa, from, symbol, oldTo), from, symbol, newTo);
+
+export const setNfaAlphabet = (nfa, alphabet) => {
+  nfaTransitions(nfa).forEach(({ symbol }) => {
+    if (symbol !== EPSILON && !alphabet.includes(symbol)) {
+      throw new DfaError(`Symbol "${symbol}" is still used by a transition`);
+    }
+  });
+  return createNfa({ ...nfa, alphabet });
+};
@@ -0,0 +1,379 @@
+// Pushdown automata: NFAs with a stack. Every transition reads an input
+// symbol (or ε), pops the symbol on top of the stack (or ε, leaving it
+// alone) and pushes a string of stack symbols, written as a label
+//
+//   a, X → YZ     read a, pop X, push Z then Y, so Y ends up on top
+//
+// The model keeps the transitions of each state in a list, in the order of
+// the alphabet, the stack alphabet and the states:
+//
+//   {
+//     type: 'pda', ..., stackAlphabet: ['Z', 'A'], initialStack: 'Z',
+//     acceptance: 'final-state' | 'empty-stack',
+//     transitions: { q0: [{ symbol: 'a', pop: 'Z', push: ['A', 'Z'], to: 'q0' }] }
+//   }
+//
+// Stacks are lists of stack symbols with the top first. The editing panels
+// and the graph address a transition by its label.
+import { checkNewName, createDfa, DfaError, formatInput, tokenizeInput } from './dfa';
+import { createNfa, EPSILON, nfaTransitions } from './nfa';
+
+// How a PDA may accept once it has read its whole input
+export const ACCEPTANCE_MODES = {
+  'final-state': 'By final state',
+  'empty-stack': 'By empty stack'
+};
+
+// Configurations a run explores at most: ε-moves that keep pushing would
+// otherwise never stop
+export const MAX_CONFIGURATIONS = 500;
+
+// Order transitions by symbol, popped symbol, target and pushed string
+const transitionOrder = (alphabet, stackAlphabet, states) => {
+  const symbols = [...alphabet, EPSILON];
+  const pops = [...stackAlphabet, EPSILON];
+  const pushed = (t) => t.push.join(' ');
+  return (a, b) => symbols.indexOf(a.symbol) - symbols.indexOf(b.symbol) ||
+    pops.indexOf(a.pop) - pops.indexOf(b.pop) ||
+    states.indexOf(a.to) - states.indexOf(b.to) ||
+    (pushed(a) < pushed(b) ? -1 : pushed(a) > pushed(b) ? 1 : 0);
+};
+
+export const createPda = ({
+  alphabet, states, start, accepting = [], stackAlphabet = ['Z'], initialStack = stackAlphabet[0],
+  acceptance = 'final-state', transitions = {}
+}) => {
+  // Reuse the DFA checks for everything but the stack and the transitions
+  const base = createDfa({ alphabet, states, start, accepting });
+  if (alphabet.includes(EPSILON)) {
+    throw new DfaError(`The alphabet may not contain the empty-string symbol ${EPSILON}`);
+  }
+  if (!Array.isArray(stackAlphabet) || stackAlphabet.length === 0) {
+    throw new DfaError('Stack alphabet must contain at least one symbol');
+  }
+  if (new Set(stackAlphabet).size !== stackAlphabet.length) {
+    throw new DfaError('Stack alphabet contains duplicate symbols');
+  }
+  if (stackAlphabet.includes(EPSILON)) {
+    throw new DfaError(`The stack alphabet may not contain the empty-string symbol ${EPSILON}`);
+  }
+  if (!stackAlphabet.includes(initialStack)) {
+    throw new DfaError(`Initial stack symbol "${initialStack}" is not in the stack alphabet`);
+  }
+  if (ACCEPTANCE_MODES[acceptance] === undefined) {
+    throw new DfaError(`Unknown acceptance "${acceptance}"; expected final-state or empty-stack`);
+  }
+
+  const table = {};
+  states.forEach(state => { table[state] = []; });
+  Object.keys(transitions).forEach(from => {
+    if (!states.includes(from)) {
+      throw new DfaError(`Transition from undeclared state "${from}"`);
+    }
+    if (!Array.isArray(transitions[from])) {
+      throw new DfaError(`The transitions from "${from}" must be a list`);
+    }
+    const seen = new Set();
+    transitions[from].forEach(({ symbol, pop, push, to }) => {
+      const where = `Transition (${from}, ${symbol}, ${pop})`;
+      if (symbol !== EPSILON && !alphabet.includes(symbol)) {
+        throw new DfaError(`${where} uses a symbol outside the alphabet`);
+      }
+      if (pop !== EPSILON && !stackAlphabet.includes(pop)) {
+        throw new DfaError(`${where} pops "${pop}", which is not in the stack alphabet`);
+      }
+      if (!Array.isArray(push)) {
+        throw new DfaError(`${where} must push a list of stack symbols`);
+      }
+      const unknown = push.find(s => !stackAlphabet.includes(s));
+      if (unknown !== undefined) {
+        throw new DfaError(`${where} pushes "${unknown}", which is not in the stack alphabet`);
+      }
+      if (!states.includes(to)) {
+        throw new DfaError(`${where} leads to undeclared state "${to}"`);
+      }
+      const key = JSON.stringify([symbol, pop, push, to]);
+      if (!seen.has(key)) {
+        seen.add(key);
+        table[from].push({ symbol, pop, push: [...push], to });
+      }
+    });
+    table[from].sort(transitionOrder(alphabet, stackAlphabet, states));
+  });
+
+  return {
+    ...base,
+    type: 'pda',
+    transitions: table,
+    stackAlphabet: [...stackAlphabet],
+    initialStack,
+    acceptance
+  };
+};
+
+// Every transition as a flat list of { from, symbol, pop, push, to }
+export const pdaTransitions = (pda) => pda.states.flatMap(from =>
+  pda.transitions[from].map(transition => ({ from, ...transition })));
+
+// A stack, or what a transition pushes, as text: top first, ε when empty
+export const formatStack = (pda, stack) => formatInput(stack, pda.stackAlphabet) || EPSILON;
+
+export const formatPdaLabel = (pda, { symbol, pop, push }) => `${symbol}, ${pop} → ${formatStack(pda, push)}`;
+
+// Read a label typed as `a, X → YZ` (or with ->). An empty or ε part reads,
+// pops or pushes nothing.
+export const parsePdaLabel = (pda, label) => {
+  const match = /^([^,]*),([^,]*?)(?:→|->)(.*)$/.exec(label.trim());
+  if (match === null) {
+    throw new DfaError(`Expected a transition label like a, X → YZ but found "${label.trim()}"`);
+  }
+  const part = (text) => (text.trim() === EPSILON ? '' : text.trim());
+  const symbol = part(match[1]);
+  const pop = part(match[2]);
+  return {
+    symbol: symbol === '' ? EPSILON : symbol,
+    pop: pop === '' ? EPSILON : pop,
+    push: part(match[3]) === '' ? [] : tokenizeInput(part(match[3]), pda.stackAlphabet)
+  };
+};
+
+// Transitions as the editing panels and the graph see them: { from, symbol, to }
+// with the label as the symbol
+export const labeledPdaTransitions = (pda) =>
+  pdaTransitions(pda).map(({ from, to, ...transition }) => ({ from, symbol: formatPdaLabel(pda, transition), to }));
+
+const sameMove = (a, b) => a.symbol === b.symbol && a.pop === b.pop && a.push.join(' ') === b.push.join(' ');
+
+// Rebuild a PDA from its transitions after mapping or dropping some of them
+const rebuildPda = (pda, fields, keep, rename = (s) => s) => {
+  const transitions = {};
+  pdaTransitions(pda).filter(keep).forEach(({ from, to, ...move }) => {
+    transitions[rename(from)] = [...(transitions[rename(from)] || []), { ...move, to: rename(to) }];
+  });
+  return createPda({ ...pda, ...fields, transitions });
+};
+
+export const addPdaState = (pda, name, accepting = false) => {
+  if (pda.states.includes(name)) {
+    throw new DfaError(`State "${name}" already exists`);
+  }
+  return createPda({
+    ...pda,
+    states: [...pda.states, name],
+    accepting: accepting ? [...pda.accepting, name] : pda.accepting
+  });
+};
+
+export const removePdaState = (pda, state) => {
+  if (!pda.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  if (state === pda.start) {
+    throw new DfaError(`${state} is the start state; make another state the start state first`);
+  }
+  return rebuildPda(pda, {
+    states: pda.states.filter(s => s !== state),
+    accepting: pda.accepting.filter(s => s !== state)
+  }, ({ from, to }) => from !== state && to !== state);
+};
+
+export const renamePdaState = (pda, state, name) => {
+  const newName = checkNewName(pda, state, name);
+  const rename = (s) => (s === state ? newName : s);
+  return rebuildPda(pda, {
+    states: pda.states.map(rename),
+    start: rename(pda.start),
+    accepting: pda.accepting.map(rename)
+  }, () => true, rename);
+};
+
+export const setPdaAccepting = (pda, state, accepting = true) => {
+  if (!pda.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  const others = pda.accepting.filter(s => s !== state);
+  return createPda({ ...pda, accepting: accepting ? [...others, state] : others });
+};
+
+export const setPdaStart = (pda, state) => {
+  if (!pda.states.includes(state)) {
+    throw new DfaError(`Unknown state "${state}"`);
+  }
+  return createPda({ ...pda, start: state });
+};
+
+// Add the transition labeled `label` (see parsePdaLabel) from `from` to `to`
+export const addPdaTransition = (pda, from, label, to) => {
+  if (!pda.states.includes(from)) {
+    throw new DfaError(`Unknown state "${from}"`);
+  }
+  return createPda({
+    ...pda,
+    transitions: { ...pda.transitions, [from]: [...pda.transitions[from], { ...parsePdaLabel(pda, label), to }] }
+  });
+};
+
+export const removePdaTransition = (pda, from, label, to) => {
+  const move = parsePdaLabel(pda, label);
+  const isRemoved = (t) => t.from === from && t.to === to && sameMove(t, move);
+  if (!pdaTransitions(pda).some(isRemoved)) {
+    throw new DfaError(`${from} has no transition ${label} to ${to}`);
+  }
+  return rebuildPda(pda, {}, t => !isRemoved(t));
+};
+
+export const retargetPdaTransition = (pda, from, label, oldTo, newTo) =>
+  addPdaTransition(removePdaTransition(pda, from, label, oldTo), from, label, newTo);
+
+export const setPdaAlphabet = (pda, alphabet) => {
+  pdaTransitions(pda).forEach(({ symbol }) => {
+    if (symbol !== EPSILON && !alphabet.includes(symbol)) {
+      throw new DfaError(`Symbol "${symbol}" is still used by a transition`);
+    }
+  });
+  return createPda({ ...pda, alphabet });
+};
+
+// Replace the stack alphabet, keeping the initial stack symbol if it's still
+// in it and taking the first symbol otherwise
+export const setStackAlphabet = (pda, stackAlphabet) => {
+  pdaTransitions(pda).forEach(({ pop, push }) => {
+    const unknown = [pop, ...push].find(s => s !== EPSILON && !stackAlphabet.includes(s));
+    if (unknown !== undefined) {
+      throw new DfaError(`Stack symbol "${unknown}" is still used by a transition`);
+    }
+  });
+  const initialStack = stackAlphabet.includes(pda.initialStack) ? pda.initialStack : stackAlphabet[0];
+  return createPda({ ...pda, stackAlphabet, initialStack });
+};
+
+export const setInitialStack = (pda, initialStack) => createPda({ ...pda, initialStack });
+
+export const setAcceptance = (pda, acceptance) => createPda({ ...pda, acceptance });
+
+// An NFA is a PDA that never touches its stack
+export const nfaToPda = (nfa) => {
+  const transitions = {};
+  nfaTransitions(nfa).forEach(({ from, symbol, to }) => {
+    transitions[from] = [...(transitions[from] || []), { symbol, pop: EPSILON, push: [], to }];
+  });
+  return createPda({ ...nfa, transitions });
+};
+
+// Turn a PDA that never touches its stack and accepts by final state back
+// into an NFA
+export const pdaToNfa = (pda) => {
+  if (pda.acceptance !== 'final-state') {
+    throw new DfaError('The PDA accepts by empty stack; switch it to accept by final state first');
+  }
+  const transitions = {};
+  pdaTransitions(pda).forEach(({ from, symbol, pop, push, to }) => {
+    if (pop !== EPSILON || push.length > 0) {
+      throw new DfaError(`Transition ${formatPdaLabel(pda, { symbol, pop, push })} from ${from} uses the stack, which a finite automaton doesn't have`);
+    }
+    transitions[from] = { ...transitions[from], [symbol]: [...((transitions[from] || {})[symbol] || []), to] };
+  });
+  return createNfa({ ...pda, transitions });
+};
+
+const acceptsIn = (pda, configuration, length) => configuration.read === length &&
+  (pda.acceptance === 'empty-stack' ? configuration.stack.length === 0 : pda.accepting.includes(configuration.state));
+
+// The steps from the start to a configuration, with the stack after each,
+// and where they end: { followed, steps, state, stack }
+const follow = (configurations, id) => {
+  const path = [];
+  for (let current = configurations[id]; current.parent !== null; current = configurations[current.parent]) {
+    path.unshift(current);
+  }
+  const steps = path.map(({ parent, move, state, stack }) =>
+    ({ from: configurations[parent].state, ...move, to: state, stack }));
+  return { followed: id, steps, state: configurations[id].state, stack: configurations[id].stack };
+};
+
+// Run the PDA over a list of symbols, exploring every choice breadth-first
+// from the start configuration until one accepts. The explored
+// configurations form a tree:
+//   { id, parent, depth, state, read, stack, move, children, status }
+// where `read` counts the symbols read, `move` is the { symbol, pop, push }
+// that led there and `status` is 'accepted', 'stuck' (no move applies),
+// 'repeated' (seen before on the way), 'unexplored' (beyond the limit or the
+// accepting configuration) or null for configurations that moved on.
+// The result follows one branch like a DFA run:
+//   { configurations, followed, steps: [{ from, symbol, pop, push, to, stack }],
+//     state, stack, accepted, reason }
+// leading to the accepting configuration, or otherwise to one that read as
+// much of the input as any. `reason` explains a rejection: 'limit' when
+// `limit` configurations were explored without deciding, and
+// 'no-accepting-configuration' when every branch was followed to its end.
+export const runPda = (pda, symbols, limit = MAX_CONFIGURATIONS) => {
+  symbols.forEach(symbol => {
+    if (!pda.alphabet.includes(symbol)) {
+      throw new DfaError(`Symbol "${symbol}" is not in the alphabet`);
+    }
+  });
+
+  const configurations = [{
+    id: 0, parent: null, depth: 0, state: pda.start, read: 0, stack: [pda.initialStack], move: null, children: [], status: null
+  }];
+  const key = ({ state, read, stack }) => JSON.stringify([state, read, stack]);
+  // Repeats only count on the way from the start, so each branch is cut where it loops
+  const ancestors = (configuration) => {
+    const seen = new Set();
+    for (let current = configuration; current !== null; current = current.parent === null ? null : configurations[current.parent]) {
+      seen.add(key(current));
+    }
+    return seen;
+  };
+
+  let accepting = null;
+  for (let idx = 0; idx < configurations.length && accepting === null; idx++) {
+    const current = configurations[idx];
+    if (current.status === 'repeated') continue;
+    if (acceptsIn(pda, current, symbols.length)) {
+      current.status = 'accepted';
+      accepting = current.id;
+      break;
+    }
+    const moves = pda.transitions[current.state].filter(({ symbol, pop }) =>
+      (symbol === EPSILON || symbol === symbols[current.read]) && (pop === EPSILON || pop === current.stack[0]));
+    if (moves.length === 0) {
+      current.status = 'stuck';
+      continue;
+    }
+    const seen = ancestors(current);
+    moves.forEach(({ symbol, pop, push, to }) => {
+      if (configurations.length >= limit) return;
+      const next = {
+        id: configurations.length,
+        parent: current.id,
+        depth: current.depth + 1,
+        state: to,
+        read: current.read + (symbol === EPSILON ? 0 : 1),
+        stack: [...push, ...(pop === EPSILON ? current.stack : current.stack.slice(1))],
+        move: { symbol, pop, push },
+        children: [],
+        status: null
+      };
+      if (seen.has(key(next))) next.status = 'repeated';
+      configurations.push(next);
+      current.children.push(next.id);
+    });
+  }
+  configurations.forEach(configuration => {
+    if (configuration.status === null && configuration.children.length === 0) configuration.status = 'unexplored';
+  });
+
+  const furthest = configurations.reduce((best, c) => (c.read > best.read ? c : best), configurations[0]);
+  const accepted = accepting !== null;
+  const reason = accepted ? null
+    : configurations.some(c => c.status === 'unexplored') ? 'limit' : 'no-accepting-configuration';
+  return { configurations, ...follow(configurations, accepted ? accepting : furthest.id), accepted, reason };
+};
+
+export const pdaAccepts = (pda, symbols) => runPda(pda, symbols).accepted;
+
+// Follow another branch of a run, up to the configuration with id `id`.
+// `accepted` and `reason` still tell about the run as a whole; whether the
+// branch accepts is the status of `configurations[followed]`.
+export const followConfiguration = (result, id) => ({ ...result, ...follow(result.configurations, id) });
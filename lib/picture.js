@@ -0,0 +1,199 @@
+// Pictures of a drawn automaton for slides and papers: SVG and TikZ (with
+// the automata library). Both take the graph shown on the canvas (see
+// automatonToGraph), so run highlights and state markings come along, and
+// the positions of its states: { state: { x, y } }.
+
+// Radius of a state, as vis.js sizes a circle around its name
+const radiusFor = (label) => Math.max(20, (String(label).length * 7.5) / 2 + 10);
+
+const colorOf = (color, key, fallback) => (color && typeof color === 'object' && color[key]) || fallback;
+
+// The visible states and transitions with everything needed to draw them:
+//   nodes: [{ id, label, x, y, radius, fill, stroke, text, dashed, accepting, start }]
+//   edges: [{ from, to, label, color, shape: 'straight' | 'curved' | 'loop' }]
+// where curved edges are the ones running both ways between two states
+export const pictureOf = (graph, positions = {}) => {
+  const nodes = graph.nodes.filter(node => !node.hidden).map(node => {
+    const at = positions[node.id] || { x: node.x || 0, y: node.y || 0 };
+    return {
+      id: node.id,
+      label: node.label,
+      x: at.x,
+      y: at.y,
+      radius: radiusFor(node.label),
+      fill: colorOf(node.color, 'background', '#FFFFFF'),
+      stroke: colorOf(node.color, 'border', '#000000'),
+      text: (node.font && node.font.color) || '#000000',
+      dashed: !!(node.shapeProperties && node.shapeProperties.borderDashes),
+      accepting: !!node.accepting,
+      start: !!node.start
+    };
+  });
+  const shown = new Set(nodes.map(node => node.id));
+  const visible = graph.edges.filter(edge => !edge.hidden && shown.has(edge.from) && shown.has(edge.to));
+  const edges = visible.map(edge => ({
+    from: edge.from,
+    to: edge.to,
+    label: edge.label,
+    color: colorOf(edge.color, 'color', '#000000'),
+    shape: edge.from === edge.to ? 'loop'
+      : visible.some(other => other.from === edge.to && other.to === edge.from) ? 'curved' : 'straight'
+  }));
+  return { nodes, edges };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Room around the states for start arrows, loops and labels
+const MARGIN = 70;
+
+// Font size of the SVG, in pixels, and the spacing of label lines in ems
+const FONT_SIZE = 14;
+const LINE_HEIGHT = 1.2;
+
+// Labels of several transitions (those of a PDA) put one per line
+const labelLines = (label) => String(label).split('\n');
+
+// Write the picture as a standalone SVG document
+export const formatSvg = (graph, positions = {}) => {
+  const { nodes, edges } = pictureOf(graph, positions);
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const left = Math.min(0, ...nodes.map(n => n.x - n.radius)) - MARGIN;
+  const top = Math.min(0, ...nodes.map(n => n.y - n.radius)) - MARGIN;
+  const right = Math.max(0, ...nodes.map(n => n.x + n.radius)) + MARGIN;
+  const bottom = Math.max(0, ...nodes.map(n => n.y + n.radius)) + MARGIN;
+  const width = round(right - left);
+  const height = round(bottom - top);
+
+  // One arrowhead per edge color
+  const colors = [...new Set(['#000000', ...edges.map(edge => edge.color)])];
+  const marker = (color) => `arrow${colors.indexOf(color)}`;
+  const markers = colors.map(color =>
+    `    <marker id="${marker(color)}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">` +
+    `<path d="M 0 0 L 10 5 L 0 10 z" fill="${escapeXml(color)}"/></marker>`);
+
+  // Text centered on (x, y), with a tspan per line when there are several
+  const text = (x, y, label, color, anchor = 'middle') => {
+    const lines = labelLines(label);
+    const open = `<text x="${round(x)}" y="${round(y)}" text-anchor="${anchor}" dominant-baseline="central" fill="${escapeXml(color)}">`;
+    if (lines.length === 1) return `${open}${escapeXml(label)}</text>`;
+    const first = round(-((lines.length - 1) * LINE_HEIGHT) / 2);
+    const spans = lines.map((line, idx) =>
+      `<tspan x="${round(x)}" dy="${idx === 0 ? first : LINE_HEIGHT}em">${escapeXml(line)}</tspan>`);
+    return `${open}${spans.join('')}</text>`;
+  };
+
+  const edgeLines = edges.map(({ from, to, label, color, shape }) => {
+    const a = byId.get(from);
+    const b = byId.get(to);
+    const stroke = `fill="none" stroke="${escapeXml(color)}" marker-end="url(#${marker(color)})"`;
+    if (shape === 'loop') {
+      const y = a.y - a.radius;
+      const path = `M ${round(a.x - 8)} ${round(y + 2)} C ${round(a.x - 30)} ${round(y - 45)} ${round(a.x + 30)} ${round(y - 45)} ${round(a.x + 8)} ${round(y + 2)}`;
+      // Extra lines go upwards, clear of the loop
+      const above = ((labelLines(label).length - 1) * LINE_HEIGHT * FONT_SIZE) / 2;
+      return `  <path d="${path}" ${stroke}/>\n  ${text(a.x, y - 42 - above, label, color)}`;
+    }
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy) || 1;
+    // Bend to the right of the direction of travel, like curvedCW on the canvas
+    const bend = shape === 'curved' ? length * 0.2 : 0;
+    const control = { x: (a.x + b.x) / 2 - (dy / length) * bend, y: (a.y + b.y) / 2 + (dx / length) * bend };
+    const towards = (node, point) => {
+      const ox = point.x - node.x;
+      const oy = point.y - node.y;
+      const d = Math.hypot(ox, oy) || 1;
+      return { x: node.x + (ox / d) * node.radius, y: node.y + (oy / d) * node.radius };
+    };
+    const start = towards(a, control);
+    const end = towards(b, control);
+    const middle = { x: (start.x + 2 * control.x + end.x) / 4, y: (start.y + 2 * control.y + end.y) / 4 };
+    // Labels sit beside the edge, on the outside of a bend
+    const side = shape === 'curved' ? 12 : -10;
+    const path = `M ${round(start.x)} ${round(start.y)} Q ${round(control.x)} ${round(control.y)} ${round(end.x)} ${round(end.y)}`;
+    return `  <path d="${path}" ${stroke}/>\n  ${text(middle.x - (dy / length) * side, middle.y + (dx / length) * side, label, color)}`;
+  });
+
+  const nodeLines = nodes.map(node => {
+    const dash = node.dashed ? ' stroke-dasharray="5 5"' : '';
+    return [
+      ...(node.start ? [`  <path d="M ${round(node.x - node.radius - 35)} ${round(node.y)} L ${round(node.x - node.radius)} ${round(node.y)}" stroke="#000000" marker-end="url(#${marker('#000000')})"/>`] : []),
+      `  <circle cx="${round(node.x)}" cy="${round(node.y)}" r="${round(node.radius)}" fill="${escapeXml(node.fill)}" stroke="${escapeXml(node.stroke)}"${dash}/>`,
+      ...(node.accepting ? [`  <circle cx="${round(node.x)}" cy="${round(node.y)}" r="${round(node.radius - 4)}" fill="none" stroke="${escapeXml(node.stroke)}"${dash}/>`] : []),
+      `  ${text(node.x, node.y, node.label, node.text)}`
+    ].join('\n');
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${round(left)} ${round(top)} ${width} ${height}" font-family="Arial, sans-serif" font-size="${FONT_SIZE}">`,
+    '  <defs>',
+    ...markers,
+    '  </defs>',
+    `  <rect x="${round(left)}" y="${round(top)}" width="${width}" height="${height}" fill="#FFFFFF"/>`,
+    ...edgeLines,
+    ...nodeLines,
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+// Canvas pixels per TikZ centimetre
+const PIXELS_PER_CM = 50;
+
+const LATEX_SPECIAL = { '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '$': '\\$', '&': '\\&', '#': '\\#', '%': '\\%', '_': '\\_', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+
+const escapeLatex = (text) => String(text)
+  .replace(/[\\{}$&#%_~^]/g, char => LATEX_SPECIAL[char])
+  .replace(/ε/g, '$\\varepsilon$')
+  .replace(/→/g, '$\\to$');
+
+// A TikZ color for a #RRGGBB color, or null for black and white
+const tikzColor = (color) => {
+  if (!/^#[0-9A-Fa-f]{6}$/.test(color) || /^#(000000|FFFFFF)$/i.test(color)) return null;
+  const [red, green, blue] = [1, 3, 5].map(idx => parseInt(color.slice(idx, idx + 2), 16));
+  return `{rgb,255:red,${red};green,${green};blue,${blue}}`;
+};
+
+// Write the picture as a tikzpicture for the automata library:
+//   \usetikzlibrary{automata, arrows.meta, positioning}
+export const formatTikz = (graph, positions = {}) => {
+  const { nodes, edges } = pictureOf(graph, positions);
+  const names = new Map(nodes.map((node, idx) => [node.id, `s${idx}`]));
+
+  const nodeLines = nodes.map(node => {
+    const fill = tikzColor(node.fill);
+    const draw = tikzColor(node.stroke);
+    const options = [
+      'state',
+      ...(node.start ? ['initial'] : []),
+      ...(node.accepting ? ['accepting'] : []),
+      ...(node.dashed ? ['dashed'] : []),
+      ...(fill ? [`fill=${fill}`] : []),
+      ...(draw ? [`draw=${draw}`] : [])
+    ];
+    return `  \\node[${options.join(', ')}] (${names.get(node.id)}) at (${round(node.x / PIXELS_PER_CM)}, ${round(-node.y / PIXELS_PER_CM)}) {${escapeLatex(node.label)}};`;
+  });
+
+  const edgeLines = edges.map(({ from, to, label, color, shape }) => {
+    const options = [
+      ...(shape === 'loop' ? ['loop above'] : shape === 'curved' ? ['bend left=15'] : []),
+      ...(tikzColor(color) ? [`draw=${tikzColor(color)}`] : [])
+    ];
+    // Labels of several lines need an alignment for \\ to break them
+    const lines = labelLines(label);
+    const node = lines.length > 1 ? `node[align=left] {${lines.map(escapeLatex).join(' \\\\ ')}}` : `node {${escapeLatex(label)}}`;
+    return `    (${names.get(from)}) edge${options.length > 0 ? ` [${options.join(', ')}]` : ''} ${node} (${names.get(to)})`;
+  });
+
+  return [
+    '\\begin{tikzpicture}[->, >=Stealth, auto, semithick, initial text=]',
+    ...nodeLines,
+    ...(edgeLines.length > 0 ? ['  \\path', `${edgeLines.join('\n')};`] : []),
+    '\\end{tikzpicture}',
+    ''
+  ].join('\n');
+};
@@ -0,0 +1,96 @@
+// Boolean operations on DFAs: the product construction for union,
+// intersection, difference and symmetric difference, and complement
+import { createDfa, DfaError, freshStateName } from './dfa';
+import { keepOutputs } from './transducer';
+
+// Complete a DFA by sending every missing transition to a trap state. A
+// Mealy or Moore machine stays one and keeps its outputs; the trap state and
+// the transitions into it write the empty output.
+export const completeDfa = (dfa, trapName = 'trap') => {
+  const missing = dfa.states.some(state => dfa.alphabet.some(symbol => dfa.transitions[state][symbol] === undefined));
+  if (!missing) return dfa;
+
+  const trap = dfa.states.includes(trapName) ? freshStateName(dfa, trapName) : trapName;
+  const transitions = {};
+  [...dfa.states, trap].forEach(state => {
+    transitions[state] = {};
+    dfa.alphabet.forEach(symbol => {
+      const to = dfa.transitions[state] && dfa.transitions[state][symbol];
+      transitions[state][symbol] = to === undefined ? trap : to;
+    });
+  });
+  return keepOutputs(dfa, createDfa({ ...dfa, states: [...dfa.states, trap], transitions }));
+};
+
+// Accept exactly the strings the DFA rejects
+export const complement = (dfa) => {
+  const complete = completeDfa(dfa);
+  return createDfa({
+    ...complete,
+    accepting: complete.states.filter(state => !complete.accepting.includes(state))
+  });
+};
+
+// Whether a product state accepts, given whether each component accepts
+export const OPERATIONS = {
+  union: (a, b) => a || b,
+  intersection: (a, b) => a && b,
+  difference: (a, b) => a && !b,
+  symmetricDifference: (a, b) => a !== b
+};
+
+// Name of the product state for the pair (a, b), for display only: state
+// names may hold spaces and parentheses, so two pairs can share a name
+export const pairName = (a, b) => `(${a} ${b})`;
+
+// Key telling the pair (a, b) apart from every other pair
+export const pairKey = (a, b) => JSON.stringify([a, b]);
+
+// Product automaton of two DFAs over the same alphabet, built from the
+// reachable pairs only. Both DFAs are completed first so that a string one
+// of them rejects early is still tracked in the other.
+export const product = (first, second, operation) => {
+  const accepts = OPERATIONS[operation];
+  if (!accepts) {
+    throw new DfaError(`Unknown operation "${operation}"`);
+  }
+  const sameAlphabet = first.alphabet.length === second.alphabet.length &&
+    first.alphabet.every(symbol => second.alphabet.includes(symbol));
+  if (!sameAlphabet) {
+    throw new DfaError(`Alphabets differ: {${first.alphabet.join(', ')}} and {${second.alphabet.join(', ')}}`);
+  }
+
+  const a = completeDfa(first);
+  const b = completeDfa(second);
+  const pairs = [[a.start, b.start]];
+  const keys = [pairKey(a.start, b.start)];
+  const names = [pairName(a.start, b.start)];
+  const transitions = {};
+
+  for (let idx = 0; idx < pairs.length; idx++) {
+    const [p, q] = pairs[idx];
+    transitions[names[idx]] = {};
+    a.alphabet.forEach(symbol => {
+      const next = [a.transitions[p][symbol], b.transitions[q][symbol]];
+      const key = pairKey(...next);
+      if (!keys.includes(key)) {
+        // Primed when another pair already goes by the same name
+        let name = pairName(...next);
+        while (names.includes(name)) name += "'";
+        pairs.push(next);
+        keys.push(key);
+        names.push(name);
+      }
+      transitions[names[idx]][symbol] = names[keys.indexOf(key)];
+    });
+  }
+
+  return createDfa({
+    alphabet: a.alphabet,
+    states: names,
+    start: names[0],
+    accepting: names.filter((name, idx) =>
+      accepts(a.accepting.includes(pairs[idx][0]), b.accepting.includes(pairs[idx][1]))),
+    transitions
+  });
+};
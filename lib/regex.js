@@ -0,0 +1,358 @@
+// Regular expressions over a DFA alphabet, compiled to a minimal DFA.
+//
+// Syntax, from loosest to tightest binding:
+//
+//   r|s        union
+//   rs         concatenation
+//   r*  r+  r? Kleene star, Kleene plus, optional
+//   (r)        grouping
+//   [abc]      character class; [a-c] is a range of single-character
+//              symbols and [^ab] the alphabet minus a and b
+//   .          any symbol of the alphabet
+//   ε  ∅       the empty string and the empty language
+//
+// Symbols are matched greedily against the alphabet, so multi-character
+// symbols can be written as they are ("if then*"). Whitespace is ignored, and
+// `\` escapes a symbol that is also an operator.
+import { DfaError, numberStates } from './dfa';
+import { minimize } from './minimize';
+import { createNfa, EPSILON, subsetConstruction } from './nfa';
+
+export const EMPTY_SET = '∅';
+
+const OPERATORS = ['|', '*', '+', '?', '(', ')', '[', ']', '.', EPSILON, EMPTY_SET];
+
+// Syntax error, carrying the 0-based position in the expression
+export class RegexError extends DfaError {
+  constructor(message, position) {
+    super(`${message} at column ${position + 1}`);
+    this.name = 'RegexError';
+    this.position = position;
+  }
+}
+
+// Longest alphabet symbol starting at `position`, or null
+const matchSymbol = (text, position, alphabet) => alphabet
+  .filter(symbol => text.startsWith(symbol, position))
+  .reduce((longest, symbol) => (longest === null || symbol.length > longest.length ? symbol : longest), null);
+
+// Split the expression into operator and symbol tokens: { type, value, position }.
+// Inside a character class, "^" right after "[" and "-" are operators too.
+const tokenize = (text, alphabet) => {
+  const tokens = [];
+  let inClass = false;
+  let position = 0;
+  while (position < text.length) {
+    const char = text[position];
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+    if (char === '\\') {
+      const symbol = matchSymbol(text, position + 1, alphabet);
+      if (symbol === null) {
+        throw new RegexError('Expected an alphabet symbol after \\', position + 1);
+      }
+      tokens.push({ type: 'symbol', value: symbol, position });
+      position += symbol.length + 1;
+      continue;
+    }
+    const classOperator = inClass &&
+      (char === '-' || (char === '^' && tokens[tokens.length - 1].type === '['));
+    if (OPERATORS.includes(char) || classOperator) {
+      tokens.push({ type: char, value: char, position });
+      if (char === '[') inClass = true;
+      if (char === ']') inClass = false;
+      position++;
+      continue;
+    }
+    const symbol = matchSymbol(text, position, alphabet);
+    if (symbol === null) {
+      throw new RegexError(`"${char}" is not in the alphabet`, position);
+    }
+    tokens.push({ type: 'symbol', value: symbol, position });
+    position += symbol.length;
+  }
+  tokens.push({ type: 'end', value: '', position: text.length });
+  return tokens;
+};
+
+// Parse an expression into a syntax tree whose nodes are
+//   { type: 'symbol', symbol }, { type: 'set', symbols }, { type: 'epsilon' },
+//   { type: 'empty' }, { type: 'union' | 'concat', items },
+//   { type: 'star' | 'plus' | 'optional', item }
+export const parseRegex = (text, alphabet) => {
+  const tokens = tokenize(text, alphabet);
+  let current = 0;
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+
+  const expect = (type, message) => {
+    if (peek().type !== type) throw new RegexError(message, peek().position);
+    return next();
+  };
+
+  const parseClass = (open) => {
+    const negated = peek().type === '^';
+    if (negated) next();
+
+    const symbols = [];
+    while (peek().type === 'symbol') {
+      const from = next();
+      if (peek().type === '-') {
+        // A range of single-character symbols, e.g. [0-9]
+        next();
+        const to = expect('symbol', 'Expected a symbol after -');
+        if (from.value.length !== 1 || to.value.length !== 1 || from.value > to.value) {
+          throw new RegexError(`Invalid range ${from.value}-${to.value}`, from.position);
+        }
+        alphabet.filter(s => s.length === 1 && s >= from.value && s <= to.value).forEach(s => symbols.push(s));
+      } else {
+        symbols.push(from.value);
+      }
+    }
+    expect(']', peek().type === 'end' ? 'Unclosed [' : 'Expected a symbol or ]');
+
+    const chosen = negated
+      ? alphabet.filter(symbol => !symbols.includes(symbol))
+      : alphabet.filter(symbol => symbols.includes(symbol));
+    if (symbols.length === 0) {
+      throw new RegexError('Empty character class', open.position);
+    }
+    return { type: 'set', symbols: chosen };
+  };
+
+  const parseAtom = () => {
+    const token = peek();
+    switch (token.type) {
+      case 'symbol':
+        next();
+        return { type: 'symbol', symbol: token.value };
+      case '.':
+        next();
+        return { type: 'set', symbols: [...alphabet] };
+      case EPSILON:
+        next();
+        return { type: 'epsilon' };
+      case EMPTY_SET:
+        next();
+        return { type: 'empty' };
+      case '(': {
+        next();
+        const inner = parseUnion();
+        expect(')', peek().type === 'end' ? 'Unclosed (' : 'Expected )');
+        return inner;
+      }
+      case '[':
+        next();
+        return parseClass(token);
+      case 'end':
+        throw new RegexError('Unexpected end of expression', token.position);
+      default:
+        throw new RegexError(`Unexpected ${token.value}`, token.position);
+    }
+  };
+
+  const parseRepeat = () => {
+    let item = parseAtom();
+    const kinds = { '*': 'star', '+': 'plus', '?': 'optional' };
+    while (kinds[peek().type]) {
+      item = { type: kinds[next().type], item };
+    }
+    return item;
+  };
+
+  const parseConcat = () => {
+    const items = [];
+    while (!['|', ')', 'end'].includes(peek().type)) {
+      items.push(parseRepeat());
+    }
+    if (items.length === 0) {
+      throw new RegexError(`Expected an expression (use ${EPSILON} for the empty string)`, peek().position);
+    }
+    return items.length === 1 ? items[0] : { type: 'concat', items };
+  };
+
+  const parseUnion = () => {
+    const items = [parseConcat()];
+    while (peek().type === '|') {
+      next();
+      items.push(parseConcat());
+    }
+    return items.length === 1 ? items[0] : { type: 'union', items };
+  };
+
+  const tree = parseUnion();
+  if (peek().type !== 'end') {
+    throw new RegexError(`Unexpected ${peek().value}`, peek().position);
+  }
+  return tree;
+};
+
+// Constructors for syntax trees that keep them small: ∅ and ε are absorbed
+// wherever the algebra allows it and nested unions and concatenations are
+// flattened
+export const emptySet = { type: 'empty' };
+export const epsilon = { type: 'epsilon' };
+export const symbolNode = (symbol) => ({ type: 'symbol', symbol });
+
+const sameTree = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const union = (a, b) => {
+  if (a.type === 'empty') return b;
+  if (b.type === 'empty') return a;
+  const items = [];
+  [a, b].flatMap(item => (item.type === 'union' ? item.items : [item])).forEach(item => {
+    if (!items.some(existing => sameTree(existing, item))) items.push(item);
+  });
+  // ε adds nothing next to a starred item
+  const needsEpsilon = !items.some(item => item.type === 'star');
+  const kept = items.filter(item => item.type !== 'epsilon' || needsEpsilon);
+  return kept.length === 1 ? kept[0] : { type: 'union', items: kept };
+};
+
+export const concat = (a, b) => {
+  if (a.type === 'empty' || b.type === 'empty') return emptySet;
+  if (a.type === 'epsilon') return b;
+  if (b.type === 'epsilon') return a;
+  const items = [a, b].flatMap(item => (item.type === 'concat' ? item.items : [item]));
+  return { type: 'concat', items };
+};
+
+export const star = (a) => {
+  if (a.type === 'empty' || a.type === 'epsilon') return epsilon;
+  if (a.type === 'star') return a;
+  if (a.type === 'plus' || a.type === 'optional') return star(a.item);
+  // (ε|r)* is just r*
+  if (a.type === 'union' && a.items.some(item => item.type === 'epsilon')) {
+    return star(a.items.filter(item => item.type !== 'epsilon').reduce(union, emptySet));
+  }
+  return { type: 'star', item: a };
+};
+
+const PRECEDENCE = { union: 0, concat: 1, star: 2, plus: 2, optional: 2 };
+
+// Write a syntax tree back as an expression that parseRegex reads again,
+// with as few parentheses as possible. `ε|r` is written `r?` and `r r*` as `r+`.
+export const formatRegex = (tree, alphabet) => {
+  const separator = alphabet.some(symbol => symbol.length > 1) ? ' ' : '';
+  const escape = (symbol) =>
+    (OPERATORS.includes(symbol[0]) || symbol[0] === '\\' ? `\\${symbol}` : symbol);
+
+  const format = (node, minPrecedence) => {
+    const precedence = PRECEDENCE[node.type] === undefined ? 3 : PRECEDENCE[node.type];
+    const text = formatNode(node);
+    return precedence < minPrecedence ? `(${text})` : text;
+  };
+
+  const formatNode = (node) => {
+    switch (node.type) {
+      case 'symbol':
+        return escape(node.symbol);
+      case 'set':
+        return `[${node.symbols.map(escape).join(separator)}]`;
+      case 'epsilon':
+        return EPSILON;
+      case 'empty':
+        return EMPTY_SET;
+      case 'union': {
+        const rest = node.items.filter(item => item.type !== 'epsilon');
+        if (rest.length < node.items.length) {
+          const inner = rest.length === 1 ? rest[0] : { type: 'union', items: rest };
+          return `${format(inner, 3)}?`;
+        }
+        return node.items.map(item => format(item, 1)).join('|');
+      }
+      case 'concat': {
+        const parts = [];
+        for (let idx = 0; idx < node.items.length; idx++) {
+          const item = node.items[idx];
+          const following = node.items[idx + 1];
+          // r followed by r* reads better as r+
+          if (following && following.type === 'star' && sameTree(item, following.item)) {
+            parts.push(`${format(item, 3)}+`);
+            idx++;
+          } else {
+            parts.push(format(item, 2));
+          }
+        }
+        return parts.join(separator);
+      }
+      default: {
+        const suffix = { star: '*', plus: '+', optional: '?' }[node.type];
+        return `${format(node.item, 3)}${suffix}`;
+      }
+    }
+  };
+
+  return format(tree, 0);
+};
+
+// Thompson's construction: an ε-NFA with one start and one accepting state
+export const regexToNfa = (tree, alphabet) => {
+  const states = [];
+  const transitions = {};
+  const newState = () => {
+    const state = `n${states.length}`;
+    states.push(state);
+    transitions[state] = {};
+    return state;
+  };
+  const connect = (from, symbol, to) => {
+    transitions[from][symbol] = [...(transitions[from][symbol] || []), to];
+  };
+
+  const build = (node) => {
+    const start = newState();
+    const end = newState();
+    switch (node.type) {
+      case 'symbol':
+        connect(start, node.symbol, end);
+        break;
+      case 'set':
+        node.symbols.forEach(symbol => connect(start, symbol, end));
+        break;
+      case 'epsilon':
+        connect(start, EPSILON, end);
+        break;
+      case 'empty':
+        break;
+      case 'union':
+        node.items.forEach(item => {
+          const inner = build(item);
+          connect(start, EPSILON, inner.start);
+          connect(inner.end, EPSILON, end);
+        });
+        break;
+      case 'concat': {
+        let last = start;
+        node.items.forEach(item => {
+          const inner = build(item);
+          connect(last, EPSILON, inner.start);
+          last = inner.end;
+        });
+        connect(last, EPSILON, end);
+        break;
+      }
+      default: {
+        // star, plus and optional
+        const inner = build(node.item);
+        connect(start, EPSILON, inner.start);
+        connect(inner.end, EPSILON, end);
+        if (node.type !== 'plus') connect(start, EPSILON, end);
+        if (node.type !== 'optional') connect(inner.end, EPSILON, inner.start);
+      }
+    }
+    return { start, end };
+  };
+
+  const { start, end } = build(tree);
+  return createNfa({ alphabet, states, start, accepting: [end], transitions });
+};
+
+// Compile an expression into the minimal (partial) DFA for its language,
+// with states named q0, q1, ... in breadth-first order
+export const regexToDfa = (text, alphabet) => {
+  const nfa = regexToNfa(parseRegex(text, alphabet), alphabet);
+  return numberStates(minimize(subsetConstruction(nfa)).dfa);
+};
@@ -0,0 +1,91 @@
+// Explaining a run of a DFA (see `run`), an NFA (see `runNfa`) or a PDA
+// (see `runPda`) to the person stepping through it: a trace table and a
+// verdict with the reason.
+import { EPSILON } from './nfa';
+
+// A set of NFA states as written in the trace, e.g. {q0, q2}
+export const formatStateSet = (states) => `{${states.join(', ')}}`;
+
+// One row per step: { step, from, symbol, to }, plus the `output` written
+// in a transducer run and the `pop`, `push` and resulting `stack` of a PDA
+// move. A DFA run that got stuck gets a last row with `to` null for the
+// missing transition.
+export const traceRows = (result) => {
+  const rows = result.steps.map((step, idx) => {
+    const row = { step: idx + 1, from: step.from, symbol: step.symbol, to: step.to };
+    ['output', 'pop', 'push', 'stack'].filter(key => step[key] !== undefined).forEach(key => { row[key] = step[key]; });
+    return row;
+  });
+  if (result.reason === 'missing-transition') {
+    rows.push({ step: rows.length + 1, from: result.state, symbol: result.symbol, to: null });
+  }
+  return rows;
+};
+
+// Number of steps the run takes before it stops, including a stuck one
+export const runLength = (result) => traceRows(result).length;
+
+// Input symbols read in the first `stepCount` steps; PDA moves on ε read none
+export const symbolsRead = (result, stepCount) =>
+  result.steps.slice(0, stepCount).filter(step => step.symbol !== EPSILON).length;
+
+// How a branch of a PDA run ends, by the status of its last configuration
+const branchEnd = ({ status, state, read }) => {
+  if (status === 'stuck') return `gets stuck in ${state} after reading ${read} symbol${read === 1 ? '' : 's'}`;
+  if (status === 'repeated') return `loops back to a configuration it was in before, in ${state}`;
+  if (status === 'unexplored') return `was not explored past ${state}`;
+  return `goes on from ${state} in the configuration tree`;
+};
+
+// Whether the run was accepted, and why: { accepted, message }. A PDA run
+// is judged by the branch it follows, which may be another one than the
+// branch that accepts (see `followConfiguration`).
+export const explainResult = (automaton, result) => {
+  const position = result.position === undefined ? '' : ` (symbol ${result.position + 1} of the input)`;
+  if (automaton.type === 'pda') {
+    const byEmptyStack = automaton.acceptance === 'empty-stack';
+    const followed = result.configurations[result.followed];
+    if (result.accepted && followed.status !== 'accepted') {
+      return {
+        accepted: false,
+        message: `Rejected on this branch, which ${branchEnd(followed)}; the input is accepted along another branch`
+      };
+    }
+    if (result.accepted) {
+      return {
+        accepted: true,
+        message: byEmptyStack
+          ? `Accepted: read the whole input and emptied the stack in ${result.state}`
+          : `Accepted: read the whole input and reached accepting state ${result.state}`
+      };
+    }
+    if (result.reason === 'limit') {
+      return {
+        accepted: false,
+        message: `Rejected for now: none of the ${result.configurations.length} configurations explored accepts, and some branches go on`
+      };
+    }
+    return {
+      accepted: false,
+      message: `Rejected: no branch reads the whole input and ends ${byEmptyStack ? 'with an empty stack' : 'in an accepting state'}`
+    };
+  }
+  if (automaton.type === 'nfa') {
+    const accepting = result.states.filter(state => automaton.accepting.includes(state));
+    if (result.accepted) {
+      return { accepted: true, message: `Accepted: ended in ${formatStateSet(result.states)}, including accepting ${accepting.join(', ')}` };
+    }
+    if (result.reason === 'no-active-states') {
+      return { accepted: false, message: `Rejected: no active states left after reading ${result.symbol}${position}` };
+    }
+    return { accepted: false, message: `Rejected: none of the states in ${formatStateSet(result.states)} is accepting` };
+  }
+
+  if (result.accepted) {
+    return { accepted: true, message: `Accepted: ended in accepting state ${result.state}` };
+  }
+  if (result.reason === 'missing-transition') {
+    return { accepted: false, message: `Rejected: no transition from ${result.state} on ${result.symbol}${position}` };
+  }
+  return { accepted: false, message: `Rejected: ended in ${result.state}, which is not an accepting state` };
+};
@@ -0,0 +1,648 @@
+// Reading and writing the Python-dict-style `SPEC_DFA = { ... }` format, and
+// its `SPEC_NFA = { ... }` variant whose transitions lead to sets of states:
+//
+//   ('q0', 'a'): {'q0', 'q1'},
+//   ('q0', ''): {'q2'},        <- ε-transition, also written ('q0', 'ε')
+//
+// Strings may use single or double quotes, `#` starts a comment, trailing
+// commas are allowed and symbols may be longer than one character. Every
+// problem is reported with the line and column it was found at.
+//
+// An optional 'tests' field keeps a test suite with the automaton, mapping
+// input strings to whether they should be accepted (None when unchecked):
+//
+//   'tests': {'0A0': True, '': False, 'AC': None},
+//
+// and an optional 'positions' field where the states are drawn:
+//
+//   'positions': {'q0': (0, 0), 'q1': (150, -40)},
+//
+// Transducers are DFAs with outputs (see ./transducer). A `SPEC_MEALY`
+// writes each transition's output next to its target, and a `SPEC_MOORE`
+// has an 'outputs' field with the output of each state:
+//
+//   ('q0', 'a'): ('q1', 'x'),  <- SPEC_MEALY; a plain 'q1' outputs nothing
+//   'outputs': {'q0': 'x', 'q1': ''},  <- SPEC_MOORE
+//
+// A `SPEC_PDA` also has a stack alphabet, an initial stack symbol and how it
+// accepts ('final-state' when left out), and its transitions are keyed by
+// the state, the symbol read and the symbol popped ('' for ε), leading to a
+// set of (target, pushed string) pairs:
+//
+//   'stack_alphabet': {'Z', 'A'},
+//   'initial_stack_symbol': 'Z',
+//   'acceptance': 'empty-stack',
+//   ('q0', 'a', 'Z'): {('q0', 'AZ'), ('q1', '')},
+import { createDfa, DfaError, tokenizeInput } from './dfa';
+import { createNfa, EPSILON } from './nfa';
+import { ACCEPTANCE_MODES, createPda, formatStack, pdaTransitions } from './pda';
+import { createMealy, createMoore, mealyOutput, mooreOutput } from './transducer';
+
+export const formatDiagnostic = ({ line, column, message }) => `Line ${line}, column ${column}: ${message}`;
+
+// Thrown by parseSpec, carrying every diagnostic: [{ message, line, column }]
+export class SpecError extends DfaError {
+  constructor(diagnostics) {
+    const more = diagnostics.length > 1 ? ` (and ${diagnostics.length - 1} more)` : '';
+    super(`${formatDiagnostic(diagnostics[0])}${more}`);
+    this.name = 'SpecError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+// A syntax error stops the parser; it is turned into a diagnostic
+class SyntaxProblem extends Error {
+  constructor(message, at) {
+    super(message);
+    this.line = at.line;
+    this.column = at.column;
+  }
+}
+
+const PUNCTUATION = ['{', '}', '(', ')', ',', ':', '='];
+
+// Tokens are pulled one at a time, so that text after the specification is
+// never read: { type: 'string' | 'number' | 'name' | 'punct' | 'end', value, line, column }
+const createLexer = (text, offset, line, column) => {
+  let position = offset;
+  const here = { line, column };
+
+  const advance = () => {
+    if (text[position] === '\n') {
+      here.line++;
+      here.column = 1;
+    } else {
+      here.column++;
+    }
+    position++;
+  };
+
+  const readString = (at) => {
+    const quoteChar = text[position];
+    let value = '';
+    advance();
+    while (text[position] !== quoteChar) {
+      if (position >= text.length || text[position] === '\n') {
+        throw new SyntaxProblem('Unterminated string', at);
+      }
+      if (text[position] === '\\') {
+        advance();
+        if (position >= text.length) throw new SyntaxProblem('Unterminated string', at);
+      }
+      value += text[position];
+      advance();
+    }
+    advance();
+    return { type: 'string', value, ...at };
+  };
+
+  return () => {
+    // Skip whitespace and comments
+    while (position < text.length && (/\s/.test(text[position]) || text[position] === '#')) {
+      if (text[position] === '#') {
+        while (position < text.length && text[position] !== '\n') advance();
+      } else {
+        advance();
+      }
+    }
+
+    const at = { ...here };
+    if (position >= text.length) return { type: 'end', value: 'end of input', ...at };
+
+    const char = text[position];
+    if (char === "'" || char === '"') return readString(at);
+    if (PUNCTUATION.includes(char)) {
+      advance();
+      return { type: 'punct', value: char, ...at };
+    }
+    if (/[-\d]/.test(char)) {
+      const number = /^-?\d+(?:\.\d+)?/.exec(text.slice(position));
+      if (number === null) throw new SyntaxProblem(`Unexpected character ${char}`, at);
+      number[0].split('').forEach(advance);
+      return { type: 'number', value: Number(number[0]), ...at };
+    }
+    if (/[A-Za-z_]/.test(char)) {
+      let value = '';
+      while (position < text.length && /\w/.test(text[position])) {
+        value += text[position];
+        advance();
+      }
+      return { type: 'name', value, ...at };
+    }
+    throw new SyntaxProblem(`Unexpected character ${char}`, at);
+  };
+};
+
+const CONSTANTS = { True: true, False: false, None: null };
+
+// Parse the literal after `SPEC_DFA =` into value nodes carrying positions:
+//   { kind: 'string', value }, { kind: 'set' | 'tuple', items },
+//   { kind: 'dict', entries: [{ key, value }] }, { kind: 'constant', value },
+//   { kind: 'number', value } where constants are True, False and None.
+const parseLiteral = (nextToken) => {
+  // The lookahead token is only read when needed, so parsing stops right
+  // after the closing brace
+  let lookahead = null;
+  const peek = () => lookahead || (lookahead = nextToken());
+  const next = () => {
+    const current = peek();
+    lookahead = null;
+    return current;
+  };
+  const describe = (t) => (t.type === 'string' ? `'${t.value}'` : t.value);
+  const isPunct = (value) => peek().type === 'punct' && peek().value === value;
+  const expect = (value) => {
+    if (!isPunct(value)) {
+      throw new SyntaxProblem(`Expected ${value} but found ${describe(peek())}`, peek());
+    }
+    return next();
+  };
+
+  // Comma-separated items up to `close`, allowing a trailing comma
+  const parseItems = (close, parseItem) => {
+    const items = [];
+    while (!isPunct(close)) {
+      items.push(parseItem());
+      if (!isPunct(close)) expect(',');
+    }
+    next();
+    return items;
+  };
+
+  const parseEntry = () => {
+    const key = parseValue();
+    expect(':');
+    return { key, value: parseValue() };
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    const at = { line: token.line, column: token.column };
+    if (token.type === 'string') {
+      return { kind: 'string', value: next().value, ...at };
+    }
+    if (token.type === 'number') {
+      return { kind: 'number', value: next().value, ...at };
+    }
+    if (token.type === 'name' && CONSTANTS[token.value] !== undefined) {
+      return { kind: 'constant', value: CONSTANTS[next().value], ...at };
+    }
+    if (token.type === 'name' && token.value === 'set') {
+      next();
+      expect('(');
+      expect(')');
+      return { kind: 'set', items: [], ...at };
+    }
+    if (isPunct('(')) {
+      next();
+      return { kind: 'tuple', items: parseItems(')', parseValue), ...at };
+    }
+    if (isPunct('{')) {
+      next();
+      if (isPunct('}')) {
+        // {} is an empty dict in Python, but serves as an empty set here too
+        next();
+        return { kind: 'dict', entries: [], ...at };
+      }
+      // The first item tells a dict ({key: value, ...}) from a set
+      const first = parseValue();
+      if (isPunct(':')) {
+        next();
+        const entry = { key: first, value: parseValue() };
+        if (!isPunct('}')) expect(',');
+        return { kind: 'dict', entries: [entry, ...parseItems('}', parseEntry)], ...at };
+      }
+      if (!isPunct('}')) expect(',');
+      return { kind: 'set', items: [first, ...parseItems('}', parseValue)], ...at };
+    }
+    throw new SyntaxProblem(`Expected a value but found ${describe(token)}`, token);
+  };
+
+  return parseValue();
+};
+
+const FIELDS = ['alphabet', 'states', 'initial_state', 'accepting_states', 'transitions'];
+const OPTIONAL_FIELDS = ['tests', 'positions', 'outputs', 'stack_alphabet', 'initial_stack_symbol', 'acceptance'];
+// Fields only some kinds of specification have
+const FIELD_KINDS = { outputs: 'MOORE', stack_alphabet: 'PDA', initial_stack_symbol: 'PDA', acceptance: 'PDA' };
+
+const CREATE = { DFA: createDfa, NFA: createNfa, MEALY: createMealy, MOORE: createMoore, PDA: createPda };
+
+// Parse a SPEC_DFA specification into a DFA, or a SPEC_NFA one into an NFA,
+// SPEC_MEALY and SPEC_MOORE ones into transducers and a SPEC_PDA into a PDA.
+// Returns { automaton, tests, positions, diagnostics } with tests as
+// [{ input, expected }] and positions as { state: { x, y } }; the automaton
+// is null unless there are no diagnostics.
+export const parseSpecWithDiagnostics = (text) => {
+  const diagnostics = [];
+  const report = (message, at) => diagnostics.push({ message, line: at.line, column: at.column });
+  const done = () => ({
+    automaton: null,
+    tests: [],
+    positions: {},
+    diagnostics: diagnostics.sort((a, b) => a.line - b.line || a.column - b.column)
+  });
+
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    report('DFA specification is empty', { line: 1, column: 1 });
+    return done();
+  }
+
+  // Find the specification in the surrounding text
+  const header = text.match(/SPEC_(DFA|NFA|MEALY|MOORE|PDA)\s*=/);
+  if (!header) {
+    report('Expected SPEC_DFA = { ... }, SPEC_NFA = { ... }, SPEC_MEALY = { ... }, SPEC_MOORE = { ... } or SPEC_PDA = { ... }', { line: 1, column: 1 });
+    return done();
+  }
+  const kind = header[1];
+  const isNfa = kind === 'NFA';
+  const isPda = kind === 'PDA';
+  const before = text.slice(0, header.index).split('\n');
+  const headerAt = { line: before.length, column: before[before.length - 1].length + 1 };
+
+  let spec;
+  try {
+    const lexer = createLexer(text, header.index + header[0].length, headerAt.line,
+      headerAt.column + header[0].length);
+    spec = parseLiteral(lexer);
+  } catch (error) {
+    if (!(error instanceof SyntaxProblem)) throw error;
+    report(error.message, error);
+    return done();
+  }
+  if (spec.kind !== 'dict') {
+    report('Expected the specification to be a { ... } dictionary', spec);
+    return done();
+  }
+
+  // Collect the fields, checking their names
+  const fields = {};
+  spec.entries.forEach(({ key, value }) => {
+    if (key.kind !== 'string') {
+      report('Expected a quoted field name', key);
+    } else if (!FIELDS.includes(key.value) && !OPTIONAL_FIELDS.includes(key.value)) {
+      report(`Unknown field '${key.value}'`, key);
+    } else if (FIELD_KINDS[key.value] !== undefined && FIELD_KINDS[key.value] !== kind) {
+      report(`Only SPEC_${FIELD_KINDS[key.value]} has ${/^[aeiou]/.test(key.value) ? 'an' : 'a'} '${key.value}' field`, key);
+    } else if (fields[key.value]) {
+      report(`Duplicate field '${key.value}'`, key);
+    } else {
+      fields[key.value] = value;
+    }
+  });
+  FIELDS.forEach(field => {
+    if (!fields[field]) {
+      report(field === 'initial_state' ? 'Missing initial state' : `Missing '${field}' field`, headerAt);
+    }
+  });
+  if (isPda && !fields.stack_alphabet) report("Missing 'stack_alphabet' field", headerAt);
+  if (isPda && !fields.initial_stack_symbol) report('Missing initial stack symbol', headerAt);
+
+  const isEmptyDict = (node) => node.kind === 'dict' && node.entries.length === 0;
+  // Strings of a set literal, reporting anything else and duplicates
+  const stringSet = (field, describeItem) => {
+    const node = fields[field];
+    if (!node) return [];
+    if (isEmptyDict(node)) return [];
+    if (node.kind !== 'set') {
+      report(`'${field}' must be a set of quoted names`, node);
+      return [];
+    }
+    const values = [];
+    node.items.forEach(item => {
+      if (item.kind !== 'string') {
+        report(`Expected a quoted ${describeItem}`, item);
+      } else if (values.includes(item.value)) {
+        report(`Duplicate ${describeItem} '${item.value}'`, item);
+      } else {
+        values.push(item.value);
+      }
+    });
+    return values;
+  };
+
+  const alphabet = stringSet('alphabet', 'symbol');
+  if (fields.alphabet && fields.alphabet.kind === 'set') {
+    fields.alphabet.items.filter(item => item.kind === 'string').forEach(item => {
+      if (item.value.length === 0 || /\s/.test(item.value)) {
+        report(`Symbol '${item.value}' must be non-empty and contain no whitespace`, item);
+      } else if ((isNfa || isPda) && item.value === EPSILON) {
+        report(`The alphabet may not contain the empty-string symbol ${EPSILON}`, item);
+      }
+    });
+  }
+  if (fields.alphabet && alphabet.length === 0) {
+    report('Alphabet must contain at least one symbol', fields.alphabet);
+  }
+
+  const states = stringSet('states', 'state');
+  if (fields.states && states.length === 0) {
+    report('There must be at least one state', fields.states);
+  }
+  const checkState = (node) => {
+    if (node.kind !== 'string') {
+      report('Expected a quoted state name', node);
+      return false;
+    }
+    if (!states.includes(node.value)) {
+      report(`Unknown state '${node.value}'`, node);
+      return false;
+    }
+    return true;
+  };
+
+  const initial = fields.initial_state;
+  if (initial) checkState(initial);
+
+  // The stack of a PDA
+  const stackAlphabet = stringSet('stack_alphabet', 'stack symbol');
+  if (fields.stack_alphabet && fields.stack_alphabet.kind === 'set') {
+    fields.stack_alphabet.items.filter(item => item.kind === 'string').forEach(item => {
+      if (item.value.length === 0 || /\s/.test(item.value) || item.value === EPSILON) {
+        report(`Stack symbol '${item.value}' must be non-empty, contain no whitespace and not be ${EPSILON}`, item);
+      }
+    });
+  }
+  if (fields.stack_alphabet && stackAlphabet.length === 0) {
+    report('Stack alphabet must contain at least one symbol', fields.stack_alphabet);
+  }
+  const initialStack = fields.initial_stack_symbol;
+  if (initialStack && initialStack.kind !== 'string') {
+    report('Expected a quoted stack symbol', initialStack);
+  } else if (initialStack && stackAlphabet.length > 0 && !stackAlphabet.includes(initialStack.value)) {
+    report(`Stack symbol '${initialStack.value}' is not in the stack alphabet`, initialStack);
+  }
+  const acceptance = fields.acceptance;
+  if (acceptance && (acceptance.kind !== 'string' || ACCEPTANCE_MODES[acceptance.value] === undefined)) {
+    report("Expected 'final-state' or 'empty-stack'", acceptance);
+  }
+
+  const accepting = stringSet('accepting_states', 'accepting state');
+  if (fields.accepting_states && fields.accepting_states.kind === 'set') {
+    fields.accepting_states.items.filter(item => item.kind === 'string').forEach(checkState);
+  }
+
+  // Transitions: ('state', 'symbol'): 'target' or, in an NFA, {'targets'}
+  // and, in a Mealy machine, ('target', 'output')
+  const transitions = {};
+  const outputs = {};
+  const table = fields.transitions;
+  if (table && table.kind !== 'dict') {
+    report("'transitions' must be a { ... } dictionary", table);
+  }
+  (table && table.kind === 'dict' && !isPda ? table.entries : []).forEach(({ key, value }) => {
+    if (key.kind !== 'tuple' || key.items.length !== 2 || key.items.some(item => item.kind !== 'string')) {
+      report("Expected a ('state', 'symbol') key", key);
+      return;
+    }
+    const [fromNode, symbolNode] = key.items;
+    const from = fromNode.value;
+    const symbol = isNfa && symbolNode.value === '' ? EPSILON : symbolNode.value;
+    let valid = checkState(fromNode);
+
+    if (!alphabet.includes(symbol) && !(isNfa && symbol === EPSILON)) {
+      report(`Symbol '${symbolNode.value}' is not in the alphabet`, symbolNode);
+      valid = false;
+    }
+    if (valid && transitions[from] && transitions[from][symbol] !== undefined) {
+      report(`Duplicate transition for ('${from}', '${symbolNode.value}')`, key);
+      return;
+    }
+
+    let targets;
+    let output = '';
+    if (value.kind === 'string') {
+      targets = [value];
+    } else if (kind === 'MEALY' && value.kind === 'tuple' && value.items.length === 2 && value.items.every(item => item.kind === 'string')) {
+      targets = [value.items[0]];
+      output = value.items[1].value;
+    } else if (isNfa && (value.kind === 'set' || isEmptyDict(value))) {
+      targets = value.items || [];
+    } else {
+      report(isNfa ? 'Expected a quoted state or a set of states'
+        : kind === 'MEALY' ? "Expected a quoted state or a ('state', 'output') pair" : 'Expected a quoted state', value);
+      return;
+    }
+    targets.forEach(target => { valid = checkState(target) && valid; });
+
+    if (valid) {
+      const names = targets.map(target => target.value);
+      transitions[from] = { ...transitions[from], [symbol]: isNfa ? names : names[0] };
+      if (output !== '') outputs[from] = { ...outputs[from], [symbol]: output };
+    }
+  });
+
+  // PDA transitions: ('state', 'symbol', 'pop'): {('target', 'push'), ...}
+  const pdaTable = {};
+  const moves = new Set();
+  const checkStack = (node, text) => {
+    const unknown = tokenizeInput(text, stackAlphabet).find(symbol => !stackAlphabet.includes(symbol));
+    if (stackAlphabet.length > 0 && unknown !== undefined) {
+      report(`Stack symbol '${unknown}' is not in the stack alphabet`, node);
+      return false;
+    }
+    return true;
+  };
+  const emptyOr = (text) => (text === '' || text === EPSILON ? '' : text);
+  (table && table.kind === 'dict' && isPda ? table.entries : []).forEach(({ key, value }) => {
+    if (key.kind !== 'tuple' || key.items.length !== 3 || key.items.some(item => item.kind !== 'string')) {
+      report("Expected a ('state', 'symbol', 'pop') key", key);
+      return;
+    }
+    const [fromNode, symbolNode, popNode] = key.items;
+    const symbol = emptyOr(symbolNode.value) || EPSILON;
+    const pop = emptyOr(popNode.value) || EPSILON;
+    let valid = checkState(fromNode);
+    if (symbol !== EPSILON && !alphabet.includes(symbol)) {
+      report(`Symbol '${symbolNode.value}' is not in the alphabet`, symbolNode);
+      valid = false;
+    }
+    if (pop !== EPSILON && stackAlphabet.length > 0 && !stackAlphabet.includes(pop)) {
+      report(`Stack symbol '${popNode.value}' is not in the stack alphabet`, popNode);
+      valid = false;
+    }
+    const move = JSON.stringify([fromNode.value, symbol, pop]);
+    if (valid && moves.has(move)) {
+      report(`Duplicate transition for ('${fromNode.value}', '${symbolNode.value}', '${popNode.value}')`, key);
+      return;
+    }
+    moves.add(move);
+
+    const pairs = value.kind === 'set' ? value.items : isEmptyDict(value) ? [] : null;
+    if (pairs === null || pairs.some(pair => pair.kind !== 'tuple' || pair.items.length !== 2 || pair.items.some(item => item.kind !== 'string'))) {
+      report("Expected a set of ('state', 'push') pairs", value);
+      return;
+    }
+    pairs.forEach(({ items: [target, pushNode] }) => {
+      valid = checkState(target) && checkStack(pushNode, emptyOr(pushNode.value)) && valid;
+    });
+    if (valid) {
+      pdaTable[fromNode.value] = [...(pdaTable[fromNode.value] || []), ...pairs.map(({ items: [target, pushNode] }) => ({
+        symbol,
+        pop,
+        push: emptyOr(pushNode.value) === '' ? [] : tokenizeInput(pushNode.value, stackAlphabet),
+        to: target.value
+      }))];
+    }
+  });
+
+  // Moore outputs: 'state': 'output'
+  const stateOutputs = fields.outputs;
+  if (stateOutputs && stateOutputs.kind !== 'dict') {
+    report("'outputs' must be a { ... } dictionary", stateOutputs);
+  }
+  (stateOutputs && stateOutputs.kind === 'dict' ? stateOutputs.entries : []).forEach(({ key, value }) => {
+    if (!checkState(key)) return;
+    if (outputs[key.value] !== undefined) {
+      report(`Duplicate output for '${key.value}'`, key);
+    } else if (value.kind !== 'string') {
+      report('Expected a quoted output', value);
+    } else {
+      outputs[key.value] = value.value;
+    }
+  });
+
+  // Tests: 'input': True | False | None
+  const tests = [];
+  const suite = fields.tests;
+  if (suite && suite.kind !== 'dict') {
+    report("'tests' must be a { ... } dictionary", suite);
+  }
+  (suite && suite.kind === 'dict' ? suite.entries : []).forEach(({ key, value }) => {
+    if (key.kind !== 'string') {
+      report('Expected a quoted input string', key);
+      return;
+    }
+    if (value.kind !== 'constant') {
+      report('Expected True, False or None', value);
+      return;
+    }
+    if (tests.some(test => test.input === key.value)) {
+      report(`Duplicate test '${key.value}'`, key);
+      return;
+    }
+    const unknown = tokenizeInput(key.value, alphabet).find(symbol => !alphabet.includes(symbol));
+    if (alphabet.length > 0 && unknown !== undefined) {
+      report(`Symbol '${unknown}' is not in the alphabet`, key);
+      return;
+    }
+    tests.push({ input: key.value, expected: value.value });
+  });
+
+  // Positions: 'state': (x, y)
+  const positions = {};
+  const layout = fields.positions;
+  if (layout && layout.kind !== 'dict') {
+    report("'positions' must be a { ... } dictionary", layout);
+  }
+  (layout && layout.kind === 'dict' ? layout.entries : []).forEach(({ key, value }) => {
+    if (key.kind !== 'string') {
+      report('Expected a quoted state name', key);
+    } else if (!states.includes(key.value)) {
+      report(`Unknown state '${key.value}'`, key);
+    } else if (value.kind !== 'tuple' || value.items.length !== 2 || value.items.some(item => item.kind !== 'number')) {
+      report('Expected an (x, y) pair of numbers', value);
+    } else {
+      positions[key.value] = { x: value.items[0].value, y: value.items[1].value };
+    }
+  });
+
+  if (diagnostics.length > 0) return done();
+  const stack = isPda
+    ? { stackAlphabet, initialStack: initialStack.value, acceptance: acceptance ? acceptance.value : 'final-state' }
+    : {};
+  return {
+    automaton: CREATE[kind]({
+      alphabet,
+      states,
+      start: initial.value,
+      accepting,
+      transitions: isPda ? pdaTable : transitions,
+      outputs,
+      ...stack
+    }),
+    tests,
+    positions,
+    diagnostics
+  };
+};
+
+// Parse a specification, throwing a SpecError with every diagnostic on failure
+export const parseSpec = (text) => {
+  const { automaton, diagnostics } = parseSpecWithDiagnostics(text);
+  if (diagnostics.length > 0) {
+    throw new SpecError(diagnostics);
+  }
+  return automaton;
+};
+
+const quote = (name) => `'${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+const quoteSet = (names) => `{${names.map(quote).join(', ')}}`;
+
+// Transition lines of a SPEC_NFA, ε-transitions written with the empty symbol
+const nfaTransitionLines = (nfa, state) => [...nfa.alphabet, EPSILON]
+  .filter(symbol => nfa.transitions[state][symbol] !== undefined)
+  .map(symbol => `        (${quote(state)}, ${quote(symbol === EPSILON ? '' : symbol)}): ${quoteSet(nfa.transitions[state][symbol])},`);
+
+const dfaTransitionLines = (dfa, state) => dfa.alphabet
+  .filter(symbol => dfa.transitions[state][symbol] !== undefined)
+  .map(symbol => `        (${quote(state)}, ${quote(symbol)}): ${quote(dfa.transitions[state][symbol])},`);
+
+const mealyTransitionLines = (mealy, state) => mealy.alphabet
+  .filter(symbol => mealy.transitions[state][symbol] !== undefined)
+  .map(symbol => `        (${quote(state)}, ${quote(symbol)}): (${quote(mealy.transitions[state][symbol])}, ${quote(mealyOutput(mealy, state, symbol))}),`);
+
+// Transition lines of a SPEC_PDA, one per state, symbol and popped symbol
+const pdaTransitionLines = (pda, state) => {
+  const lines = new Map();
+  pdaTransitions(pda).filter(({ from }) => from === state).forEach(({ symbol, pop, push, to }) => {
+    const key = `(${quote(state)}, ${quote(symbol === EPSILON ? '' : symbol)}, ${quote(pop === EPSILON ? '' : pop)})`;
+    const pushed = push.length === 0 ? '' : formatStack(pda, push);
+    lines.set(key, [...(lines.get(key) || []), `(${quote(to)}, ${quote(pushed)})`]);
+  });
+  return [...lines].map(([key, pairs]) => `        ${key}: {${pairs.join(', ')}},`);
+};
+
+const TRANSITION_LINES = {
+  dfa: dfaTransitionLines,
+  nfa: nfaTransitionLines,
+  mealy: mealyTransitionLines,
+  moore: dfaTransitionLines,
+  pda: pdaTransitionLines
+};
+
+const PYTHON_CONSTANTS = new Map([[true, 'True'], [false, 'False'], [null, 'None']]);
+
+// Format a DFA as a SPEC_DFA specification (or an NFA as a SPEC_NFA one,
+// and so on), one block of transitions per state, followed by the outputs of
+// a Moore machine and the tests and the positions ({ state: { x, y } }) if
+// there are any
+export const formatSpec = (dfa, { tests = [], positions = {} } = {}) => {
+  const blocks = dfa.states
+    .map(state => TRANSITION_LINES[dfa.type](dfa, state).join('\n'))
+    .filter(block => block.length > 0);
+  const outputLines = dfa.type === 'moore'
+    ? dfa.states.map(state => `        ${quote(state)}: ${quote(mooreOutput(dfa, state))},`)
+    : [];
+  const outputField = outputLines.length === 0 ? '' : `,\n    'outputs': {\n${outputLines.join('\n')}\n    }`;
+  const testLines = tests.map(({ input, expected }) => `        ${quote(input)}: ${PYTHON_CONSTANTS.get(expected)},`);
+  const testField = testLines.length === 0 ? '' : `,\n    'tests': {\n${testLines.join('\n')}\n    }`;
+  const positionLines = dfa.states.filter(state => positions[state])
+    .map(state => `        ${quote(state)}: (${positions[state].x}, ${positions[state].y}),`);
+  const positionField = positionLines.length === 0 ? '' : `,\n    'positions': {\n${positionLines.join('\n')}\n    }`;
+
+  const stackFields = dfa.type === 'pda' ? `
+    'stack_alphabet': ${quoteSet(dfa.stackAlphabet)},
+    'initial_stack_symbol': ${quote(dfa.initialStack)},
+    'acceptance': ${quote(dfa.acceptance)},` : '';
+
+  return `SPEC_${dfa.type.toUpperCase()} = {
+    'alphabet': ${quoteSet(dfa.alphabet)},
+    'states': ${quoteSet(dfa.states)},
+    'initial_state': ${quote(dfa.start)},
+    'accepting_states': ${quoteSet(dfa.accepting)},${stackFields}
+    'transitions': {
+${blocks.join('\n\n')}
+    }${outputField}${testField}${positionField}
+}`;
+};
@@ -0,0 +1,65 @@
+// The transition function as a δ-table, one row per state and one column
+// per symbol, for editing a DFA cell by cell and for pasting into
+// assignments as CSV or Markdown
+import { addTransition, removeTransition, retargetTransition, transition } from './dfa';
+import { EPSILON } from './nfa';
+import { keepOutputs } from './transducer';
+
+// The table as { symbols, rows: [{ state, start, accepting, targets }] },
+// with `targets` in the order of `symbols`: a state or null for a DFA, a
+// list of states for an NFA. An NFA that uses ε gets a column for it.
+export const transitionTable = (automaton) => {
+  const isNfa = automaton.type === 'nfa';
+  const usesEpsilon = isNfa && automaton.states.some(state => automaton.transitions[state][EPSILON] !== undefined);
+  const symbols = usesEpsilon ? [...automaton.alphabet, EPSILON] : automaton.alphabet;
+  const rows = automaton.states.map(state => ({
+    state,
+    start: state === automaton.start,
+    accepting: automaton.accepting.includes(state),
+    targets: symbols.map(symbol => (isNfa ? automaton.transitions[state][symbol] || [] : transition(automaton, state, symbol)))
+  }));
+  return { symbols, rows };
+};
+
+// Set the target of a DFA cell, or clear it with null. Transducers keep
+// their outputs.
+export const setTableCell = (dfa, state, symbol, to) => {
+  const existing = transition(dfa, state, symbol);
+  if (to === null) return existing === null ? dfa : keepOutputs(dfa, removeTransition(dfa, state, symbol));
+  return keepOutputs(dfa, existing === null ? addTransition(dfa, state, symbol, to) : retargetTransition(dfa, state, symbol, to));
+};
+
+// A cell as written in the exports; `none` stands for a missing DFA transition
+const cellText = (targets, none) => {
+  if (!Array.isArray(targets)) return targets === null ? none : targets;
+  return targets.length === 0 ? '∅' : `{${targets.join(', ')}}`;
+};
+
+const escapeCsv = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+// The table as CSV, with yes/no flags and empty cells for missing transitions
+export const formatTableCsv = (automaton) => {
+  const { symbols, rows } = transitionTable(automaton);
+  const lines = [
+    ['State', 'Start', 'Accepting', ...symbols],
+    ...rows.map(({ state, start, accepting, targets }) =>
+      [state, start ? 'yes' : 'no', accepting ? 'yes' : 'no', ...targets.map(cell => cellText(cell, ''))])
+  ];
+  return `${lines.map(cells => cells.map(escapeCsv).join(',')).join('\n')}\n`;
+};
+
+const escapeMarkdown = (text) => text.replace(/\|/g, '\\|');
+
+// The table as a Markdown table, marking the start state with → and
+// accepting states with *, as textbooks do
+export const formatTableMarkdown = (automaton) => {
+  const { symbols, rows } = transitionTable(automaton);
+  const line = (cells) => `| ${cells.map(escapeMarkdown).join(' | ')} |`;
+  return [
+    line(['δ', ...symbols]),
+    line(['---', ...symbols.map(() => '---')]),
+    ...rows.map(({ state, start, accepting, targets }) =>
+      line([`${start ? '→' : ''}${accepting ? '*' : ''}${state}`, ...targets.map(cell => cellText(cell, '—'))])),
+    ''
+  ].join('\n');
+};
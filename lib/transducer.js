@@ -0,0 +1,165 @@
+// Mealy and Moore machines: DFAs that write an output as they read, on
+// every transition (Mealy) or in every state they enter (Moore). They keep
+// the DFA model, so everything that works on a DFA works on them too, with
+// the outputs on top:
+//
+//   { ...dfa, type: 'mealy', outputs: { state: { symbol: output } } }
+//   { ...dfa, type: 'moore', outputs: { state: output } }
+//
+// Outputs are strings; a missing one is the empty output, which writes nothing.
+import { addTransition, createDfa, DfaError, renameState, run } from './dfa';
+import { createNfa, dfaToNfa, nfaAsDfa } from './nfa';
+import { createPda, nfaToPda, pdaToNfa } from './pda';
+
+export const TRANSDUCER_TYPES = ['mealy', 'moore'];
+
+export const isTransducer = (automaton) => TRANSDUCER_TYPES.includes(automaton.type);
+
+const checkOutput = (output, where) => {
+  if (typeof output !== 'string') {
+    throw new DfaError(`The output of ${where} must be a string`);
+  }
+};
+
+export const createMealy = ({ outputs = {}, ...definition }) => {
+  const dfa = createDfa(definition);
+  const table = {};
+  Object.keys(outputs).forEach(from => {
+    Object.keys(outputs[from]).forEach(symbol => {
+      if (!dfa.states.includes(from) || dfa.transitions[from][symbol] === undefined) {
+        throw new DfaError(`Output for (${from}, ${symbol}), which has no transition`);
+      }
+      checkOutput(outputs[from][symbol], `(${from}, ${symbol})`);
+      if (outputs[from][symbol] !== '') table[from] = { ...table[from], [symbol]: outputs[from][symbol] };
+    });
+  });
+  return { ...dfa, type: 'mealy', outputs: table };
+};
+
+export const createMoore = ({ outputs = {}, ...definition }) => {
+  const dfa = createDfa(definition);
+  const table = {};
+  Object.keys(outputs).forEach(state => {
+    if (!dfa.states.includes(state)) {
+      throw new DfaError(`Output for undeclared state "${state}"`);
+    }
+    checkOutput(outputs[state], state);
+    if (outputs[state] !== '') table[state] = outputs[state];
+  });
+  return { ...dfa, type: 'moore', outputs: table };
+};
+
+const CREATE = { dfa: createDfa, nfa: createNfa, mealy: createMealy, moore: createMoore, pda: createPda };
+
+export const AUTOMATON_TYPES = Object.keys(CREATE);
+
+// Build an automaton of any type from its definition, as stored in JSON
+export const createAutomaton = (definition) => {
+  if (!CREATE[definition.type]) {
+    throw new DfaError(`Unknown automaton type "${definition.type}"`);
+  }
+  return CREATE[definition.type](definition);
+};
+
+// Output of a Mealy transition or of a Moore state, '' when there is none
+export const mealyOutput = (machine, state, symbol) => (machine.outputs[state] || {})[symbol] || '';
+export const mooreOutput = (machine, state) => machine.outputs[state] || '';
+
+// Carry the outputs of a transducer over to an edited copy of it, made by
+// the DFA functions, keeping those of the states and transitions left.
+// Anything but a transducer is returned as edited; `rename` maps old state
+// names to new ones.
+export const keepOutputs = (original, edited, rename = (state) => state) => {
+  if (!isTransducer(original)) return edited;
+  const outputs = {};
+  Object.keys(original.outputs).forEach(state => {
+    const name = rename(state);
+    if (!edited.states.includes(name)) return;
+    if (original.type === 'moore') {
+      outputs[name] = original.outputs[state];
+      return;
+    }
+    Object.keys(original.outputs[state]).forEach(symbol => {
+      if (edited.transitions[name][symbol] !== undefined) {
+        outputs[name] = { ...outputs[name], [symbol]: original.outputs[state][symbol] };
+      }
+    });
+  });
+  return CREATE[original.type]({ ...edited, outputs });
+};
+
+// A DFA edit turned into one that keeps the outputs
+export const keepingOutputs = (edit) => (machine, ...args) => keepOutputs(machine, edit(machine, ...args));
+
+export const setMealyOutput = (machine, from, symbol, output) =>
+  createMealy({ ...machine, outputs: { ...machine.outputs, [from]: { ...machine.outputs[from], [symbol]: output } } });
+
+export const setMooreOutput = (machine, state, output) =>
+  createMoore({ ...machine, outputs: { ...machine.outputs, [state]: output } });
+
+// Add a transition, writing `output` on it in a Mealy machine
+export const addTransducerTransition = (machine, from, symbol, to, output = '') => {
+  const added = keepOutputs(machine, addTransition(machine, from, symbol, to));
+  return machine.type === 'mealy' && output !== '' ? setMealyOutput(added, from, symbol, output) : added;
+};
+
+export const renameTransducerState = (machine, state, name) =>
+  keepOutputs(machine, renameState(machine, state, name), s => (s === state ? name.trim() : s));
+
+// Read a transition label typed as `input/output`; without a slash, or
+// with ε after it, the output is empty
+export const parseTransitionLabel = (label) => {
+  const slash = label.indexOf('/');
+  if (slash < 0) return { symbol: label.trim(), output: '' };
+  const output = label.slice(slash + 1).trim();
+  return { symbol: label.slice(0, slash).trim(), output: output === 'ε' ? '' : output };
+};
+
+// Label of a Mealy transition, e.g. a/x (or a/ε without output)
+export const formatTransitionLabel = (symbol, output) => `${symbol}/${output === '' ? 'ε' : output}`;
+
+// Switch an automaton to another type. A transducer made from a DFA or an
+// NFA starts without outputs, and a Moore machine becomes the Mealy machine
+// that writes the output of the state each transition enters; other
+// switches lose the outputs, as a Mealy machine can need more states as a
+// Moore machine. NFAs only switch while they are deterministic, and PDAs
+// while they leave their stack alone.
+export const convertAutomaton = (automaton, type) => {
+  if (type === automaton.type) return automaton;
+  if (automaton.type === 'pda') return convertAutomaton(pdaToNfa(automaton), type);
+  if (type === 'pda') return nfaToPda(convertAutomaton(automaton, 'nfa'));
+  if (automaton.type === 'nfa') return convertAutomaton(nfaAsDfa(automaton), type);
+  if (type === 'nfa') return dfaToNfa(createDfa(automaton));
+  const outputs = {};
+  if (automaton.type === 'moore' && type === 'mealy') {
+    automaton.states.forEach(from => {
+      Object.keys(automaton.transitions[from]).forEach(symbol => {
+        const output = mooreOutput(automaton, automaton.transitions[from][symbol]);
+        if (output !== '') outputs[from] = { ...outputs[from], [symbol]: output };
+      });
+    });
+  }
+  return CREATE[type]({ ...automaton, outputs });
+};
+
+// Run a transducer like `run` runs a DFA, writing outputs as it goes. Each
+// step gets its `output`, and a Moore run starts with the `initialOutput`
+// of the start state. The whole `output` is the list of outputs written,
+// empty ones left out.
+export const runTransducer = (machine, symbols) => {
+  const result = run(machine, symbols);
+  const steps = result.steps.map(step => ({
+    ...step,
+    output: machine.type === 'mealy' ? mealyOutput(machine, step.from, step.symbol) : mooreOutput(machine, step.to)
+  }));
+  const initialOutput = machine.type === 'moore' ? mooreOutput(machine, machine.start) : '';
+  return { ...result, steps, initialOutput, output: outputTape({ steps, initialOutput }) };
+};
+
+// Outputs written in the first `stepCount` steps of a transducer run
+export const outputTape = (result, stepCount = result.steps.length) =>
+  [result.initialOutput, ...result.steps.slice(0, stepCount).map(step => step.output)].filter(output => output !== '');
+
+// The output tape as text: outputs of one character run together, longer
+// ones are separated by spaces
+export const formatOutput = (outputs) => outputs.join(outputs.some(output => output.length > 1) ? ' ' : '');
@@ -0,0 +1,116 @@
+// Keeping work between visits without a backend: the workspace (the
+// automaton, where its states are drawn, the spec and test textareas and
+// the input string) is autosaved to localStorage, can be saved under a name,
+// and can be shared as a link carrying it in the URL hash.
+//
+// Storage functions take the Storage to use (window.localStorage in the
+// browser) so they can run anywhere.
+import { DfaError } from './dfa';
+import { AUTOMATON_TYPES, createAutomaton } from './transducer';
+
+export const AUTOSAVE_KEY = 'dfa-visualize:autosave';
+export const WORKSPACES_KEY = 'dfa-visualize:workspaces';
+
+// Prefix of a URL hash that carries a shared workspace
+const SHARE_PREFIX = '#share=';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A workspace as stored: { automaton, positions, spec, tests, input }
+export const createWorkspace = ({ automaton, positions = {}, spec = '', tests = '', input = '' }) =>
+  ({ automaton, positions, spec, tests, input });
+
+// Check a stored or shared workspace, rebuilding its automaton so broken
+// data is rejected with a DfaError
+export const readWorkspace = (data) => {
+  if (!isObject(data) || !isObject(data.automaton) || !AUTOMATON_TYPES.includes(data.automaton.type)) {
+    throw new DfaError('This is not a saved automaton');
+  }
+  const automaton = createAutomaton(data.automaton);
+  const positions = {};
+  Object.entries(isObject(data.positions) ? data.positions : {}).forEach(([state, at]) => {
+    if (automaton.states.includes(state) && isObject(at) && Number.isFinite(at.x) && Number.isFinite(at.y)) {
+      positions[state] = { x: at.x, y: at.y };
+    }
+  });
+  const text = (value) => (typeof value === 'string' ? value : '');
+  return createWorkspace({ automaton, positions, spec: text(data.spec), tests: text(data.tests), input: text(data.input) });
+};
+
+// base64url of UTF-8 text, and back
+const encodeText = (text) => btoa(Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join(''))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const decodeText = (encoded) => new TextDecoder().decode(
+  Uint8Array.from(atob(encoded.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0)));
+
+// URL hash sharing a workspace's automaton, positions and tests
+export const shareHash = (workspace) => {
+  const { automaton, positions, tests } = workspace;
+  return `${SHARE_PREFIX}${encodeText(JSON.stringify({ automaton, positions, tests }))}`;
+};
+
+// The workspace a URL hash shares, or null when it doesn't share one
+export const readShareHash = (hash) => {
+  if (!hash.startsWith(SHARE_PREFIX)) return null;
+  let data;
+  try {
+    data = JSON.parse(decodeText(hash.slice(SHARE_PREFIX.length)));
+  } catch (error) {
+    throw new DfaError('The shared link is damaged');
+  }
+  return readWorkspace(data);
+};
+
+// Stored JSON, or `fallback` when it's missing or unreadable
+const readStored = (storage, key, fallback) => {
+  try {
+    const text = storage.getItem(key);
+    return text === null ? fallback : JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const saveAutosave = (storage, workspace) => {
+  storage.setItem(AUTOSAVE_KEY, JSON.stringify(workspace));
+};
+
+// The autosaved workspace, or null if there is none (or it's unreadable)
+export const loadAutosave = (storage) => {
+  try {
+    const data = readStored(storage, AUTOSAVE_KEY, null);
+    return data === null ? null : readWorkspace(data);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Named workspaces as [{ name, savedAt }], by name
+export const listWorkspaces = (storage) => {
+  const saved = readStored(storage, WORKSPACES_KEY, {});
+  return Object.keys(isObject(saved) ? saved : {})
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => ({ name, savedAt: isObject(saved[name]) ? saved[name].savedAt : null }));
+};
+
+// Save a workspace under a name, replacing any saved under the same name
+export const saveWorkspace = (storage, name, workspace, savedAt = Date.now()) => {
+  const trimmed = name.trim();
+  if (trimmed.length === 0) throw new DfaError('Workspace names may not be empty');
+  const saved = readStored(storage, WORKSPACES_KEY, {});
+  storage.setItem(WORKSPACES_KEY, JSON.stringify({ ...(isObject(saved) ? saved : {}), [trimmed]: { savedAt, workspace } }));
+};
+
+export const loadWorkspace = (storage, name) => {
+  const saved = readStored(storage, WORKSPACES_KEY, {});
+  if (!isObject(saved) || !isObject(saved[name])) throw new DfaError(`No workspace is saved as "${name}"`);
+  return readWorkspace(saved[name].workspace);
+};
+
+export const deleteWorkspace = (storage, name) => {
+  const saved = readStored(storage, WORKSPACES_KEY, {});
+  if (!isObject(saved)) return;
+  const rest = { ...saved };
+  delete rest[name];
+  storage.setItem(WORKSPACES_KEY, JSON.stringify(rest));
+};
@@ -1,4 +1,5 @@
 import 'bootstrap/dist/css/bootstrap.css';
+import 'vis-network/styles/vis-network.css';
 import '../styles/globals.css'
 
 function MyApp({ Component, pageProps }) {
@@ -1,46 +1,56 @@
-import { useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import Graph from "react-graph-vis";
-import { v4 as uuidv4 } from "uuid";
 import Head from 'next/head'
 import styles from '../styles/Home.module.css'
-
-// Graph options
-const options = {
-  layout: {
-    hierarchical: {
-      enabled: false,
-    },
-    // you can also add a fixed randomSeed to keep the initial layout deterministic
-    // randomSeed: 42,
-  },
-  edges: {
-    color: "#ABABAB"
-  },
-  nodes: {
-    color: "#BBBBBB",
-    // tell vis.js to never move nodes once they’re placed
-    fixed: { x: true, y: true }
-  },
-  physics: {
-    enabled: false   // turn off all physics
-  },
-  interaction: {
-    multiselect: false,
-    dragView: false,
-    // optional: prevent dragging nodes by hand
-    dragNodes: false,
-    // optional: prevent zooming/panning if you want truly static
-    // zoomView: false
-  }
-};
-
-// Default graph data
-const defaultGraph = {
-  nodes: [
-    { id: 1, label: "Start", title: null }
-  ],
-  edges: []
-};
+import AutomatonGraph from '../components/AutomatonGraph';
+import AnalysisPanel from '../components/AnalysisPanel';
+import CombinePanel from '../components/CombinePanel';
+import DebuggerPanel from '../components/DebuggerPanel';
+import FilePanel from '../components/FilePanel';
+import GraphEditor from '../components/GraphEditor';
+import HistoryPanel from '../components/HistoryPanel';
+import LanguagePanel from '../components/LanguagePanel';
+import PdaPanel from '../components/PdaPanel';
+import StatePanel from '../components/StatePanel';
+import TablePanel from '../components/TablePanel';
+import TestPanel from '../components/TestPanel';
+import WorkspacePanel from '../components/WorkspacePanel';
+import {
+  addState, addTransition, createDfa, dfaTransitions, freshStateName, parseAlphabet, removeState,
+  formatInput, removeTransition, renameState, retargetTransition, run, setAccepting, setAlphabet, setStart,
+  tokenizeInput
+} from '../lib/dfa';
+import {
+  addNfaState, addNfaTransition, EPSILON, nfaTransitions, removeNfaState,
+  removeNfaTransition, renameNfaState, retargetNfaTransition, runNfa, setNfaAccepting, setNfaAlphabet,
+  setNfaStart, subsetConstruction
+} from '../lib/nfa';
+import { formatTestSuite, parseTestSuite } from '../lib/batch';
+import { stateElimination } from '../lib/elimination';
+import { canRedo, canUndo, createHistory, currentSnapshot, jumpTo, record, redo, undo } from '../lib/history';
+import { LAYOUTS, positionsFor } from '../lib/layout';
+import { minimize } from '../lib/minimize';
+import {
+  addPdaState, addPdaTransition, followConfiguration, labeledPdaTransitions, removePdaState, removePdaTransition,
+  renamePdaState, retargetPdaTransition, runPda, setPdaAccepting, setPdaAlphabet, setPdaStart
+} from '../lib/pda';
+import { regexToDfa } from '../lib/regex';
+import { runLength } from '../lib/simulation';
+import { formatDiagnostic, formatSpec, parseSpecWithDiagnostics } from '../lib/spec';
+import {
+  addTransducerTransition, convertAutomaton, keepingOutputs, renameTransducerState, runTransducer
+} from '../lib/transducer';
+import { createWorkspace, loadAutosave, readShareHash, saveAutosave } from '../lib/workspace';
+import {
+  automatonToGraph, DEAD_STATE_STYLES, gnfaToGraph, graphOptions as options, highlightRun, markMergedStates,
+  markOriginalStates, markStates, placeNodes
+} from '../lib/graph';
+
+// Default alphabet, matching the default DFA specification below
+const defaultAlphabet = ['0', 'A', 'C'];
+
+// Default automaton: a single start state
+const defaultDfa = createDfa({ alphabet: defaultAlphabet, states: ['Start'], start: 'Start' });
 
 // Default DFA specification
 const defaultDfaSpec = `SPEC_DFA = {
@@ -75,192 +85,218 @@ const defaultDfaSpec = `SPEC_DFA = {
     }
 }`;
 
+// Transducers edit like DFAs, keeping their outputs
+const transducerEngine = {
+  addState: keepingOutputs(addState),
+  addTransition: addTransducerTransition,
+  removeState: keepingOutputs(removeState),
+  removeTransition: keepingOutputs(removeTransition),
+  renameState: renameTransducerState,
+  retargetTransition: keepingOutputs((dfa, from, symbol, oldTo, newTo) => retargetTransition(dfa, from, symbol, newTo)),
+  setAccepting: keepingOutputs(setAccepting),
+  setAlphabet: keepingOutputs(setAlphabet),
+  setStart: keepingOutputs(setStart),
+  transitions: dfaTransitions,
+  run: runTransducer
+};
+
+// Names of the automaton types in the history
+const typeNames = { dfa: 'DFA', nfa: 'NFA', mealy: 'Mealy machine', moore: 'Moore machine', pda: 'PDA' };
+
+// Editing and simulation functions for each automaton type
+// (transitions are retargeted with the old and the new target, which a DFA doesn't need;
+// a PDA goes by the label of a transition, a, X → YZ, where the others take its symbol)
+const engines = {
+  dfa: {
+    addState,
+    addTransition,
+    removeState,
+    removeTransition,
+    renameState,
+    retargetTransition: (dfa, from, symbol, oldTo, newTo) => retargetTransition(dfa, from, symbol, newTo),
+    setAccepting,
+    setAlphabet,
+    setStart,
+    transitions: dfaTransitions,
+    run
+  },
+  nfa: {
+    addState: addNfaState,
+    addTransition: addNfaTransition,
+    removeState: removeNfaState,
+    removeTransition: removeNfaTransition,
+    renameState: renameNfaState,
+    retargetTransition: retargetNfaTransition,
+    setAccepting: setNfaAccepting,
+    setAlphabet: setNfaAlphabet,
+    setStart: setNfaStart,
+    transitions: nfaTransitions,
+    run: runNfa
+  },
+  mealy: transducerEngine,
+  moore: transducerEngine,
+  pda: {
+    addState: addPdaState,
+    addTransition: addPdaTransition,
+    removeState: removePdaState,
+    removeTransition: removePdaTransition,
+    renameState: renamePdaState,
+    retargetTransition: retargetPdaTransition,
+    setAccepting: setPdaAccepting,
+    setAlphabet: setPdaAlphabet,
+    setStart: setPdaStart,
+    transitions: labeledPdaTransitions,
+    run: runPda
+  }
+};
+
 export default function Home() {
-  const [graphData, setGraphData] = useState(defaultGraph);
+  const [automaton, setAutomaton] = useState(defaultDfa);
+  const [graphData, setGraphData] = useState(() => automatonToGraph(defaultDfa));
   const [graphVersion, setGraphVersion] = useState(1); // track when we really want to recreate the network
-  const [firstNode, setFirstNode] = useState(1);
-  const [secondNode, setSecondNode] = useState(1);
+  // Where the states of the main graph are drawn: { state: { x, y } }
+  const [positions, setPositions] = useState({});
+  // Layout for automata that are built, opened or converted (see LAYOUTS)
+  const [layout, setLayout] = useState('layered');
+  // How dead states are drawn (see DEAD_STATE_STYLES)
+  const [deadStyle, setDeadStyle] = useState('show');
+  // Every structural change, as snapshots of { automaton, positions, info }
+  const [history, setHistory] = useState(() => createHistory({ automaton: defaultDfa, positions: {}, info: null }));
+  const [firstNode, setFirstNode] = useState(defaultDfa.start);
+  const [secondNode, setSecondNode] = useState(defaultDfa.start);
   const [inputString, setInputString] = useState('');
+  const [alphabetText, setAlphabetText] = useState(defaultAlphabet.join(', '));
   const [dfaSpecification, setDfaSpecification] = useState('');
+  // Problems found by the last attempt to build from the specification
+  const [specDiagnostics, setSpecDiagnostics] = useState([]);
+  // Batch test suite, one string per line
+  const [testText, setTestText] = useState('');
   const [animationEnabled, setAnimationEnabled] = useState(false);
+  // Whether the debugger is playing a run; editing waits until it's paused
   const [isAnimating, setIsAnimating] = useState(false);
-  const [animationStep, setAnimationStep] = useState(0);
-  // Store a clean copy of the graph data before animations
-  const [cleanGraphData, setCleanGraphData] = useState(defaultGraph);
-  // Store original DFA specification for rebuilding
-  const [originalDfaSpec, setOriginalDfaSpec] = useState('');
-  
+  // Last checked string and its run, shown in the debugger while the automaton is unedited
+  const [debugRun, setDebugRun] = useState(null);
+  const [debugStep, setDebugStep] = useState(0);
+  // Result of the last "Minimize", shown while the minimized DFA is unedited
+  const [minimization, setMinimization] = useState(null);
+  const [regexText, setRegexText] = useState('');
+  const [regexError, setRegexError] = useState(null);
+  // Result of the last "Convert to regex", shown while the automaton is unedited
+  const [elimination, setElimination] = useState(null);
+  const [eliminationStep, setEliminationStep] = useState(0);
+  // Label typed for a new PDA transition
+  const [transitionLabel, setTransitionLabel] = useState('');
+
+  const { alphabet } = automaton;
+  const isNfa = automaton.type === 'nfa';
+  const isPda = automaton.type === 'pda';
+  const engine = engines[automaton.type];
+
+  const showsMinimization = minimization !== null && minimization.result.dfa === automaton;
+  const showsElimination = elimination !== null && elimination.automaton === automaton;
+  const showsDebugger = debugRun !== null && debugRun.automaton === automaton;
+
+  // Graph for an automaton, pointing out unreachable and dead states and
+  // coloring merged states while it is the result of "Minimize"
+  const drawAutomaton = (target, info = minimization, at = positions, style = deadStyle) => {
+    const graph = markStates(placeNodes(automatonToGraph(target), at), target, style);
+    return info && info.result.dfa === target ? markMergedStates(graph, info.result.groups) : graph;
+  };
+
+  // Show an automaton and redraw it, keeping the states where they are
+  const showAutomaton = (newAutomaton, info, at) => {
+    setAutomaton(newAutomaton);
+    setPositions(at);
+    setGraphData(drawAutomaton(newAutomaton, info, at));
+    setGraphVersion(v => v + 1); // bump version on structural change
+    // Pickers pointing at a deleted or renamed state go back to the start
+    if (!newAutomaton.states.includes(firstNode)) setFirstNode(newAutomaton.start);
+    if (!newAutomaton.states.includes(secondNode)) setSecondNode(newAutomaton.start);
+  };
+
+  // Replace the automaton after a structural change, recording it in the
+  // history under `label`
+  const updateAutomaton = (newAutomaton, label, info = minimization, at = positions) => {
+    showAutomaton(newAutomaton, info, at);
+    setHistory(h => record(h, label, { automaton: newAutomaton, positions: at, info }));
+  };
+
+  // Go back or forward to a history entry. States keep any position they
+  // were dragged to since.
+  const restore = (newHistory) => {
+    const { automaton: restored, positions: at, info } = currentSnapshot(newHistory);
+    setHistory(newHistory);
+    setMinimization(info);
+    showAutomaton(restored, info, { ...at, ...positions });
+    setAlphabetText(restored.alphabet.join(', '));
+  };
+
+  // Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y), except while typing in a field
+  const onKeyDown = useRef(null);
+  onKeyDown.current = (e) => {
+    const key = e.key.toLowerCase();
+    if (!(e.ctrlKey || e.metaKey) || (key !== 'z' && key !== 'y') || isAnimating) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+    e.preventDefault();
+    const redoing = key === 'y' || e.shiftKey;
+    if (redoing ? canRedo(history) : canUndo(history)) {
+      restore(redoing ? redo(history) : undo(history));
+    }
+  };
+  useEffect(() => {
+    const listener = (e) => onKeyDown.current(e);
+    window.addEventListener('keydown', listener);
+    return () => window.removeEventListener('keydown', listener);
+  }, []);
+
+  // Apply an edit from the states panel; a renamed state keeps its position
+  const editStates = (edited, label, rename) => {
+    const at = rename && positions[rename.from] ? { ...positions, [rename.to]: positions[rename.from] } : positions;
+    updateAutomaton(edited, label, minimization, at);
+  };
+
+  // Replace the automaton with a different one, e.g. parsed or converted,
+  // laid out with the chosen layout except for the states placed in `at`
+  const loadAutomaton = (newAutomaton, label, at = {}) => {
+    updateAutomaton(newAutomaton, label, minimization, { ...LAYOUTS[layout].place(newAutomaton), ...at });
+    setAlphabetText(newAutomaton.alphabet.join(', '));
+    setInputString('');
+    setFirstNode(newAutomaton.start);
+    setSecondNode(newAutomaton.start);
+  };
+
+  // Apply an edit from the transition table, rewriting the specification to
+  // match so the two stay in step
+  const editTable = (edited, label) => {
+    updateAutomaton(edited, label);
+    setDfaSpecification(formatSpec(edited, {
+      tests: parseTestSuite(testText, edited.alphabet).tests,
+      positions: positionsFor(edited, positions)
+    }));
+    setSpecDiagnostics([]);
+  };
+
   // Parse DFA specification and build the graph
-  const parseDfaSpecification = (specText, storeAsOriginal = true) => {
-    try {
-      // Use passed specText or fallback to dfaSpecification state
-      const textToUse = specText || dfaSpecification;
-      
-      // Ensure we have a string to work with
-      if (!textToUse || typeof textToUse !== 'string') {
-        throw new Error("DFA specification must be a string");
-      }
-
-      // Extract the DFA specification from the text if it's not already extracted
-      let specToUse = textToUse;
-      if (!textToUse.startsWith('SPEC_DFA')) {
-        const specMatch = textToUse.match(/SPEC_DFA\s*=\s*\{([\s\S]*)\}/);
-        if (!specMatch) throw new Error("Invalid DFA specification format");
-        specToUse = specMatch[0];
-      }
-      
-      // If this is the first build (not a reset), store the original spec
-      if (storeAsOriginal) {
-        setOriginalDfaSpec(specToUse);
-      }
-      
-      // Parse alphabet
-      const alphabetMatch = specToUse.match(/'alphabet':\s*\{([^}]*)\}/);
-      if (!alphabetMatch) throw new Error("Could not find alphabet in specification");
-      
-      // Parse states
-      const statesMatch = specToUse.match(/'states':\s*\{([^}]*)\}/);
-      if (!statesMatch) throw new Error("Could not find states in specification");
-      
-      // Parse initial state
-      const initialStateMatch = specToUse.match(/'initial_state':\s*'([^']*)'/);
-      if (!initialStateMatch) throw new Error("Could not find initial state in specification");
-      const initialState = initialStateMatch[1];
-      
-      // Parse accepting states
-      const acceptingStatesMatch = specToUse.match(/'accepting_states':\s*\{([^}]*)\}/);
-      if (!acceptingStatesMatch) throw new Error("Could not find accepting states in specification");
-      
-      const acceptingStates = acceptingStatesMatch[1].split(',').map(s => {
-        const match = s.match(/'([^']*)'/);
-        return match ? match[1] : null;
-      }).filter(s => s !== null);
-      
-      // Parse transitions
-      const transitionsText = specToUse.substring(specToUse.indexOf("'transitions'"));
-      const transitionRegex = /\('([^']*)',\s*'([^']*)'\):\s*'([^']*)'/g;
-      
-      const transitions = [];
-      let transitionMatch;
-      while ((transitionMatch = transitionRegex.exec(transitionsText)) !== null) {
-        transitions.push({
-          from: transitionMatch[1],
-          input: transitionMatch[2],
-          to: transitionMatch[3]
-        });
-      }
-      
-      // Extract all states from the specification
-      const stateNames = statesMatch[1].split(',').map(s => {
-        const match = s.match(/'([^']*)'/);
-        return match ? match[1] : null;
-      }).filter(s => s !== null);
-      
-      // Create new graph
-      const newGraph = {
-        nodes: [],
-        edges: []
-      };
-      
-      // Add nodes
-      const stateIdMap = {};
-      stateNames.forEach((state, index) => {
-        const id = index + 1;
-        const label = state;
-        const isAccepting = acceptingStates.includes(state);
-        
-        stateIdMap[state] = id;
-        
-        newGraph.nodes.push({
-          id: id,
-          label: label,
-          title: isAccepting ? 'accepting' : null,
-          borderWidth: isAccepting ? 3 : 1,
-          color: isAccepting ? { border: '#000000' } : undefined
-        });
-      });
-      
-      // Add edges (with unique id!)
-      transitions.forEach(transition => {
-        const fromId = stateIdMap[transition.from];
-        const toId   = stateIdMap[transition.to];
-        const label  = transition.input;
-
-        // Check if edge already exists
-        const existingEdge = newGraph.edges.find(edge =>
-          edge.from === fromId && edge.to   === toId
-        );
-
-        if (existingEdge) {
-          // Add label to existing edge
-          if (!existingEdge.label.includes(label)) {
-            existingEdge.label = existingEdge.label + ", " + label;
-          }
-        } else {
-          // Create new edge (give it an `id`!)
-          newGraph.edges.push({
-            id: uuidv4(),            // ← unique edge id
-            from: fromId,
-            to:   toId,
-            label,
-            smooth: { enabled: true, type: 'curvedCW', roundness: 1 }
-          });
-        }
-      });
-      
-      // Update graph data and keep a clean copy
-      setGraphData(newGraph);
-      setCleanGraphData(JSON.parse(JSON.stringify(newGraph))); 
-      setGraphVersion(v => v + 1);
-      setFirstNode(1);
-      setSecondNode(1);
-      
-    } catch (error) {
-      alert(`Error parsing DFA specification: ${error.message}`);
+  const parseDfaSpecification = (specText, label = 'Build from specification') => {
+    const { automaton: parsed, tests, positions: at, diagnostics } = parseSpecWithDiagnostics(specText);
+    setSpecDiagnostics(diagnostics);
+    if (diagnostics.length === 0) {
+      loadAutomaton(parsed, label, at);
+      if (tests.length > 0) setTestText(formatTestSuite(tests));
     }
   };
   
   const addNewState = (accptingState) => {
-    let newGraph = JSON.parse(JSON.stringify(graphData));
-    const ids = newGraph.nodes.map(x => x.id);
-    const newId = Math.max(...ids) + 1;
-    newGraph.nodes.push(accptingState ?
-      { id: newId, label: `Q${newId}`, borderWidth: 3, color: { border: '#000000' }, title: 'accepting' }
-      : { id: newId, label: `Q${newId}`, title: null }
-    );
-    setGraphData(newGraph);
-    setCleanGraphData(JSON.parse(JSON.stringify(newGraph))); // Store clean copy
-    updateDfaSpecFromGraph(newGraph); // Update the spec
-    setGraphVersion(v => v + 1); // bump version on structural change
+    const name = freshStateName(automaton);
+    updateAutomaton(engine.addState(automaton, name, !!accptingState), `Add ${accptingState ? 'accepting ' : ''}state ${name}`);
   }
 
-  const addEdge = (nodeId1, nodeId2, label = '0') => {
-    let newGraph = JSON.parse(JSON.stringify(graphData));
-
-    // Check if edge exists already
-    const existingEdge       = newGraph.edges.find(x => x.from === +nodeId1 && x.to === +nodeId2);
-    const existingOutTransition = newGraph.edges.find(x => x.from === +nodeId1 && x.label.includes(label)); 
-
-    if (existingEdge) {
-      if (!existingEdge.label.includes(label)) {
-        existingEdge.label = existingEdge.label + ", " + label;
-      }
-    } else if (existingOutTransition) {
-      const fromNode = newGraph.nodes.find(x => x.id === nodeId1);
-      alert(`${fromNode.label} has a transition with value ${label} already`);
-    } else {
-      newGraph.edges.push({
-        id: uuidv4(),            // ← unique edge id again
-        from: +nodeId1,
-        to:   +nodeId2,
-        label,
-        smooth: { enabled: true, type: 'curvedCW', roundness: 1 }
-      });
+  const addEdge = (from, to, symbol = alphabet[0]) => {
+    try {
+      updateAutomaton(engine.addTransition(automaton, from, symbol, to), `Add transition ${from} → ${to} on ${symbol}`);
+    } catch (error) {
+      alert(error.message);
     }
-    setGraphData(newGraph);
-    setCleanGraphData(JSON.parse(JSON.stringify(newGraph))); // Store clean copy
-    updateDfaSpecFromGraph(newGraph); // Update the spec
-    setGraphVersion(v => v + 1); // bump version on structural change
   };
 
   const handleState1Change = (event) => {
@@ -271,203 +307,235 @@ export default function Home() {
     setSecondNode(event.target.value);
   }
 
-  const resetGraph = () => {
-    setGraphData(defaultGraph);
-    setCleanGraphData(defaultGraph); // Reset clean copy too
-    setOriginalDfaSpec(''); // Clear the original spec
-    setGraphVersion(v => v + 1); // bump version on structural change
+  // Switch between DFA, NFA, Mealy, Moore and PDA mode. Leaving NFA mode
+  // only works while the NFA is still deterministic (otherwise use "Convert
+  // to DFA"), and leaving PDA mode while the stack is left alone.
+  const handleModeChange = (event) => {
+    try {
+      const type = event.target.value;
+      updateAutomaton(convertAutomaton(automaton, type), `Switch to ${typeNames[type]}`);
+    } catch (error) {
+      alert(error.message);
+    }
   };
 
-  // Allow only A, C, and 0 characters
-  const handleStringInput = (e) => e.target.value.match(/(^[AC0]+$|^$)/g) && setInputString(e.target.value);
+  // Run the subset construction and show the resulting DFA and its spec
+  const convertToDfa = () => {
+    const dfa = subsetConstruction(automaton);
+    loadAutomaton(dfa, 'Convert to DFA');
+    setDfaSpecification(formatSpec(dfa));
+  };
 
-  // Helper function to reset animation colors
-  const resetAnimationColors = () => {
-    // Create a completely new graph object instead of mutating the existing one
-    const newGraph = {
-      nodes: [],
-      edges: []
+  // Minimize the DFA, keeping the original around to show which states merged
+  const minimizeDfa = () => {
+    const result = minimize(automaton);
+    const removed = {};
+    result.unreachable.forEach(state => { removed[state] = 'unreachable'; });
+    result.dead.forEach(state => { removed[state] = 'dead state'; });
+
+    const info = {
+      result,
+      removed,
+      originalGraph: markOriginalStates(automatonToGraph(automaton), result.groups, removed)
     };
-    
-    // Recreate each node with proper styling based on accepting status
-    graphData.nodes.forEach(node => {
-      const newNode = {
-        ...node, // Copy all basic properties
-        color: node.title === 'accepting' 
-          ? { border: '#000000' } // Only border for accepting states
-          : undefined, // Default color for non-accepting states
-        borderWidth: node.title === 'accepting' ? 3 : 1
-      };
-      newGraph.nodes.push(newNode);
-    });
-    
-    // Recreate edges with no color styling
-    graphData.edges.forEach(edge => {
-      newGraph.edges.push({
-        ...edge, // Copy all properties
-        color: undefined // Reset color
-      });
-    });
-    
-    return newGraph;
-  };
-
-  // Animated check input string function
-  const animateCheckInputString = async () => {
-    setIsAnimating(true);
-    setAnimationStep(0);
-
-    let currNodeId = 1;
-    let accepted = inputString.length > 0;
-
-    // Start with one clean snapshot
-    let displayGraph = JSON.parse(JSON.stringify(resetAnimationColors()));
-
-    // Highlight the starting node
-    const startNode = displayGraph.nodes.find(n => n.id === currNodeId);
-    if (startNode) {
-      startNode.color = { background: '#90CAF9' };
-      setGraphData(JSON.parse(JSON.stringify(displayGraph)));
+    setMinimization(info);
+    updateAutomaton(result.dfa, 'Minimize', info);
+    setFirstNode(result.dfa.start);
+    setSecondNode(result.dfa.start);
+    setDfaSpecification(formatSpec(result.dfa));
+  };
+
+  // Compile the regex over the current alphabet and show the resulting DFA
+  const buildFromRegex = () => {
+    try {
+      const dfa = regexToDfa(regexText, alphabet);
+      loadAutomaton(dfa, `Build from regex ${regexText.trim()}`);
+      setDfaSpecification(formatSpec(dfa));
+      setRegexError(null);
+    } catch (error) {
+      setRegexError({ message: error.message, position: error.position });
+    }
+  };
+
+  // Show the result of combining automata and put its spec in the textarea
+  const showCombination = (dfa, label) => {
+    loadAutomaton(dfa, label);
+    setDfaSpecification(formatSpec(dfa));
+  };
+
+  // Run state elimination on the current automaton and show the expression
+  const convertToRegex = () => {
+    setElimination({ automaton, ...stateElimination(automaton) });
+    setEliminationStep(0);
+  };
+
+  // Replace the alphabet with the symbols typed into the alphabet field
+  const applyAlphabet = () => {
+    try {
+      const newAutomaton = engine.setAlphabet(automaton, parseAlphabet(alphabetText));
+      updateAutomaton(newAutomaton, `Set alphabet to ${newAutomaton.alphabet.join(', ')}`);
+      setAlphabetText(newAutomaton.alphabet.join(', '));
+      setInputString('');
+    } catch (error) {
+      alert(`Error updating alphabet: ${error.message}`);
+      setAlphabetText(alphabet.join(', '));
     }
-    await new Promise(r => setTimeout(r, 1000));
-
-    // Traverse automata step-by-step, mutating the same `displayGraph`
-    for (let idx = 0; idx < inputString.length; idx++) {
-      const value = inputString[idx];
-
-      // Find the edge in our live displayGraph
-      const nextEdge = displayGraph.edges.find(x => x.from === currNodeId && x.label.includes(value));
-      if (!nextEdge) {
-        accepted = false;
-        alert(`No transition for ${value} from state ${currNodeId}`);
-        break;
-      }
-
-      // Highlight the edge
-      nextEdge.color = { color: '#1E88E5', highlight: '#1E88E5' };
-      setGraphData(JSON.parse(JSON.stringify(displayGraph)));
-      setAnimationStep(idx + 1);
-      await new Promise(r => setTimeout(r, 1000));
-
-      // Move to next node and highlight it
-      currNodeId = nextEdge.to;
-      const currNode = displayGraph.nodes.find(n => n.id === currNodeId);
-      currNode.color = { background: '#90CAF9' };
-      setGraphData(JSON.parse(JSON.stringify(displayGraph)));
-      await new Promise(r => setTimeout(r, 1000));
-
-      // If last char, do accept/reject color
-      if (idx === inputString.length - 1) {
-        accepted = currNode.title === 'accepting';
-        currNode.color = { background: accepted ? '#A5D6A7' : '#EF9A9A' };
-        setGraphData(JSON.parse(JSON.stringify(displayGraph)));
-        await new Promise(r => setTimeout(r, 1000));
-      }
+  };
+
+  const resetGraph = () => {
+    const emptyDfa = createDfa({ ...defaultDfa, alphabet });
+    updateAutomaton(convertAutomaton(emptyDfa, automaton.type), 'Reset');
+    setFirstNode(defaultDfa.start);
+    setSecondNode(defaultDfa.start);
+  };
+
+  // Allow only symbols from the current alphabet. With multi-character
+  // symbols the last token may still be a prefix of a symbol being typed.
+  const handleStringInput = (e) => {
+    const value = e.target.value;
+    const symbols = tokenizeInput(value, alphabet);
+    const partial = alphabet.some(symbol => symbol.length > 1) && !/\s$/.test(value) ? symbols.pop() : undefined;
+    if (symbols.every(symbol => alphabet.includes(symbol)) &&
+        (partial === undefined || alphabet.some(symbol => symbol.startsWith(partial)))) {
+      setInputString(value);
     }
+  };
 
-    alert(accepted ? 'String accepted' : 'String not accepted');
+  // Highlight the first `idx` steps of the debugged run on the graph
+  const showStep = (idx, shown = debugRun) => {
+    setDebugStep(idx);
+    setGraphData(highlightRun(drawAutomaton(shown.automaton), shown.automaton, shown.result, idx));
+  };
+
+  // Run symbols in the debugger, played step by step when `animate` is set
+  // and shown with their outcome right away otherwise
+  const debugSymbols = (symbols, animate) => {
+    let result;
+    try {
+      result = engine.run(automaton, symbols);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    const newRun = { automaton, symbols, result };
+    setDebugRun(newRun);
+    showStep(animate ? 0 : runLength(result), newRun);
+    setIsAnimating(animate);
+  };
+
+  // Follow another branch of the debugged PDA run, shown in full
+  const followBranch = (id) => {
     setIsAnimating(false);
+    const newRun = { ...debugRun, result: followConfiguration(debugRun.result, id) };
+    setDebugRun(newRun);
+    showStep(newRun.result.steps.length, newRun);
   };
 
-  const checkInputString = () => {
-    if (animationEnabled) {
-      animateCheckInputString();
-    } else {
-      let currNodeId = 1;
-      let accepted = inputString.length > 0;
+  const checkInputString = () => debugSymbols(tokenizeInput(inputString, alphabet), animationEnabled);
 
-      // traverse automata according to input
-      for (let idx = 0; idx < inputString.length; idx++) {
-        const value = inputString[idx];
-        let nextEdge = graphData.edges.find(x => x.from === currNodeId && x.label.includes(value));
-        
-        if (nextEdge) {
-          currNodeId = nextEdge.to;
-          
-          // Check if last state is accepting state
-          if (idx === inputString.length - 1) {
-            const currNodeObj = graphData.nodes.find(x => x.id === currNodeId);
-            accepted = !!currNodeObj.title && currNodeObj.title === "accepting";
-          }
-        } else {
-          accepted = false;
-          break;
-        }
-      }
-
-      alert(accepted ? 'String accepted' : 'String not accepted');
-    }
-  }
+  // Play a string picked from the test report or the language panel in the debugger
+  const playSymbols = (symbols) => {
+    setInputString(formatInput(symbols, alphabet));
+    debugSymbols(symbols, true);
+  };
+
+  // Put the current automaton and the test suite together in the spec textarea
+  const saveTests = (tests) => {
+    setDfaSpecification(formatSpec(automaton, { tests, positions: positionsFor(automaton, positions) }));
+    setSpecDiagnostics([]);
+  };
 
   const makeStartStateAccepting = () => {
-    let newGraph = JSON.parse(JSON.stringify(graphData));
-    const startNode = newGraph.nodes.find(x => x.id === 1);
-    startNode.borderWidth = 3;
-    startNode.color = { border: '#000000' };
-    startNode.title = 'accepting';
-
-    setGraphData(newGraph);
-    setCleanGraphData(JSON.parse(JSON.stringify(newGraph))); // Store clean copy
-    updateDfaSpecFromGraph(newGraph); // Update the spec
-    setGraphVersion(v => v + 1); // bump version on structural change
+    updateAutomaton(engine.setAccepting(automaton, automaton.start), 'Make start state accepting');
   }
 
-  // Reset animations by rebuilding the DFA from the original specification
+  // Reset animations by closing the debugger and redrawing the current
+  // automaton without highlights
   const resetAnimations = () => {
-    if (originalDfaSpec && originalDfaSpec.length > 0) {
-      // Use the stored original DFA spec to rebuild the graph
-      parseDfaSpecification(originalDfaSpec, false);
-    } else {
-      // If no original spec exists, just use the clean graph data
-      setGraphData(JSON.parse(JSON.stringify(cleanGraphData)));
-    }
+    setIsAnimating(false);
+    setDebugRun(null);
+    setGraphData(drawAutomaton(automaton));
+  };
+
+  // Load an automaton opened from a file, where it was drawn if the file
+  // says so, showing it as a spec too
+  const openAutomaton = (opened, fileName, at) => {
+    loadAutomaton(opened, `Open ${fileName}`, at);
+    setDfaSpecification(formatSpec(opened, { positions: at }));
+    setSpecDiagnostics([]);
+  };
+
+  // Draw dead states another way; this clears any run shown on the graph
+  const changeDeadStyle = (style) => {
+    setDeadStyle(style);
+    setGraphData(drawAutomaton(automaton, minimization, positions, style));
   };
 
-  // On manual edits to the DFA, also capture as specification
-  const updateDfaSpecFromGraph = (newGraph) => {
-    // Only do this for structural changes, not animations
+  // Rearrange the states of the current automaton with the chosen layout
+  const applyLayout = () => {
+    showAutomaton(automaton, minimization, LAYOUTS[layout].place(automaton));
+  };
+
+  // Everything autosaved, saved under a name or shared
+  const workspace = useMemo(() => createWorkspace({
+    automaton,
+    positions: positionsFor(automaton, positions),
+    spec: dfaSpecification,
+    tests: testText,
+    input: inputString
+  }), [automaton, positions, dfaSpecification, testText, inputString]);
+
+  // Continue with a saved or shared workspace
+  const openWorkspace = (opened, label) => {
+    loadAutomaton(opened.automaton, label, opened.positions);
+    setDfaSpecification(opened.spec);
+    setSpecDiagnostics([]);
+    setTestText(opened.tests);
+    setInputString(opened.input);
+  };
+
+  // Open the workspace a shared link carries, if any, then drop it from the
+  // URL so reloading continues from the autosave instead
+  const openSharedLink = useRef(null);
+  openSharedLink.current = () => {
     try {
-      // Build a spec representation from the current graph
-      const states = newGraph.nodes.map(n => `'${n.label}'`).join(', ');
-      const acceptingStates = newGraph.nodes
-        .filter(n => n.title === 'accepting')
-        .map(n => `'${n.label}'`)
-        .join(', ');
-        
-      const transitionsArray = [];
-      newGraph.edges.forEach(e => {
-        const fromNode = newGraph.nodes.find(n => n.id === e.from);
-        const toNode = newGraph.nodes.find(n => n.id === e.to);
-        
-        // Handle comma-separated transition labels
-        const labels = e.label.split(', ');
-        labels.forEach(label => {
-          transitionsArray.push(`('${fromNode.label}', '${label}'): '${toNode.label}'`);
-        });
-      });
-      
-      const spec = `SPEC_DFA = {
-        'alphabet': {'A', 'C', '0'},
-        'states': {${states}},
-        'initial_state': 'Start',
-        'accepting_states': {${acceptingStates}},
-        'transitions': {
-          ${transitionsArray.join(',\n          ')}
-        }
-      }`;
-      
-      setOriginalDfaSpec(spec);
-    } catch (err) {
-      console.error("Could not update DFA specification:", err);
+      const shared = readShareHash(window.location.hash);
+      if (shared === null) return false;
+      openWorkspace(shared, 'Open shared link');
+    } catch (error) {
+      alert(error.message);
     }
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    return true;
+  };
+  const restoreAutosave = useRef(null);
+  restoreAutosave.current = () => {
+    const autosaved = loadAutosave(window.localStorage);
+    if (autosaved !== null) openWorkspace(autosaved, 'Restore autosaved workspace');
   };
+  useEffect(() => {
+    if (!openSharedLink.current()) restoreAutosave.current();
+    const listener = () => openSharedLink.current();
+    window.addEventListener('hashchange', listener);
+    return () => window.removeEventListener('hashchange', listener);
+  }, []);
+
+  // Autosave on every change. This runs after the restore above, which reads
+  // the autosave before it is overwritten.
+  useEffect(() => {
+    try {
+      saveAutosave(window.localStorage, workspace);
+    } catch (error) {
+      // Storage is full or disabled; everything else keeps working
+    }
+  }, [workspace]);
 
   // Load the default DFA specification
   const loadDefaultDfa = () => {
     // Set the specification text in the textarea
     setDfaSpecification(defaultDfaSpec);
     // Parse and build the DFA
-    parseDfaSpecification(defaultDfaSpec);
+    parseDfaSpecification(defaultDfaSpec, 'Load default DFA');
   };
 
   return (
@@ -489,37 +557,140 @@ export default function Home() {
             <button className="btn btn-secondary m-2" onClick={() => addNewState(true)}>Add new accepting state</button>
             <button className="btn btn-secondary m-2" onClick={() => makeStartStateAccepting()}>Make start state accepting</button>
             <button className="btn btn-primary m-2" onClick={loadDefaultDfa}>Load Default DFA</button>
+            {isNfa && <button className="btn btn-primary m-2" onClick={convertToDfa}>Convert to DFA</button>}
+            {automaton.type === 'dfa' && <button className="btn btn-primary m-2" onClick={minimizeDfa}>Minimize</button>}
+            {!isPda && <button className="btn btn-primary m-2" onClick={convertToRegex}>Convert to regex</button>}
+          </div>
+
+          <div className="row">
+            <div className="col-sm-6 m-2">
+              <h5>History</h5>
+              <HistoryPanel
+                history={history}
+                disabled={isAnimating}
+                onUndo={() => restore(undo(history))}
+                onRedo={() => restore(redo(history))}
+                onJump={(idx) => restore(jumpTo(history, idx))}
+              />
+            </div>
+          </div>
+
+          <div className="row">
+            <div className="form-group col-sm-3 m-2">
+              <label>Automaton type:</label>
+              <select value={automaton.type} className="form-control" onChange={handleModeChange} disabled={isAnimating}>
+                <option value="dfa">DFA</option>
+                <option value="nfa">NFA (with ε-transitions)</option>
+                <option value="mealy">Mealy machine (output on transitions)</option>
+                <option value="moore">Moore machine (output in states)</option>
+                <option value="pda">PDA (pushdown automaton)</option>
+              </select>
+            </div>
+            <div className="form-group col-sm-3 m-2">
+              <label>Layout:</label>
+              <select value={layout} className="form-control" onChange={(e) => setLayout(e.target.value)}>
+                {Object.keys(LAYOUTS).map(name => <option key={name} value={name}>{LAYOUTS[name].label}</option>)}
+              </select>
+            </div>
+            <div className="form-group col-sm-2 d-flex m-2">
+              <input type="button" onClick={applyLayout} className="btn btn-secondary align-self-end" value="Arrange states"
+                disabled={isAnimating} />
+            </div>
+            <div className="form-group col-sm-2 m-2">
+              <label>Dead states:</label>
+              <select value={deadStyle} className="form-control" onChange={(e) => changeDeadStyle(e.target.value)}
+                disabled={isAnimating}>
+                {Object.keys(DEAD_STATE_STYLES).map(style => <option key={style} value={style}>{DEAD_STATE_STYLES[style]}</option>)}
+              </select>
+            </div>
           </div>
 
           <div className="row">
             <div className="form-group col-sm-3 m-2">
               <label>Pick state 1:</label>
               <select value={firstNode} className="form-control" onChange={handleState1Change}>
-                {graphData.nodes.map(node => <option key={uuidv4()} value={node.id}>{node.label}</option>)}
+                {automaton.states.map(state => <option key={state} value={state}>{state}</option>)}
               </select>
             </div>
             <div className="form-group col-sm-3 m-2">
               <label>Pick state 2:</label>
               <select value={secondNode} className="form-control" onChange={handleState2Change}>
-                {graphData.nodes.map(node => <option key={uuidv4()} value={node.id}>{node.label}</option>)}
+                {automaton.states.map(state => <option key={state} value={state}>{state}</option>)}
               </select>
             </div>
             <div className="form-group col-sm-3 m-2 d-flex">
-              <div className="btn-group align-self-end" role="group" aria-label="Add edge">
-                <input type="button" className="btn btn-primary" onClick={() => addEdge(firstNode, secondNode, '0')} value="Add 0 transition" />
-                <input type="button" className="btn btn-primary" onClick={() => addEdge(firstNode, secondNode, 'A')} value="Add A transition" />
-                <input type="button" className="btn btn-primary" onClick={() => addEdge(firstNode, secondNode, 'C')} value="Add C transition" />
-              </div>  
+              {isPda ? (
+                <div className="input-group align-self-end">
+                  <input type="text" className="form-control" placeholder="a, Z → AZ" aria-label="Transition label"
+                    value={transitionLabel} onChange={(e) => setTransitionLabel(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && addEdge(firstNode, secondNode, transitionLabel)} />
+                  <button type="button" className="btn btn-primary" onClick={() => addEdge(firstNode, secondNode, transitionLabel)}>
+                    Add transition
+                  </button>
+                </div>
+              ) : (
+                <div className="btn-group align-self-end flex-wrap" role="group" aria-label="Add edge">
+                  {(isNfa ? [...alphabet, EPSILON] : alphabet).map(symbol =>
+                    <input key={symbol} type="button" className="btn btn-primary" onClick={() => addEdge(firstNode, secondNode, symbol)} value={`Add ${symbol} transition`} />
+                  )}
+                </div>
+              )}
             </div>
           </div>
 
+          <StatePanel automaton={automaton} engine={engine} disabled={isAnimating} onEdit={editStates} />
+
+          {isPda && <PdaPanel automaton={automaton} disabled={isAnimating} onEdit={(edited, label) => updateAutomaton(edited, label)} />}
+
+          {!isPda && <TablePanel automaton={automaton} engine={engine} disabled={isAnimating} onEdit={editTable} />}
+
+          {!isPda && <AnalysisPanel automaton={automaton} disabled={isAnimating} onFix={(fixed, label) => updateAutomaton(fixed, label)} />}
+
           <div className="row">
             <div className="form-group col-sm-6 m-2">
-              <label>Input string (A, C, 0): </label>
+              <label>Alphabet (comma-separated symbols):</label>
+              <input type="text" value={alphabetText}
+                className="form-control"
+                onChange={(e) => setAlphabetText(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && applyAlphabet()}
+                placeholder="e.g. 0, 1" />
+            </div>
+            <div className="form-group col-sm-3 d-flex m-2">
+              <input type="button" onClick={applyAlphabet} className="btn btn-secondary align-self-end" value="Update alphabet" />
+            </div>
+          </div>
+
+          <div className="row">
+            <div className="form-group col-sm-6 m-2">
+              <label>Regular expression over the alphabet:</label>
+              <input type="text" value={regexText}
+                className={`form-control${regexError ? ' is-invalid' : ''}`}
+                onChange={(e) => { setRegexText(e.target.value); setRegexError(null); }}
+                onKeyDown={(e) => e.key === 'Enter' && buildFromRegex()}
+                placeholder="e.g. (0|A)*C+ or [AC]?0*" />
+              {regexError && (
+                <div className="invalid-feedback">
+                  {regexError.message}
+                  {regexError.position !== undefined && (
+                    <pre className="mb-0 text-danger">{`${regexText}\n${' '.repeat(regexError.position)}^`}</pre>
+                  )}
+                </div>
+              )}
+            </div>
+            <div className="form-group col-sm-3 d-flex m-2">
+              <input type="button" onClick={buildFromRegex} className="btn btn-primary align-self-end" value="Build from regex" />
+            </div>
+          </div>
+
+          <div className="row">
+            <div className="form-group col-sm-6 m-2">
+              <label>Input string ({alphabet.join(', ')}): </label>
               <input type="text" value={inputString}
                 className="form-control"
                 onChange={handleStringInput} 
-                placeholder="Enter A, C, 0 characters..." />
+                placeholder={alphabet.some(symbol => symbol.length > 1)
+                  ? "Enter space-separated symbols..."
+                  : `Enter ${alphabet.join(', ')} characters...`} />
             </div>
             <div className="form-group col-sm-2 m-2">
               <div className="form-check">
@@ -541,7 +712,7 @@ export default function Home() {
                 type="button" 
                 onClick={checkInputString} 
                 className="btn btn-success align-self-end" 
-                value={isAnimating ? `Animating... Step ${animationStep}/${inputString.length}` : "Check string"}
+                value="Check string"
                 disabled={isAnimating} 
               />
             </div>
@@ -550,15 +721,22 @@ export default function Home() {
           {/* DFA Specification Import Section */}
           <div className="row mt-4">
             <div className="col-12">
-              <h4>Import DFA Specification</h4>
+              <h4>Import or Export the Automaton</h4>
               <div className="form-group">
                 <textarea
-                  className="form-control"
+                  className={`form-control${specDiagnostics.length > 0 ? ' is-invalid' : ''}`}
                   rows="10"
                   value={dfaSpecification}
-                  onChange={(e) => setDfaSpecification(e.target.value)}
-                  placeholder="Paste DFA specification here in the format: SPEC_DFA = { ... }"
+                  onChange={(e) => { setDfaSpecification(e.target.value); setSpecDiagnostics([]); }}
+                  placeholder="Paste DFA specification here in the format: SPEC_DFA = { ... } (or SPEC_NFA, SPEC_MEALY, SPEC_MOORE or SPEC_PDA = { ... })"
                 />
+                {specDiagnostics.length > 0 && (
+                  <ul className="invalid-feedback mb-0">
+                    {specDiagnostics.map((diagnostic, idx) =>
+                      <li key={idx}>{formatDiagnostic(diagnostic)}</li>
+                    )}
+                  </ul>
+                )}
               </div>
               <div className="mt-2">
                 <button 
@@ -574,17 +752,129 @@ export default function Home() {
                   Load Default DFA
                 </button>
               </div>
+              <FilePanel
+                automaton={automaton}
+                positions={positions}
+                graph={graphData}
+                plainGraph={drawAutomaton(automaton)}
+                onLoad={openAutomaton}
+              />
             </div>
           </div>
+
+          <TestPanel
+            automaton={automaton}
+            engine={engine}
+            text={testText}
+            disabled={isAnimating}
+            onTextChange={setTestText}
+            onAnimate={playSymbols}
+            onSave={saveTests}
+          />
+
+          {!isPda && <LanguagePanel automaton={automaton} disabled={isAnimating} onPlay={playSymbols} />}
+
+          {!isPda && <CombinePanel automaton={automaton} disabled={isAnimating} onResult={showCombination} />}
+
+          <WorkspacePanel workspace={workspace} disabled={isAnimating} onOpen={(opened, name) => openWorkspace(opened, `Open ${name}`)} />
         </div>
         
         <div style={{ height: "50vh", width: "80vw", border: "1px solid", marginTop: "20px" }}>
-          <Graph
-            key={graphVersion}        // ← only changes on STRUCTURAL edits
+          <GraphEditor
+            automaton={automaton}
+            engine={engine}
             graph={graphData}
-            options={options}
+            version={graphVersion}
+            disabled={isAnimating}
+            onEdit={(edited, label, at) => updateAutomaton(edited, label, minimization, at)}
+            onMove={setPositions}
           />
         </div>
+
+        {showsDebugger && (
+          <DebuggerPanel
+            automaton={debugRun.automaton}
+            symbols={debugRun.symbols}
+            result={debugRun.result}
+            step={debugStep}
+            playing={isAnimating}
+            onStep={showStep}
+            onPlayingChange={setIsAnimating}
+            onFollow={followBranch}
+            onClose={resetAnimations}
+          />
+        )}
+
+        {/* Result of state elimination, with the intermediate GNFAs */}
+        {showsElimination && (
+          <div className="row mt-4" style={{ width: '80vw' }}>
+            <div className="col-12">
+              <h4>Regular expression</h4>
+              <p>
+                <code className="fs-5">{elimination.regex}</code>
+                <button className="btn btn-sm btn-secondary ms-3" onClick={() => setRegexText(elimination.regex)}>
+                  Copy to regex input
+                </button>
+              </p>
+              <div className="d-flex align-items-center mb-2">
+                <button className="btn btn-sm btn-secondary me-2" disabled={eliminationStep === 0}
+                  onClick={() => setEliminationStep(eliminationStep - 1)}>Previous step</button>
+                <button className="btn btn-sm btn-secondary me-3" disabled={eliminationStep === elimination.steps.length - 1}
+                  onClick={() => setEliminationStep(eliminationStep + 1)}>Next step</button>
+                <span>
+                  Step {eliminationStep} of {elimination.steps.length - 1}: {eliminationStep === 0
+                    ? 'initial generalized NFA'
+                    : `eliminated ${elimination.steps[eliminationStep].eliminated}`}
+                </span>
+              </div>
+              <div style={{ height: "40vh", border: "1px solid" }}>
+                <Graph
+                  key={`gnfa-${eliminationStep}`}
+                  graph={gnfaToGraph(elimination.steps[eliminationStep])}
+                  options={options}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Side-by-side view of the last minimization */}
+        {showsMinimization && (
+          <div className="row mt-4" style={{ width: '80vw' }}>
+            <div className="col-md-6">
+              <h4>Original DFA</h4>
+              <div style={{ height: "40vh", border: "1px solid" }}>
+                <AutomatonGraph
+                  key={`original-${graphVersion}`}
+                  graph={minimization.originalGraph}
+                  options={options}
+                />
+              </div>
+            </div>
+            <div className="col-md-6">
+              <h4>Merged states</h4>
+              <table className="table table-sm">
+                <thead>
+                  <tr><th>Minimized state</th><th>Original states</th></tr>
+                </thead>
+                <tbody>
+                  {Object.keys(minimization.result.groups).map(state =>
+                    <tr key={state}>
+                      <td>{state}</td>
+                      <td>{minimization.result.groups[state].join(', ')}</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+              {Object.keys(minimization.removed).length > 0 && (
+                <p>
+                  Removed: {Object.keys(minimization.removed)
+                    .map(state => `${state} (${minimization.removed[state]})`).join(', ')}
+                </p>
+              )}
+            </div>
+          </div>
+        )}
       </main>
     </div>
   )